@@ -1,25 +1,114 @@
-import jwt_decode from 'jwt-decode';
-import jwt from 'jsonwebtoken';
+import { jwtDecode } from 'jwt-decode';
 import config from '@/target.config';
+import { TabSync } from '@core/TabSync';
+import { HttpAuthProvider, OAuthProvider, isJwt } from '@core/AuthProvider';
+import { WebStorage } from '@core/StorageAdapters';
+import { queryCache } from '@core/QueryCache';
 
+/**
+ * Normalizes a claim or a requirement to a list: arrays are kept, strings are split on spaces and commas
+ * (e.g. the OAuth `scope` claim).
+ * @param {string|string[]} value - The value.
+ * @returns {string[]} The list.
+ */
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : [];
+};
+
+/**
+ * Gets the subject of a session: the `sub` claim of a JWT, else the `sub`, `id` or `email` of the user.
+ * @param {string} token - The token.
+ * @param {Object} [user] - The user information.
+ * @returns {string|null} The subject, or null if it is unknown.
+ */
+const getSubject = (token, user) => {
+  let claims = {};
+  try {
+    claims = isJwt(token) ? jwtDecode(token) : {};
+  } catch (error) {
+    // An invalid token has no subject, the user information may still have one
+  }
+  const { sub, id, email } = user || {};
+  const subject = claims.sub ?? sub ?? id ?? email;
+  return subject === undefined || subject === null ? null : String(subject);
+};
+
+/**
+ * Client-side session manager. Tokens are issued by an auth provider (see core/AuthProvider.js) and only
+ * decoded here, the signature is verified by the server receiving them.
+ */
 class AuthManager {
-  constructor(secret, initialState = {}, storageKey = 'authState') {
-    this.secret = secret;
+  constructor(provider = null, initialState = {}, storageKey = 'authState') {
+    this.provider = provider;
     this.state = initialState;
     this.listeners = [];
     this.storageKey = storageKey;
+    // Reads return null on the server, where routes and targets also check the session
+    this.storage = new WebStorage('sessionStorage');
+    this.tabSync = null;
+    // Time of the last login or logout, older ones received from other tabs are ignored
+    this.sessionChangedAt = 0;
+    // Sign in in progress and error of the last one, see getSession
+    this.isPending = false;
+    this.error = null;
+    this.callbacks = new Map();
     this.loadStateFromSessionStorage();
   }
 
+  /**
+   * Synchronizes the login, the logout and the state with the other tabs.
+   * Changes received from another tab are applied without being sent again, and the listeners are notified
+   * as if they were local. Between a login and a logout, the most recent one wins.
+   * @param {string} channel - The channel name shared by the tabs.
+   */
+  enableSync(channel = 'target-auth') {
+    if (this.tabSync) {
+      return;
+    }
+
+    this.tabSync = new TabSync(channel);
+    this.tabSync.subscribe((message) => {
+      if (message.type === 'login' || message.type === 'logout') {
+        if (message.timestamp < this.sessionChangedAt) {
+          return;
+        }
+        this.sessionChangedAt = message.timestamp;
+        if (message.type === 'login') {
+          this.storeSession(message.token, message.refreshToken, message.user, message.expiresAt);
+        } else {
+          this.clearSession();
+        }
+        this.notifyListeners();
+      } else if (message.type === 'state') {
+        this.state = { ...this.state, ...message.changes };
+        this.saveStateToSessionStorage();
+        this.notifyListeners();
+      }
+    });
+  }
+
+  /**
+   * Stops synchronizing with the other tabs.
+   */
+  disableSync() {
+    if (this.tabSync) {
+      this.tabSync.close();
+      this.tabSync = null;
+    }
+  }
+
   loadStateFromSessionStorage() {
-    const savedState = sessionStorage.getItem(this.storageKey);
+    const savedState = this.storage.getItem(this.storageKey);
     if (savedState) {
       this.state = JSON.parse(savedState);
     }
   }
 
   saveStateToSessionStorage() {
-    sessionStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    this.storage.setItem(this.storageKey, JSON.stringify(this.state));
   }
 
   getState() {
@@ -30,10 +119,55 @@ class AuthManager {
     this.state = { ...this.state, ...newState };
     this.saveStateToSessionStorage();
     this.notifyListeners();
+
+    if (this.tabSync) {
+      this.tabSync.post({ type: 'state', changes: newState, timestamp: Date.now() }, { sensitive: true });
+    }
   }
 
+  /**
+   * Calls the listeners with the state and the session, see getSession.
+   */
   notifyListeners() {
-    this.listeners.forEach(listener => listener(this.state));
+    const session = this.getSession();
+    this.listeners.forEach(listener => listener(this.state, session));
+  }
+
+  /**
+   * Gets the session state, passed to the listeners as second argument.
+   * The status is 'pending' while a sign in or a callback is in progress, 'error' when the last one failed,
+   * then 'authenticated' or 'anonymous'.
+   * @returns {{ status: string, user: Object|null, error: Error|null }} The session state.
+   */
+  getSession() {
+    let status = this.isAuthenticated() ? 'authenticated' : 'anonymous';
+    if (this.isPending) {
+      status = 'pending';
+    } else if (this.error) {
+      status = 'error';
+    }
+    return { status, user: this.getUser(), error: this.error };
+  }
+
+  /**
+   * Runs a sign in step, exposing its progress and its error through the session state.
+   * @param {Function} step - Returns a promise.
+   * @returns {Promise<*>} The result of the step.
+   */
+  async track(step) {
+    this.isPending = true;
+    this.error = null;
+    this.notifyListeners();
+
+    try {
+      return await step();
+    } catch (error) {
+      this.error = error;
+      throw error;
+    } finally {
+      this.isPending = false;
+      this.notifyListeners();
+    }
   }
 
   subscribe(listener) {
@@ -44,22 +178,94 @@ class AuthManager {
   }
 
   /**
-   * Creates a JWT token.
-   * @param {Object} payload - The payload to include in the token.
-   * @param {string} expiresIn - The expiration time for the token.
-   * @returns {string} The JWT token.
+   * Sets the provider used by signIn, signOut and refreshToken.
+   * @param {Object} provider - The auth provider.
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Gets the auth provider.
+   * @returns {Object} The auth provider.
    */
-  createToken(payload, expiresIn = import.meta.env.VITE_APP_JWT_EXPIRES_IN) {
-    return jwt.sign(payload, this.secret, { expiresIn });
+  getProvider() {
+    if (!this.provider) {
+      throw new Error('No auth provider set');
+    }
+    return this.provider;
   }
 
   /**
-   * Decodes a JWT token.
+   * Decodes a JWT token, without verifying its signature.
    * @param {string} token - The JWT token to decode.
    * @returns {Object} The decoded token payload.
    */
   decodeToken(token) {
-    return jwt_decode(token);
+    return jwtDecode(token);
+  }
+
+  /**
+   * Opens a session with the provider and logs in the user.
+   * @param {Object} credentials - The credentials, e.g. { username, password }.
+   * @returns {Promise<Object>} A promise that resolves with the user information.
+   */
+  async signIn(credentials) {
+    return this.track(async () => {
+      const { token, refreshToken, user, expiresAt } = await this.getProvider().login(credentials);
+      this.login(token, refreshToken, user, expiresAt);
+      return user;
+    });
+  }
+
+  /**
+   * Signs in with a redirect to the identity provider, e.g. with OAuthProvider.
+   * The user comes back on the callback route, which calls handleRedirectCallback.
+   * @param {Object} params - { returnTo }, the path opened after the callback, and extra authorization params.
+   * @returns {Promise<void>} A promise that never resolves, as the page is left.
+   */
+  signInWithRedirect(params = {}) {
+    const returnTo = params.returnTo || `${window.location.pathname}${window.location.search}`;
+    return this.signIn({ ...params, returnTo });
+  }
+
+  /**
+   * Completes a redirect sign in: the provider exchanges the code of the callback URL for the tokens, which
+   * are stored as for a login. Handling the same URL twice returns the same promise, a code is only valid once.
+   * @param {string} url - The callback URL, defaults to the current one.
+   * @returns {Promise<{ user: Object, returnTo: string }>} The user and the path to open.
+   */
+  handleRedirectCallback(url = window.location.href) {
+    if (!this.callbacks.has(url)) {
+      this.callbacks.set(url, this.track(async () => {
+        const provider = this.getProvider();
+        if (!provider.handleCallback) {
+          throw new Error('The auth provider does not support redirect sign in');
+        }
+        const { token, refreshToken, user, expiresAt, returnTo } = await provider.handleCallback(url);
+        this.login(token, refreshToken, user, expiresAt);
+        return { user, returnTo: returnTo || '/' };
+      }));
+    }
+    return this.callbacks.get(url);
+  }
+
+  /**
+   * Closes the session with the provider and logs out the user.
+   * The user is logged out locally even if the provider fails.
+   * @returns {Promise<void>}
+   */
+  async signOut() {
+    const session = { token: this.getToken(), refreshToken: this.getRefreshToken() };
+    try {
+      if (session.token && this.provider && this.provider.logout) {
+        await this.provider.logout(session);
+      }
+    } catch (error) {
+      console.error('Logout failed:', error);
+    } finally {
+      this.logout();
+    }
   }
 
   /**
@@ -67,20 +273,74 @@ class AuthManager {
    * @param {string} token - The JWT token.
    * @param {string} refreshToken - The refresh token.
    * @param {Object} user - The user information.
+   * @param {number} [expiresAt] - The expiration of a token that is not a JWT, in seconds since the epoch.
    */
-  login(token, refreshToken, user) {
-    sessionStorage.setItem('authToken', token);
-    sessionStorage.setItem('refreshToken', refreshToken);
-    sessionStorage.setItem('authUser', JSON.stringify(user));
+  login(token, refreshToken, user, expiresAt) {
+    this.storeSession(token, refreshToken, user, expiresAt);
+    this.sessionChangedAt = Date.now();
+    this.error = null;
+    this.notifyListeners();
+
+    if (this.tabSync) {
+      // The tokens never go through localStorage, without BroadcastChannel only the logouts are synchronized
+      this.tabSync.post({ type: 'login', token, refreshToken, user, expiresAt, timestamp: this.sessionChangedAt }, { sensitive: true });
+    }
   }
 
   /**
    * Logs out the user by removing the JWT token and user information from session storage.
    */
   logout() {
-    sessionStorage.removeItem('authToken');
-    sessionStorage.removeItem('refreshToken');
-    sessionStorage.removeItem('authUser');
+    this.clearSession();
+    this.sessionChangedAt = Date.now();
+    this.notifyListeners();
+
+    if (this.tabSync) {
+      this.tabSync.post({ type: 'logout', timestamp: this.sessionChangedAt });
+    }
+  }
+
+  /**
+   * Stores the tokens and the user information in session storage.
+   * A missing value (null or undefined) removes its key, it is never stored as the string "undefined".
+   * The cached API results are cleared when the session does not belong to the same user as the stored one,
+   * e.g. after a login, while a refreshed session keeps them.
+   * @param {string} token - The JWT token.
+   * @param {string} [refreshToken] - The refresh token.
+   * @param {Object} [user] - The user information.
+   * @param {number} [expiresAt] - The expiration of a token that is not a JWT, in seconds since the epoch.
+   */
+  storeSession(token, refreshToken, user, expiresAt) {
+    const previousToken = this.getToken();
+    // undefined without session, so that a login always differs from the anonymous visits before it
+    const previousSubject = previousToken ? getSubject(previousToken, this.getUser()) : undefined;
+    const items = {
+      authToken: token,
+      refreshToken,
+      authUser: user === undefined || user === null ? null : JSON.stringify(user),
+      authExpiresAt: expiresAt === undefined || expiresAt === null ? null : String(expiresAt),
+    };
+    Object.entries(items).forEach(([key, value]) => {
+      if (value === undefined || value === null) {
+        this.storage.removeItem(key);
+      } else {
+        this.storage.setItem(key, value);
+      }
+    });
+    if (getSubject(token, user) !== previousSubject) {
+      queryCache.clear();
+    }
+  }
+
+  /**
+   * Removes the tokens and the user information from session storage, and the cached API results of the user.
+   */
+  clearSession() {
+    this.storage.removeItem('authToken');
+    this.storage.removeItem('refreshToken');
+    this.storage.removeItem('authUser');
+    this.storage.removeItem('authExpiresAt');
+    queryCache.clear();
   }
 
   /**
@@ -88,7 +348,7 @@ class AuthManager {
    * @returns {string|null} The JWT token, or null if not found.
    */
   getToken() {
-    return sessionStorage.getItem('authToken');
+    return this.storage.getItem('authToken');
   }
 
   /**
@@ -96,7 +356,7 @@ class AuthManager {
    * @returns {string|null} The refresh token, or null if not found.
    */
   getRefreshToken() {
-    return sessionStorage.getItem('refreshToken');
+    return this.storage.getItem('refreshToken');
   }
 
   /**
@@ -104,12 +364,34 @@ class AuthManager {
    * @returns {Object|null} The user information, or null if not found.
    */
   getUser() {
-    const user = sessionStorage.getItem('authUser');
-    return user ? JSON.parse(user) : null;
+    const user = this.storage.getItem('authUser');
+    try {
+      return user ? JSON.parse(user) : null;
+    } catch (error) {
+      // e.g. "undefined", stored by the sessions saved before the missing values were skipped
+      return null;
+    }
   }
 
   /**
-   * Checks if the user is authenticated by verifying the presence and validity of the JWT token.
+   * Gets the expiration of the stored token, in seconds since the epoch: the `exp` claim of a JWT, else the
+   * expiration received with the token (e.g. the `expires_in` of an OAuth token response).
+   * @returns {number|null} The expiration, or null if there is no token or its expiration is unknown.
+   */
+  getTokenExpiration() {
+    const token = this.getToken();
+    if (!token) {
+      return null;
+    }
+    if (isJwt(token)) {
+      return this.decodeToken(token).exp ?? null;
+    }
+    return Number(this.storage.getItem('authExpiresAt')) || null;
+  }
+
+  /**
+   * Checks if the user is authenticated by verifying the presence and the expiration of the token.
+   * An opaque token (not a JWT) without known expiration is valid until the API refuses it.
    * @returns {boolean} True if the user is authenticated, false otherwise.
    */
   isAuthenticated() {
@@ -119,15 +401,86 @@ class AuthManager {
     }
 
     try {
-      const decodedToken = this.decodeToken(token);
-      const currentTime = Date.now() / 1000;
-      return decodedToken.exp > currentTime;
+      const expiration = this.getTokenExpiration();
+      if (expiration === null) {
+        return !isJwt(token);
+      }
+      return expiration > Date.now() / 1000;
     } catch (error) {
       console.error('Invalid token:', error);
       return false;
     }
   }
 
+  /**
+   * Gets the claims of the stored token.
+   * They are decoded without verifying the signature: use them to adapt the interface, the API must check
+   * the token again before granting access to anything. An opaque token cannot be decoded, its claims are
+   * the user information received with it, e.g. read from the OAuth ID token.
+   * @returns {Object|null} The claims, or null if there is no valid token.
+   */
+  getClaims() {
+    if (!this.isAuthenticated()) {
+      return null;
+    }
+    const token = this.getToken();
+    return isJwt(token) ? this.decodeToken(token) : this.getUser() || {};
+  }
+
+  /**
+   * Gets the roles of the user, from the `roles` (or `role`) claim of the token.
+   * @returns {string[]} The roles.
+   */
+  getRoles() {
+    const claims = this.getClaims();
+    return claims ? toList(claims.roles ?? claims.role) : [];
+  }
+
+  /**
+   * Gets the permissions of the user, from the `permissions` (or `scope`) claim of the token.
+   * @returns {string[]} The permissions.
+   */
+  getPermissions() {
+    const claims = this.getClaims();
+    return claims ? toList(claims.permissions ?? claims.scope) : [];
+  }
+
+  /**
+   * Checks if the user has at least one of the roles.
+   * @param {string|string[]} roles - The roles.
+   * @returns {boolean} True if the user has one of them.
+   */
+  hasRole(roles) {
+    const userRoles = this.getRoles();
+    return toList(roles).some((role) => userRoles.includes(role));
+  }
+
+  /**
+   * Checks if the user has all the permissions.
+   * @param {string|string[]} permissions - The permissions.
+   * @returns {boolean} True if the user has all of them.
+   */
+  hasPermission(permissions) {
+    const userPermissions = this.getPermissions();
+    return toList(permissions).every((permission) => userPermissions.includes(permission));
+  }
+
+  /**
+   * Checks access requirements, as declared in the route meta.
+   * Requiring roles or permissions implies requiring authentication.
+   * @param {Object} requirements - { requiresAuth, roles, permissions }.
+   * @returns {boolean} True if the user meets all the requirements.
+   */
+  isAuthorized({ requiresAuth = false, roles, permissions } = {}) {
+    if (!requiresAuth && !roles && !permissions) {
+      return true;
+    }
+    if (!this.isAuthenticated()) {
+      return false;
+    }
+    return (!roles || this.hasRole(roles)) && (!permissions || this.hasPermission(permissions));
+  }
+
   /**
    * Refreshes the JWT token using the refresh token.
    * @returns {Promise<string>} A promise that resolves with the new JWT token.
@@ -142,25 +495,21 @@ class AuthManager {
       throw new Error('No refresh token found');
     }
 
-    // Replace with your API endpoint to refresh the token
-    const response = await fetch(config.auth.jwt.refreshToken.endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ refreshToken }),
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to refresh token');
-    }
-
-    const data = await response.json();
-    const { token, user } = data;
-    this.login(token, refreshToken, user);
+    // The provider may rotate the refresh token and send the user again
+    const data = await this.getProvider().refresh(refreshToken);
+    const { token } = data;
+    this.login(token, data.refreshToken || refreshToken, data.user || this.getUser(), data.expiresAt);
 
     return token;
   }
 }
 
-export default new AuthManager(import.meta.env.VITE_APP_JWT_SECRET);
+const authManager = new AuthManager(
+  config.auth.provider === 'oauth' ? new OAuthProvider(config.auth.oauth) : new HttpAuthProvider(config.auth.endpoints)
+);
+
+if (config.auth.sync) {
+  authManager.enableSync();
+}
+
+export default authManager;
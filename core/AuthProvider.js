@@ -0,0 +1,263 @@
+import { jwtDecode } from 'jwt-decode';
+import { WebStorage } from '@core/StorageAdapters';
+
+/**
+ * Auth providers used by AuthManager to open, refresh and close a session.
+ * A provider implements:
+ * - login(credentials) resolving to { token, refreshToken, user, expiresAt? };
+ * - refresh(refreshToken) resolving to { token, refreshToken?, user?, expiresAt? };
+ * - logout(session) receiving { token, refreshToken }, optional;
+ * - handleCallback(url) resolving to the session and a returnTo path, for the providers redirecting to a
+ *   login page (login then never resolves).
+ * Tokens are issued and verified by the server, the browser never holds the signing secret. expiresAt, in seconds
+ * since the epoch like the `exp` claim, is only needed for the tokens that are not JWTs.
+ */
+
+/**
+ * Provider calling the login, token and logout endpoints of an API.
+ */
+export class HttpAuthProvider {
+    /**
+     * @param {Object} endpoints - The endpoints of the API.
+     * @param {string} endpoints.login - Receives the credentials and returns the session.
+     * @param {string} endpoints.token - Receives { refreshToken } and returns a new token.
+     * @param {string} endpoints.logout - Receives { refreshToken } and revokes it, optional.
+     * @param {Object} headers - Headers added to every request, e.g. a CSRF token.
+     */
+    constructor(endpoints = {}, headers = {}) {
+        this.endpoints = endpoints;
+        this.headers = headers;
+    }
+
+    /**
+     * Posts a JSON body to an endpoint.
+     * @param {string} endpoint - The endpoint.
+     * @param {Object} body - The body.
+     * @param {string|null} token - The access token, sent as a bearer token.
+     * @returns {Promise<Object>} The JSON response.
+     */
+    async post(endpoint, body, token = null) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...this.headers,
+            },
+            body: JSON.stringify(body),
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.message || `Request to ${endpoint} failed with status ${response.status}`);
+        }
+        return data;
+    }
+
+    async login(credentials) {
+        if (!this.endpoints.login) {
+            throw new Error('No login endpoint configured');
+        }
+        return this.post(this.endpoints.login, credentials);
+    }
+
+    async refresh(refreshToken) {
+        if (!this.endpoints.token) {
+            throw new Error('No token endpoint configured');
+        }
+        return this.post(this.endpoints.token, { refreshToken });
+    }
+
+    async logout({ token, refreshToken }) {
+        if (this.endpoints.logout) {
+            await this.post(this.endpoints.logout, { refreshToken }, token);
+        }
+    }
+}
+
+/**
+ * Key prefix of the pending authorization requests in session storage, suffixed by their state.
+ */
+const OAUTH_PREFIX = 'target-oauth:';
+
+/**
+ * Milliseconds during which a pending authorization request can be completed by the callback.
+ */
+const OAUTH_REQUEST_TTL = 10 * 60 * 1000;
+
+/**
+ * Checks if a token is a JWT, three base64url segments. Access tokens may be opaque strings.
+ * @param {string} token - The token.
+ * @returns {boolean} True if the token can be decoded.
+ */
+export const isJwt = (token) => typeof token === 'string' && /^[\w-]+\.[\w-]+\.[\w-]*$/.test(token);
+
+/**
+ * Encodes bytes in base64url, without padding.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The encoded string.
+ */
+const base64url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Generates a random base64url string.
+ * @param {number} size - The number of random bytes.
+ * @returns {string} The string.
+ */
+const randomString = (size = 32) => base64url(crypto.getRandomValues(new Uint8Array(size)));
+
+/**
+ * Generates a PKCE code verifier and its S256 challenge (RFC 7636).
+ * @returns {Promise<{ verifier: string, challenge: string }>} The verifier, kept by the client, and the
+ *   challenge, sent to the authorize endpoint.
+ */
+export const createPkcePair = async () => {
+    const verifier = randomString(32);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return { verifier, challenge: base64url(new Uint8Array(digest)) };
+};
+
+/**
+ * Provider signing in with the OAuth2 authorization code flow and PKCE.
+ * signIn redirects to the identity provider, which redirects back to the callback route with a code,
+ * exchanged for the tokens by handleCallback. The code verifier never leaves the browser before the exchange.
+ */
+export class OAuthProvider {
+    /**
+     * @param {Object} options - The client configuration.
+     * @param {string} options.clientId - The client ID registered at the identity provider.
+     * @param {string} options.authorizeEndpoint - The authorization endpoint.
+     * @param {string} options.tokenEndpoint - The token endpoint.
+     * @param {string} options.revocationEndpoint - The token revocation endpoint (RFC 7009), optional.
+     * @param {string} options.scope - The requested scopes.
+     * @param {string} options.callbackPath - The path of the callback route, the redirect URI is built from it.
+     * @param {string} options.redirectUri - The redirect URI, when it is not on the current origin.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.storage = new WebStorage('sessionStorage');
+    }
+
+    /**
+     * Gets the redirect URI registered at the identity provider.
+     * @returns {string} The redirect URI.
+     */
+    getRedirectUri() {
+        return this.options.redirectUri || new URL(this.options.callbackPath, window.location.origin).href;
+    }
+
+    /**
+     * Creates the authorization URL and stores the verifier of the request, indexed by its state.
+     * @param {Object} params - { returnTo } and extra authorization params, e.g. { prompt: 'login' }.
+     * @returns {Promise<string>} The URL to redirect to.
+     */
+    async createAuthorizationUrl({ returnTo = '/', ...params } = {}) {
+        const { verifier, challenge } = await createPkcePair();
+        const state = randomString(16);
+        this.storage.setItem(OAUTH_PREFIX + state, JSON.stringify({ verifier, returnTo, createdAt: Date.now() }));
+
+        const url = new URL(this.options.authorizeEndpoint, window.location.origin);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.options.clientId,
+            redirect_uri: this.getRedirectUri(),
+            scope: this.options.scope || '',
+            state,
+            code_challenge: challenge,
+            code_challenge_method: 'S256',
+            ...params,
+        });
+        return url.href;
+    }
+
+    /**
+     * Redirects to the identity provider, the promise never resolves as the page is left.
+     * @param {Object} params - See createAuthorizationUrl.
+     * @returns {Promise<void>}
+     */
+    async authorize(params = {}) {
+        window.location.assign(await this.createAuthorizationUrl(params));
+        return new Promise(() => {});
+    }
+
+    /**
+     * Exchanges the code of the callback URL for the tokens.
+     * @param {string} callbackUrl - The URL the identity provider redirected to.
+     * @returns {Promise<Object>} The session { token, refreshToken, user } and the returnTo path.
+     */
+    async handleCallback(callbackUrl) {
+        const params = new URL(callbackUrl, window.location.origin).searchParams;
+        if (params.has('error')) {
+            throw new Error(params.get('error_description') || params.get('error'));
+        }
+
+        const key = OAUTH_PREFIX + params.get('state');
+        const request = JSON.parse(this.storage.getItem(key) || 'null');
+        this.storage.removeItem(key);
+        if (!request || !params.get('code') || Date.now() - request.createdAt > OAUTH_REQUEST_TTL) {
+            throw new Error('Unknown or expired authorization request');
+        }
+
+        const data = await this.requestToken({
+            grant_type: 'authorization_code',
+            code: params.get('code'),
+            redirect_uri: this.getRedirectUri(),
+            code_verifier: request.verifier,
+        });
+        return { ...data, returnTo: request.returnTo };
+    }
+
+    /**
+     * Posts a grant to the token endpoint.
+     * @param {Object} grant - The grant parameters.
+     * @returns {Promise<Object>} The session { token, refreshToken, user, expiresAt }, without user when neither the
+     *   ID token nor the access token is a JWT. expiresAt is read from `expires_in`.
+     */
+    async requestToken(grant) {
+        const response = await fetch(this.options.tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: new URLSearchParams({ client_id: this.options.clientId, ...grant }),
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error_description || data.error || `Token request failed with status ${response.status}`);
+        }
+
+        const session = { token: data.access_token, refreshToken: data.refresh_token };
+        if (data.expires_in) {
+            session.expiresAt = Math.floor(Date.now() / 1000) + Number(data.expires_in);
+        }
+
+        // The user is read from the ID token when the openid scope is granted, else from a JWT access token
+        const claimsToken = [data.id_token, data.access_token].find(isJwt);
+        if (!claimsToken) {
+            return session;
+        }
+
+        const { sub, name, email, roles, picture } = jwtDecode(claimsToken);
+        const user = Object.fromEntries(
+            Object.entries({ id: sub, name, email, roles, picture }).filter(([, value]) => value !== undefined)
+        );
+        return { ...session, user };
+    }
+
+    async login(params) {
+        return this.authorize(params);
+    }
+
+    async refresh(refreshToken) {
+        return this.requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+    }
+
+    async logout({ refreshToken }) {
+        if (this.options.revocationEndpoint && refreshToken) {
+            await fetch(this.options.revocationEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({ client_id: this.options.clientId, token: refreshToken, token_type_hint: 'refresh_token' }),
+            });
+        }
+    }
+}
@@ -0,0 +1,190 @@
+import { compilePath } from '@router/index';
+
+/**
+ * Waits before answering a mocked request, the wait is interrupted when the request is aborted.
+ * @param {number} delay - The delay in milliseconds.
+ * @param {AbortSignal} signal - The signal of the request, optional.
+ * @returns {Promise<void>}
+ */
+const sleep = (delay, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+    }
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    }
+});
+
+/**
+ * Reads the body of a request for a handler: JSON is parsed, form encoded bodies become objects, FormData is
+ * kept and other bodies are read as text.
+ * @param {Request} request - The request.
+ * @returns {Promise<*>} The body, null without body.
+ */
+const readRequestBody = async (request) => {
+    const contentType = request.headers.get('Content-Type') || '';
+    if (!request.body) {
+        return null;
+    }
+    if (/[/+]json\b/.test(contentType)) {
+        const text = await request.text();
+        return text ? JSON.parse(text) : null;
+    }
+    if (contentType.startsWith('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(await request.text()));
+    }
+    if (contentType.startsWith('multipart/form-data')) {
+        return request.formData();
+    }
+    return request.text();
+};
+
+/**
+ * Creates the response of a handler result.
+ * Objects and arrays are sent as JSON, strings as text, other bodies (Blob, FormData...) as they are.
+ * A status that Response refuses, outside 200-599, answers a 500 instead.
+ * @param {Object} result - { status, body, headers }.
+ * @returns {Response} The response.
+ */
+const createResponse = ({ status, body, headers = {} }) => {
+    if (status !== undefined && !(Number.isInteger(status) && status >= 200 && status <= 599)) {
+        console.error(`Invalid status in a mock response: ${status}`);
+        return createResponse({ status: 500, body: { message: `Invalid mock status ${status}` } });
+    }
+
+    const responseHeaders = new Headers(headers);
+    let responseBody = body ?? null;
+
+    if (responseBody !== null && typeof responseBody === 'object' && (Array.isArray(responseBody) || Object.getPrototypeOf(responseBody) === Object.prototype)) {
+        responseBody = JSON.stringify(responseBody);
+        if (!responseHeaders.has('Content-Type')) {
+            responseHeaders.set('Content-Type', 'application/json');
+        }
+    } else if (typeof responseBody === 'string' && !responseHeaders.has('Content-Type')) {
+        responseHeaders.set('Content-Type', 'text/plain; charset=utf-8');
+    }
+
+    const responseStatus = status ?? (responseBody === null ? 204 : 200);
+    return new Response([204, 205, 304].includes(responseStatus) ? null : responseBody, {
+        status: responseStatus,
+        headers: responseHeaders,
+    });
+};
+
+/**
+ * Answers the API requests with the handlers of the mocks/ module, in place of the network.
+ * HTTPRequest sends its requests through it when config.api.mock.enabled is set, in development, on the
+ * server and in the static build alike, so the application always uses the real endpoint paths.
+ *
+ * A handler is { method, path, handler, delay }:
+ * - method: the HTTP method, "*" for any, defaults to "GET";
+ * - path: the path pattern, with the syntax of the routes (`/api/page/:slug`, `/api/files/*`...);
+ * - handler({ params, query, body, headers, method, url, request }): returns, or resolves to, the response
+ *   { status, body, headers, delay }, a Response, or { error: 'network' } to simulate a network failure.
+ *   A thrown error answers a 500;
+ * - delay: the latency in milliseconds, added to the global one.
+ */
+export class MockServer {
+    /**
+     * @param {Object[]} handlers - The handlers, matched in order.
+     * @param {Object} options - The options.
+     * @param {string} options.baseURL - Only the requests to this origin (and the relative ones) are mocked.
+     * @param {number} options.delay - Latency of every mocked response, in milliseconds.
+     * @param {boolean} options.passthrough - Send the requests without handler to the network, else answer a 404.
+     * @param {boolean} options.logger - Log the mocked requests in the console.
+     */
+    constructor(handlers = [], { baseURL = '', delay = 0, passthrough = true, logger = false } = {}) {
+        this.handlers = handlers.map((handler) => ({
+            method: 'GET',
+            ...handler,
+            ...compilePath(handler.path),
+        }));
+        this.origin = baseURL ? new URL(baseURL).origin : null;
+        this.delay = delay;
+        this.passthrough = passthrough;
+        this.logger = logger;
+    }
+
+    /**
+     * Finds the handler of a request.
+     * @param {string} method - The HTTP method.
+     * @param {URL} url - The URL.
+     * @returns {{ handler: Object, params: Object }|null} The handler and the path params, still encoded, or null.
+     */
+    match(method, url) {
+        const path = url.pathname.replace(/\/+$/, '');
+        for (const handler of this.handlers) {
+            if (handler.method !== '*' && handler.method.toUpperCase() !== method.toUpperCase()) {
+                continue;
+            }
+            const match = handler.regex.exec(path);
+            if (match) {
+                const params = Object.fromEntries(
+                    handler.keys
+                        .map((key, index) => [key, match[index + 1]])
+                        .filter(([, value]) => value !== undefined)
+                );
+                return { handler, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Answers a request.
+     * @param {string} input - The URL of the request.
+     * @param {Object} init - { method, headers, body, signal }, as passed to fetch.
+     * @returns {Promise<Response|null>} The response, or null when the request is left to the network.
+     */
+    async handle(input, init = {}) {
+        const base = typeof window !== 'undefined' ? window.location.origin : this.origin || 'http://localhost';
+        const url = new URL(input, base);
+        const method = (init.method || 'GET').toUpperCase();
+        if (this.origin && url.origin !== this.origin && url.origin !== base) {
+            return null;
+        }
+
+        const matched = this.match(method, url);
+        if (!matched) {
+            if (this.passthrough) {
+                return null;
+            }
+            return createResponse({ status: 404, body: { message: `No mock for ${method} ${url.pathname}` } });
+        }
+
+        const { handler, params } = matched;
+        const request = new Request(url, { method, headers: init.headers, body: init.body });
+        let result;
+        try {
+            result = await handler.handler({
+                // A malformed escape sequence throws a URIError, answered like the errors of the handler
+                params: Object.fromEntries(Object.entries(params).map(([key, value]) => [key, decodeURIComponent(value)])),
+                query: Object.fromEntries(url.searchParams),
+                body: await readRequestBody(request.clone()),
+                headers: request.headers,
+                method,
+                url,
+                request,
+            });
+        } catch (error) {
+            console.error(`Error in the mock of ${method} ${url.pathname}:`, error);
+            result = { status: 500, body: { message: error.message } };
+        }
+
+        const response = result instanceof Response ? result : result || {};
+        await sleep(this.delay + (handler.delay || 0) + (response.delay || 0), init.signal);
+
+        if (this.logger) {
+            console.log(`[mock] ${method} ${url.pathname}${url.search}`, response.status ?? (response.error ? response.error : 200));
+        }
+        if (response.error === 'network') {
+            throw new TypeError('Failed to fetch (mocked network error)');
+        }
+        return response instanceof Response ? response : createResponse(response);
+    }
+}
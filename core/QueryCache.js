@@ -0,0 +1,279 @@
+import config from '@/target.config';
+
+/**
+ * Checks if a cache key matches an invalidation pattern.
+ * A string matches its own key and the keys below it: "https://api.test/users" matches
+ * "https://api.test/users?page=2" and "https://api.test/users/1?", not "https://api.test/users-archive?".
+ * @param {string} key - The cache key.
+ * @param {string|RegExp|Function} match - A key or key prefix, a regular expression or a predicate.
+ * @returns {boolean} True if the key matches.
+ */
+const matchesKey = (key, match) => {
+    if (typeof match === 'function') {
+        return match(key);
+    }
+    if (match instanceof RegExp) {
+        return match.test(key);
+    }
+    return key === match || key.startsWith(`${match}?`) || key.startsWith(`${match}/`);
+};
+
+/**
+ * Cache of query results shared by the HTTPRequest instances, keyed by URL and params.
+ * - Concurrent fetches of a key share one request.
+ * - A result is fresh for staleTime milliseconds, then the next fetch sends the request again.
+ * - Subscribers receive the stale result right away while it is revalidated in the background, and every
+ *   update of the entry after that.
+ * - Entries without subscribers are removed cacheTime milliseconds after their last use.
+ * It is only used in the browser: on the server the cache would be shared by the requests of every visitor.
+ */
+export class QueryCache {
+    /**
+     * @param {Object} options - The options.
+     * @param {number} options.staleTime - Milliseconds during which a result is fresh, 0 to always revalidate.
+     * @param {number} options.cacheTime - Milliseconds after which an entry without subscribers is removed.
+     * @param {boolean} options.revalidateOnFocus - Revalidate the stale entries with subscribers when the page
+     *   becomes visible again or the browser goes back online.
+     */
+    constructor({ staleTime = 0, cacheTime = 5 * 60 * 1000, revalidateOnFocus = true } = {}) {
+        this.staleTime = staleTime;
+        this.cacheTime = cacheTime;
+        this.entries = new Map();
+
+        if (revalidateOnFocus && typeof window !== 'undefined') {
+            const revalidate = () => {
+                if (document.visibilityState !== 'hidden') {
+                    this.revalidateStale();
+                }
+            };
+            document.addEventListener('visibilitychange', revalidate);
+            window.addEventListener('online', revalidate);
+        }
+    }
+
+    /**
+     * Gets the entry of a key, created if it does not exist.
+     * @param {string} key - The cache key.
+     * @returns {Object} The entry.
+     */
+    getEntry(key) {
+        if (!this.entries.has(key)) {
+            this.entries.set(key, {
+                response: null,
+                error: null,
+                updatedAt: 0,
+                staleTime: this.staleTime,
+                promise: null,
+                fetcher: null,
+                listeners: new Set(),
+                gcTimer: null,
+            });
+        }
+        return this.entries.get(key);
+    }
+
+    /**
+     * Gets the state of a key.
+     * @param {string} key - The cache key.
+     * @returns {{ response: Object|null, error: Error|null, isFetching: boolean, isStale: boolean, updatedAt: number }|null}
+     *   The state, or null if the key is not cached.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        return {
+            response: entry.response,
+            error: entry.error,
+            isFetching: Boolean(entry.promise),
+            isStale: this.isStale(entry),
+            updatedAt: entry.updatedAt,
+        };
+    }
+
+    /**
+     * Checks if the result of an entry must be revalidated.
+     * @param {Object} entry - The entry.
+     * @param {number} staleTime - The stale time of the caller, defaults to the one of the entry.
+     * @returns {boolean} True if the entry has no result or an outdated one.
+     */
+    isStale(entry, staleTime = entry.staleTime) {
+        return !entry.response || Date.now() - entry.updatedAt >= staleTime;
+    }
+
+    /**
+     * Gets the result of a key: the cached one while it is fresh, else the one of the request in flight or of a
+     * new request.
+     * @param {string} key - The cache key.
+     * @param {Function} fetcher - Sends the request, resolves to the response.
+     * @param {Object} options - { staleTime, force }, force sends a new request unless one is in flight.
+     * @returns {Promise<Object>} The response.
+     */
+    fetch(key, fetcher, { staleTime, force = false } = {}) {
+        const entry = this.getEntry(key);
+        entry.fetcher = fetcher;
+        if (staleTime !== undefined) {
+            entry.staleTime = staleTime;
+        }
+        this.keepAlive(key, entry);
+
+        if (entry.promise) {
+            return entry.promise;
+        }
+        if (!force && !this.isStale(entry)) {
+            return Promise.resolve(entry.response);
+        }
+
+        entry.promise = Promise.resolve()
+            .then(() => fetcher())
+            .then((response) => {
+                Object.assign(entry, { response, error: null, updatedAt: Date.now() });
+                return response;
+            }, (error) => {
+                entry.error = error;
+                throw error;
+            })
+            .finally(() => {
+                entry.promise = null;
+                this.notify(key);
+                this.keepAlive(key, entry);
+            });
+        this.notify(key);
+        return entry.promise;
+    }
+
+    /**
+     * Sets the result of a key, e.g. after a mutation returning the updated resource.
+     * @param {string} key - The cache key.
+     * @param {Object|Function} response - The response, or a function receiving the cached one.
+     */
+    set(key, response) {
+        const entry = this.getEntry(key);
+        const value = typeof response === 'function' ? response(entry.response) : response;
+        Object.assign(entry, { response: value, error: null, updatedAt: Date.now() });
+        this.notify(key);
+        this.keepAlive(key, entry);
+    }
+
+    /**
+     * Subscribes to a key. The request is sent when the key has no fresh result, subscribers then receive the
+     * state of the key every time it changes (see get()).
+     * @param {string} key - The cache key.
+     * @param {Function} listener - Receives the state of the key.
+     * @param {Function} fetcher - Sends the request, resolves to the response.
+     * @param {Object} options - { staleTime }.
+     * @returns {Function} A function to unsubscribe.
+     */
+    subscribe(key, listener, fetcher, options = {}) {
+        const entry = this.getEntry(key);
+        entry.listeners.add(listener);
+        // A fresh entry is not fetched again, its removal must still be cancelled
+        this.keepAlive(key, entry);
+        this.revalidate(key, fetcher, options);
+
+        return () => {
+            entry.listeners.delete(listener);
+            this.keepAlive(key, entry);
+        };
+    }
+
+    /**
+     * Fetches a key in the background if its result is stale, the errors are kept in the entry.
+     * @param {string} key - The cache key.
+     * @param {Function} fetcher - Sends the request, defaults to the last fetcher of the key.
+     * @param {Object} options - { staleTime, force }.
+     */
+    revalidate(key, fetcher = null, options = {}) {
+        const entry = this.getEntry(key);
+        const fetch = fetcher || entry.fetcher;
+        if (fetch && (options.force || this.isStale(entry, options.staleTime ?? entry.staleTime))) {
+            this.fetch(key, fetch, { ...options, force: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * Revalidates the stale entries that have subscribers.
+     */
+    revalidateStale() {
+        this.entries.forEach((entry, key) => {
+            if (entry.listeners.size > 0) {
+                this.revalidate(key);
+            }
+        });
+    }
+
+    /**
+     * Marks the matching entries as stale, e.g. after a mutation. The ones with subscribers are fetched again
+     * right away, the others on their next fetch.
+     * @param {string|RegExp|Function} match - A key or key prefix, a regular expression or a predicate.
+     */
+    invalidate(match) {
+        this.entries.forEach((entry, key) => {
+            if (!matchesKey(key, match)) {
+                return;
+            }
+            entry.updatedAt = 0;
+            if (entry.listeners.size > 0) {
+                this.revalidate(key, null, { force: true });
+            }
+        });
+    }
+
+    /**
+     * Removes the matching entries.
+     * @param {string|RegExp|Function} match - A key or key prefix, a regular expression or a predicate.
+     */
+    remove(match) {
+        this.entries.forEach((entry, key) => {
+            if (matchesKey(key, match)) {
+                clearTimeout(entry.gcTimer);
+                this.entries.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Removes every entry, e.g. on logout so the next user never sees the data of the previous one.
+     */
+    clear() {
+        this.entries.forEach((entry) => clearTimeout(entry.gcTimer));
+        this.entries.clear();
+    }
+
+    /**
+     * Calls the subscribers of a key with its state.
+     * @param {string} key - The cache key.
+     */
+    notify(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+        const state = this.get(key);
+        entry.listeners.forEach((listener) => listener(state));
+    }
+
+    /**
+     * Schedules the removal of an entry without subscribers nor request in flight, after cacheTime.
+     * @param {string} key - The cache key.
+     * @param {Object} entry - The entry.
+     */
+    keepAlive(key, entry) {
+        clearTimeout(entry.gcTimer);
+        entry.gcTimer = null;
+        if (entry.listeners.size > 0 || entry.promise) {
+            return;
+        }
+        entry.gcTimer = setTimeout(() => {
+            if (this.entries.get(key) === entry) {
+                this.entries.delete(key);
+            }
+        }, this.cacheTime);
+    }
+}
+
+/**
+ * Cache shared by the HTTPRequest instances, configured by config.api.cache.
+ */
+export const queryCache = new QueryCache(config.api.cache);
@@ -0,0 +1,215 @@
+/**
+ * Keyed DOM reconciler.
+ * It diffs an HTML string against the live children of a container and only patches
+ * the nodes and attributes that changed, so focus, caret position, scroll offsets,
+ * running transitions and nested targets survive a re-render.
+ */
+class Reconciler {
+  /**
+   * Patches the children of a container so they match the given HTML string.
+   *
+   * @param {HTMLElement} container - The live DOM element to patch.
+   * @param {string} html - The HTML string the container should represent.
+   * @param {Object} [options] - Reconciliation options.
+   * @param {Function} [options.isTargetRoot] - Returns true for live elements owned by another target.
+   *   Their attributes and children are left untouched, the owning target renders them itself.
+   * @param {Function} [options.keepChildren] - Returns true for live elements whose attributes are patched
+   *   but whose children are left untouched, e.g. the host of a nested target that is not mounted yet.
+   * @returns {HTMLElement} - The patched container.
+   */
+  static patch(container, html, options = {}) {
+    const template = container.ownerDocument.createElement("template");
+    template.innerHTML = html;
+    Reconciler.patchChildren(container, template.content, options);
+    return container;
+  }
+
+  /**
+   * Reconciles the child nodes of a live parent with the child nodes of the next parent.
+   * Children with a `data-key` attribute are matched by key, others by position and type: when the live node
+   * at the cursor does not match, the next live nodes are searched for one of the same type, so removing a
+   * leading element does not recreate its siblings. Live nodes left unmatched are removed, comments included.
+   *
+   * @param {Node} live - The live parent node.
+   * @param {Node} next - The parent node holding the desired children.
+   * @param {Object} options - Reconciliation options.
+   */
+  static patchChildren(live, next, options) {
+    const keyed = new Map();
+    live.childNodes.forEach((node) => {
+      const key = Reconciler.getKey(node);
+      if (key !== null) {
+        keyed.set(key, node);
+      }
+    });
+
+    const kept = new Set();
+    let cursor = live.firstChild;
+
+    [...next.childNodes].forEach((nextNode) => {
+      const key = Reconciler.getKey(nextNode);
+      let match = null;
+
+      if (key !== null) {
+        const candidate = keyed.get(key);
+        if (candidate && Reconciler.isSameType(candidate, nextNode)) {
+          match = candidate;
+        }
+        keyed.delete(key);
+      } else {
+        match = Reconciler.findUnkeyed(cursor, nextNode);
+        // The nodes skipped to reach the match stay in place, they are removed below if nothing matches them
+        if (match) {
+          cursor = match;
+        }
+      }
+
+      if (!match) {
+        const node = live.ownerDocument.importNode(nextNode, true);
+        live.insertBefore(node, cursor);
+        kept.add(node);
+        return;
+      }
+
+      if (match === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        live.insertBefore(match, cursor);
+      }
+      kept.add(match);
+      Reconciler.patchNode(match, nextNode, options);
+    });
+
+    // Whatever was not matched has no counterpart in the next tree
+    [...live.childNodes].forEach((node) => {
+      if (!kept.has(node)) {
+        live.removeChild(node);
+      }
+    });
+  }
+
+  /**
+   * Finds the first unkeyed live node, from the cursor on, that can be patched into the next node.
+   *
+   * @param {Node|null} cursor - The first live node to compare.
+   * @param {Node} nextNode - The desired node.
+   * @returns {Node|null} - The matching live node, or null.
+   */
+  static findUnkeyed(cursor, nextNode) {
+    for (let node = cursor; node; node = node.nextSibling) {
+      if (Reconciler.getKey(node) === null && Reconciler.isSameType(node, nextNode)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Patches a single live node so it matches the next node of the same type.
+   *
+   * @param {Node} live - The live node.
+   * @param {Node} next - The desired node.
+   * @param {Object} options - Reconciliation options.
+   */
+  static patchNode(live, next, options) {
+    if (live.nodeType !== Node.ELEMENT_NODE) {
+      if (live.nodeValue !== next.nodeValue) {
+        live.nodeValue = next.nodeValue;
+      }
+      return;
+    }
+
+    if (options.isTargetRoot && options.isTargetRoot(live)) {
+      return;
+    }
+
+    Reconciler.patchAttributes(live, next);
+
+    if (live.nodeName === "TEXTAREA") {
+      if (live.defaultValue !== next.textContent) {
+        live.defaultValue = next.textContent;
+        live.value = next.textContent;
+      }
+      return;
+    }
+
+    if (options.keepChildren && options.keepChildren(live)) {
+      return;
+    }
+
+    Reconciler.patchChildren(live, next, options);
+  }
+
+  /**
+   * Adds, updates and removes attributes of a live element.
+   * Form control properties are kept in sync when their attribute changes.
+   *
+   * @param {HTMLElement} live - The live element.
+   * @param {HTMLElement} next - The desired element.
+   */
+  static patchAttributes(live, next) {
+    [...live.attributes].forEach(({ name }) => {
+      if (!next.hasAttribute(name)) {
+        live.removeAttribute(name);
+        Reconciler.syncProperty(live, name, null);
+      }
+    });
+
+    [...next.attributes].forEach(({ name, value }) => {
+      if (live.getAttribute(name) !== value) {
+        live.setAttribute(name, value);
+        Reconciler.syncProperty(live, name, value);
+      }
+    });
+  }
+
+  /**
+   * Mirrors a changed attribute to its live property (value, checked, selected).
+   * Attributes only set the default of these properties once the user interacted with the control.
+   *
+   * @param {HTMLElement} element - The live element.
+   * @param {string} name - The attribute name.
+   * @param {string|null} value - The new attribute value, or null when removed.
+   */
+  static syncProperty(element, name, value) {
+    if (name === "value" && "value" in element) {
+      element.value = value ?? "";
+    } else if (name === "checked" && "checked" in element) {
+      element.checked = value !== null;
+    } else if (name === "selected" && "selected" in element) {
+      element.selected = value !== null;
+    }
+  }
+
+  /**
+   * Gets the reconciliation key of a node.
+   *
+   * @param {Node} node - The node.
+   * @returns {string|null} - The value of the `data-key` attribute, or null.
+   */
+  static getKey(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute("data-key") : null;
+  }
+
+  /**
+   * Checks whether two nodes can be patched into each other.
+   * Elements hosting different targets are never considered the same.
+   *
+   * @param {Node} a - The first node.
+   * @param {Node} b - The second node.
+   * @returns {boolean} - True if the nodes share type, tag name and target name.
+   */
+  static isSameType(a, b) {
+    if (a.nodeType !== b.nodeType || a.nodeName !== b.nodeName) {
+      return false;
+    }
+
+    if (a.nodeType === Node.ELEMENT_NODE) {
+      return a.getAttribute("data-target-name") === b.getAttribute("data-target-name");
+    }
+
+    return true;
+  }
+}
+
+export { Reconciler };
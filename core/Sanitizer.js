@@ -0,0 +1,359 @@
+/**
+ * Tags allowed by default, with their allowed attributes.
+ */
+const defaultTags = {
+  b: [],
+  i: [],
+  u: [],
+  s: [],
+  a: ["href", "title"],
+  code: [],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: [],
+  li: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  p: [],
+  br: [],
+  hr: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tfoot: [],
+  tr: [],
+  th: [],
+  td: [],
+  div: [],
+  span: [],
+};
+
+/**
+ * URL schemes allowed by default in the URL attributes, relative URLs are always allowed.
+ */
+const defaultSchemes = ["http", "https", "mailto", "tel"];
+
+/**
+ * Attributes holding a URL, or a list of URLs for srcset.
+ */
+const urlAttributes = ["href", "src", "srcset", "action", "formaction", "cite", "poster", "background", "xlink:href"];
+
+/**
+ * Elements removed with their content when they are not allowed, the other elements are replaced by their
+ * content. Their content is code, or HTML parsed differently than the rest of the document.
+ */
+const droppedElements = [
+  "script", "style", "template", "iframe", "frame", "frameset", "object", "embed", "applet", "noscript",
+  "noembed", "noframes", "xmp", "plaintext", "textarea", "title", "select", "svg", "math",
+];
+
+/**
+ * Elements serialized without a closing tag.
+ */
+const voidElements = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+
+/**
+ * Elements whose content is text, up to their closing tag.
+ */
+const rawTextElements = ["script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes", "noscript"];
+
+/**
+ * Elements nested deeper are removed, so a hostile input cannot exhaust the stack.
+ */
+const maxDepth = 256;
+
+/**
+ * Named character references decoded when the HTML is not parsed by the browser, the others are kept as they
+ * are. They are enough to read the scheme of a URL: no other named reference decodes to a letter, a colon or
+ * the whitespace ignored in a scheme.
+ */
+const namedReferences = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", colon: ":", tab: "\t", newline: "\n" };
+
+/**
+ * Decodes the character references of a text parsed without the browser.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The decoded text.
+ */
+const decodeReferences = (text) =>
+  text.replace(/&(?:#x([\da-f]+);?|#(\d+);?|([a-z]+);)/gi, (reference, hex, decimal, name) => {
+    if (name) {
+      return namedReferences[name.toLowerCase()] ?? reference;
+    }
+    const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "�";
+  });
+
+/**
+ * Escapes a decoded text or attribute value.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeText = (text) =>
+  text.replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[char]));
+
+/**
+ * Escapes a text parsed without the browser, its character references are kept.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeRawText = (text) =>
+  text
+    .replace(/&(?!#x[\da-f]+;?|#\d+;?|[a-z][a-z\d]*;)/gi, "&amp;")
+    .replace(/[<>"]/g, (char) => ({ "<": "&lt;", ">": "&gt;", '"': "&quot;" }[char]));
+
+/**
+ * Parses an HTML fragment with the browser. The document of DOMParser is inert: its scripts never run and its
+ * resources are never loaded.
+ *
+ * @param {string} html - The HTML fragment.
+ * @returns {Object} - The root node, { type, name, attributes, children }.
+ */
+const parseWithDOM = (html) => {
+  const toNodes = (nodes, depth) => {
+    if (depth > maxDepth) {
+      return [];
+    }
+    return [...nodes]
+      .map((node) => {
+        if (node.nodeType === 3) {
+          return { type: "text", value: node.data };
+        }
+        if (node.nodeType !== 1) {
+          return null;
+        }
+        return {
+          type: "element",
+          name: node.localName,
+          attributes: [...node.attributes].map((attribute) => [attribute.name, attribute.value]),
+          children: toNodes(node.childNodes, depth + 1),
+        };
+      })
+      .filter(Boolean);
+  };
+
+  const body = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, "text/html").body;
+  return { type: "element", name: "#root", attributes: [], children: toNodes(body.childNodes, 1) };
+};
+
+/**
+ * Parses an HTML fragment without the browser, e.g. while rendering on the server.
+ * Text and attribute values keep their character references. Unclosed elements are closed at the end,
+ * comments, doctypes and closing tags without opening tag are ignored.
+ *
+ * @param {string} html - The HTML fragment.
+ * @returns {Object} - The root node, { type, name, attributes, children }.
+ */
+const parseWithTokenizer = (html) => {
+  const root = { type: "element", name: "#root", attributes: [], children: [] };
+  const stack = [root];
+  const tagRegex = /<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+  const attributeRegex = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let index = 0;
+
+  const pushText = (value) => {
+    const { children } = stack[stack.length - 1];
+    const last = children[children.length - 1];
+    if (!value) return;
+    if (last && last.type === "text") {
+      last.value += value;
+    } else {
+      children.push({ type: "text", value });
+    }
+  };
+
+  while (index < html.length) {
+    const next = html.indexOf("<", index);
+    if (next === -1) {
+      pushText(html.slice(index));
+      break;
+    }
+    pushText(html.slice(index, next));
+    index = next;
+
+    if (html.startsWith("<!--", index)) {
+      const end = html.indexOf("-->", index + 4);
+      index = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (/^<(?:[!?]|\/[^a-zA-Z])/.test(html.slice(index, index + 3))) {
+      // Doctypes, processing instructions and invalid closing tags are ignored up to the next ">"
+      const end = html.indexOf(">", index);
+      index = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    tagRegex.lastIndex = index;
+    const match = tagRegex.exec(html);
+    if (!match) {
+      pushText("<");
+      index++;
+      continue;
+    }
+    index = tagRegex.lastIndex;
+
+    const [, closing, tagName, source] = match;
+    const name = tagName.toLowerCase();
+    if (closing) {
+      const position = stack.map((node) => node.name).lastIndexOf(name);
+      if (position > 0) {
+        stack.length = position;
+      }
+      continue;
+    }
+
+    const attributes = [];
+    for (const [, attributeName, doubleQuoted, singleQuoted, unquoted] of source.matchAll(attributeRegex)) {
+      const attribute = attributeName.toLowerCase();
+      // The first of duplicated attributes wins, as in the browser
+      if (!attributes.some(([existing]) => existing === attribute)) {
+        attributes.push([attribute, doubleQuoted ?? singleQuoted ?? unquoted ?? ""]);
+      }
+    }
+    const element = { type: "element", name, attributes, children: [] };
+    stack[stack.length - 1].children.push(element);
+
+    if (rawTextElements.includes(name)) {
+      const end = html.slice(index).search(new RegExp(`</${name}[\\s/>]`, "i"));
+      const stop = end === -1 ? html.length : index + end;
+      element.children.push({ type: "text", value: html.slice(index, stop) });
+      index = stop;
+    } else if (!voidElements.includes(name)) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+};
+
+/**
+ * Sanitizes untrusted HTML with an allow-list of tags and attributes.
+ * The HTML is parsed with the browser parser (or a tokenizer on the server), then serialized from the
+ * parsed nodes: only the allowed tags and attributes are written back, and every text and attribute value is
+ * escaped, so the output cannot be parsed into other elements than the allowed ones.
+ *
+ * - Elements that are not allowed are replaced by their content, except script, style, iframe, svg... which
+ *   are removed with it.
+ * - Comments and the event handler attributes are always removed.
+ * - URL attributes (href, src...) are removed unless their URL is relative or uses an allowed scheme.
+ */
+class Sanitizer {
+  /**
+   * @param {Object} [options] - The allow-list.
+   * @param {Object} [options.tags] - The allowed tags, with their allowed attributes: { a: ["href", "title"] }.
+   * @param {string[]} [options.attributes] - The attributes allowed on every allowed tag, e.g. ["class"].
+   * @param {string[]} [options.schemes] - The URL schemes allowed in URL attributes.
+   */
+  constructor({ tags = defaultTags, attributes = [], schemes = defaultSchemes } = {}) {
+    this.tags = new Map(
+      Object.entries(tags).map(([tag, tagAttributes]) => [tag.toLowerCase(), tagAttributes.map((name) => name.toLowerCase())])
+    );
+    this.attributes = attributes.map((name) => name.toLowerCase());
+    this.schemes = schemes.map((scheme) => scheme.toLowerCase());
+  }
+
+  /**
+   * Creates a sanitizer allowing more tags and attributes than this one, e.g. for a target rendering images.
+   *
+   * @param {Object} [options] - { tags, attributes, schemes }. Tags and attributes are added, schemes replace
+   *   the ones of this sanitizer.
+   * @returns {Sanitizer} - The new sanitizer.
+   * @example
+   * const richText = sanitizer.extend({ tags: { img: ["src", "alt"] }, attributes: ["class"] });
+   */
+  extend({ tags = {}, attributes = [], schemes = this.schemes } = {}) {
+    return new Sanitizer({
+      tags: { ...Object.fromEntries(this.tags), ...tags },
+      attributes: [...this.attributes, ...attributes],
+      schemes,
+    });
+  }
+
+  /**
+   * Checks the URL of an attribute: relative URLs and the allowed schemes pass.
+   * The whitespace and control characters ignored by the browser are ignored too: " java\tscript:" is refused.
+   *
+   * @param {string} url - The decoded URL.
+   * @returns {boolean} - True if the URL is allowed.
+   */
+  isAllowedURL(url) {
+    const normalized = url.replace(/^[\u0000- ]+|[\u0000- ]+$/g, "").replace(/[\t\n\r]/g, "");
+    const scheme = /^([^:/?#]*):/.exec(normalized);
+    return !scheme || this.schemes.includes(scheme[1].toLowerCase());
+  }
+
+  /**
+   * Checks an attribute of an allowed tag.
+   *
+   * @param {string} tag - The tag name.
+   * @param {string} name - The attribute name.
+   * @param {string} value - The decoded value.
+   * @returns {boolean} - True if the attribute is kept.
+   */
+  isAllowedAttribute(tag, name, value) {
+    if (name.startsWith("on") || !(this.tags.get(tag).includes(name) || this.attributes.includes(name))) {
+      return false;
+    }
+    if (name === "srcset") {
+      return value.split(",").every((candidate) => this.isAllowedURL(candidate.trim().split(/\s+/)[0]));
+    }
+    return !urlAttributes.includes(name) || this.isAllowedURL(value);
+  }
+
+  /**
+   * Sanitizes an HTML fragment.
+   *
+   * @param {string} html - The untrusted HTML.
+   * @returns {string} - The sanitized HTML.
+   */
+  sanitize(html) {
+    if (typeof html !== "string" || html === "") {
+      return "";
+    }
+
+    // Without browser, e.g. on the server, the values keep their character references
+    const isRaw = typeof DOMParser === "undefined";
+    const root = isRaw ? parseWithTokenizer(html) : parseWithDOM(html);
+    const decode = isRaw ? decodeReferences : (value) => value;
+    const escape = isRaw ? escapeRawText : escapeText;
+
+    const serialize = (node, depth) => {
+      if (node.type === "text") {
+        return escape(node.value);
+      }
+      if (depth > maxDepth) {
+        return "";
+      }
+
+      const content = () => node.children.map((child) => serialize(child, depth + 1)).join("");
+      if (!this.tags.has(node.name)) {
+        return droppedElements.includes(node.name) ? "" : content();
+      }
+
+      const attributes = node.attributes
+        .filter(([name, value]) => this.isAllowedAttribute(node.name, name, decode(value)))
+        .map(([name, value]) => ` ${name}="${escape(value)}"`)
+        .join("");
+      if (voidElements.includes(node.name)) {
+        return `<${node.name}${attributes}>`;
+      }
+      return `<${node.name}${attributes}>${content()}</${node.name}>`;
+    };
+
+    return root.children.map((child) => serialize(child, 1)).join("");
+  }
+}
+
+/**
+ * Default sanitizer of the targets, allowing the formatting tags and links.
+ */
+const sanitizer = new Sanitizer();
+
+export { Sanitizer, sanitizer };
@@ -0,0 +1,167 @@
+/**
+ * Storage adapters used by Store to persist its state.
+ * An adapter stores strings by key, like the Web Storage API:
+ * - getItem(key) returns the value or null;
+ * - setItem(key, value) stores the value;
+ * - removeItem(key) removes it.
+ * Each method may return a promise, e.g. for IndexedDB.
+ */
+
+/**
+ * Keeps the values in memory, they are lost when the page is reloaded.
+ * Useful for tests, server rendering and state that must not outlive the page.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Wraps sessionStorage or localStorage.
+ * When the storage is not available (server rendering, privacy mode, quota exceeded), reads return null
+ * and writes are ignored instead of throwing.
+ */
+export class WebStorage {
+    /**
+     * @param {string} type - 'sessionStorage' or 'localStorage'.
+     */
+    constructor(type = 'sessionStorage') {
+        this.type = type;
+    }
+
+    /**
+     * Gets the underlying storage, or null if it is not available.
+     * @returns {Storage|null} The storage.
+     */
+    getStorage() {
+        try {
+            return typeof window !== 'undefined' ? window[this.type] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getItem(key) {
+        const storage = this.getStorage();
+        return storage ? storage.getItem(key) : null;
+    }
+
+    setItem(key, value) {
+        try {
+            const storage = this.getStorage();
+            if (storage) {
+                storage.setItem(key, value);
+            }
+        } catch (error) {
+            console.error(`Unable to write "${key}" to ${this.type}:`, error);
+        }
+    }
+
+    removeItem(key) {
+        try {
+            const storage = this.getStorage();
+            if (storage) {
+                storage.removeItem(key);
+            }
+        } catch (error) {
+            console.error(`Unable to remove "${key}" from ${this.type}:`, error);
+        }
+    }
+}
+
+/**
+ * Stores the values in an IndexedDB object store, for states too large for the Web Storage quota.
+ * Every method returns a promise.
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {string} databaseName - The name of the database.
+     * @param {string} storeName - The name of the object store.
+     */
+    constructor(databaseName = 'target-store', storeName = 'state') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    /**
+     * Opens the database once, creating the object store on the first run.
+     * @returns {Promise<IDBDatabase>} The database.
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Runs a request on the object store.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {Function} createRequest - Receives the object store and returns the request.
+     * @returns {Promise<*>} The result of the request.
+     */
+    async request(mode, createRequest) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = createRequest(database.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.request('readonly', (store) => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    setItem(key, value) {
+        return this.request('readwrite', (store) => store.put(String(value), key));
+    }
+
+    removeItem(key) {
+        return this.request('readwrite', (store) => store.delete(key));
+    }
+}
+
+/**
+ * Gets a storage adapter from its name, adapters are returned as is.
+ * @param {string|Object} storage - 'memory', 'session', 'local', 'indexeddb' or an adapter.
+ * @returns {Object} The storage adapter.
+ */
+export const createStorage = (storage = 'session') => {
+    if (typeof storage !== 'string') {
+        return storage;
+    }
+
+    switch (storage) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'session':
+            return new WebStorage('sessionStorage');
+        case 'local':
+            return new WebStorage('localStorage');
+        case 'indexeddb':
+            return new IndexedDBStorage();
+        default:
+            throw new Error(`Unknown storage "${storage}", expected memory, session, local or indexeddb.`);
+    }
+};
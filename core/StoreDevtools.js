@@ -0,0 +1,119 @@
+/**
+ * Inline styles of the panel, it must not depend on the styles of the application.
+ */
+const panelStyle = 'position:fixed;right:8px;bottom:8px;z-index:2147483647;width:320px;max-height:50vh;overflow:auto;'
+    + 'background:#0f172a;color:#e2e8f0;font:12px/1.4 monospace;border-radius:6px;box-shadow:0 4px 16px rgba(0,0,0,.3);';
+const buttonStyle = 'background:#334155;color:inherit;border:0;border-radius:3px;padding:2px 8px;margin-left:4px;cursor:pointer;font:inherit;';
+
+/**
+ * Development panel listing the actions of a store.
+ * Clicking an action restores the state right after it, undo and redo move one action back or forward.
+ * Created by Store when its `devtools` option is set, in development with the logger enabled.
+ */
+export class StoreDevtools {
+    /**
+     * @param {Store} store - The inspected store.
+     * @param {string} name - The name displayed in the panel.
+     */
+    constructor(store, name) {
+        this.store = store;
+        this.name = name;
+        this.isCollapsed = true;
+        this.panel = document.createElement('div');
+        this.panel.setAttribute('data-store-devtools', name);
+        this.panel.style.cssText = panelStyle;
+        this.panel.addEventListener('click', (event) => this.handleClick(event));
+
+        const mount = () => {
+            document.body.appendChild(this.panel);
+            this.render();
+        };
+        if (document.body) {
+            mount();
+        } else {
+            document.addEventListener('DOMContentLoaded', mount, { once: true });
+        }
+
+        this.unsubscribe = store.subscribe(() => this.render());
+    }
+
+    /**
+     * Handles the buttons and the actions of the panel.
+     * @param {MouseEvent} event - The click event.
+     */
+    handleClick(event) {
+        const element = event.target.closest('[data-devtools-action]');
+        if (!element) {
+            return;
+        }
+
+        const action = element.getAttribute('data-devtools-action');
+        if (action === 'toggle') {
+            this.isCollapsed = !this.isCollapsed;
+            this.render();
+        } else if (action === 'undo') {
+            this.store.undo();
+        } else if (action === 'redo') {
+            this.store.redo();
+        } else if (action === 'jump') {
+            this.store.jumpTo(Number(element.getAttribute('data-index')));
+        }
+    }
+
+    /**
+     * Creates an element with text content, values coming from the state are never parsed as HTML.
+     * @param {string} tagName - The tag name.
+     * @param {string} text - The text content.
+     * @param {Object} attributes - The attributes.
+     * @returns {HTMLElement} The element.
+     */
+    createElement(tagName, text = '', attributes = {}) {
+        const element = document.createElement(tagName);
+        element.textContent = text;
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Renders the panel from the history of the store.
+     */
+    render() {
+        const { history, historyIndex } = this.store;
+        const header = this.createElement('div', '', { style: 'display:flex;align-items:center;padding:6px 8px;background:#1e293b;' });
+        header.append(
+            this.createElement('strong', `${this.name} (${history.length - 1})`, { 'data-devtools-action': 'toggle', style: 'flex:1;cursor:pointer;' }),
+            this.createElement('button', 'Undo', { 'data-devtools-action': 'undo', style: buttonStyle }),
+            this.createElement('button', 'Redo', { 'data-devtools-action': 'redo', style: buttonStyle })
+        );
+        this.panel.replaceChildren(header);
+
+        if (this.isCollapsed) {
+            return;
+        }
+
+        const list = this.createElement('ol', '', { start: '0', style: 'margin:0;padding:4px 8px 4px 32px;' });
+        history.forEach((entry, index) => {
+            const time = new Date(entry.timestamp).toLocaleTimeString();
+            const item = this.createElement('li', `${entry.type} · ${time}`, {
+                'data-devtools-action': 'jump',
+                'data-index': String(index),
+                title: entry.payload === undefined ? '' : JSON.stringify(entry.payload, null, 2),
+                style: `cursor:pointer;padding:2px 0;${index === historyIndex ? 'color:#4ade80;font-weight:bold;' : ''}${index > historyIndex ? 'opacity:.5;' : ''}`,
+            });
+            list.appendChild(item);
+        });
+
+        const state = this.createElement('pre', JSON.stringify(this.store.getState(), null, 2), {
+            style: 'margin:0;padding:8px;border-top:1px solid #334155;white-space:pre-wrap;',
+        });
+        this.panel.append(list, state);
+    }
+
+    /**
+     * Removes the panel.
+     */
+    destroy() {
+        this.unsubscribe();
+        this.panel.remove();
+    }
+}
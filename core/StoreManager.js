@@ -1,39 +1,334 @@
+import { shallowEqual } from '@utils';
+import { createStorage, WebStorage } from '@core/StorageAdapters';
+import { TabSync } from '@core/TabSync';
+import { StoreDevtools } from '@core/StoreDevtools';
+import config from '@/target.config';
+
+/**
+ * Selector returning the whole state, used by the listeners subscribed without selector.
+ * @param {Object} state - The state.
+ * @returns {Object} The state.
+ */
+const selectState = (state) => state;
+
 /**
  * Class representing a state store.
- * This class provides methods to manage state, persist it in session storage,
+ * This class provides methods to manage state, persist it (in session storage by default),
  * and notify subscribers about state changes.
  */
 export class Store {
     /**
      * Creates a store instance with initial state and storage key.
      * @param {Object} initialState - The initial state of the store.
-     * @param {string} storageKey - The key used to store state in session storage.
+     * @param {string} storageKey - The key used to persist the state.
+     * @param {Object} [options] - Persistence options.
+     * @param {string|Object} [options.storage='session'] - 'memory', 'session', 'local', 'indexeddb' or a storage adapter.
+     * @param {string[]} [options.whitelist] - The only keys persisted.
+     * @param {string[]} [options.blacklist] - Keys never persisted.
+     * @param {number} [options.debounce=0] - Delay in milliseconds to group the writes, 0 writes on every setState.
+     * @param {number} [options.version=0] - The version of the state shape.
+     * @param {Object} [options.migrations] - Functions upgrading a persisted state, indexed by the version they upgrade to.
+     * @param {boolean|Object} [options.sync=false] - Synchronizes the state with the other tabs (see enableSync).
+     * @param {Object} [options.actions] - Reducers of the named actions, see registerActions.
+     * @param {Function[]} [options.middleware] - Middleware run on every dispatched action, see use.
+     * @param {number} [options.historyLimit=50] - Number of states kept for undo, redo and the devtools.
+     * @param {boolean|string} [options.devtools=false] - Shows the devtools panel, with this name, in development.
      */
-    constructor(initialState = {}, storageKey = 'storeState') {
+    constructor(initialState = {}, storageKey = 'storeState', options = {}) {
       this.state = initialState;
-      this.listeners = [];
+      this.subscriptions = [];
       this.storageKey = storageKey;
-      this.loadStateFromSessionStorage();
+      this.storage = createStorage(options.storage);
+      this.whitelist = options.whitelist || null;
+      this.blacklist = options.blacklist || [];
+      this.debounce = options.debounce || 0;
+      this.version = options.version || 0;
+      this.migrations = options.migrations || {};
+      this.saveTimeout = null;
+      this.isLoaded = false;
+      this.isNotificationScheduled = false;
+      this.batchDepth = 0;
+      this.tabSync = null;
+      this.resolveConflict = null;
+      // Time and tab of the last change of each key, to order the changes received from other tabs
+      this.keyUpdates = {};
+      this.actions = {};
+      this.middleware = [];
+      this.dispatchChain = null;
+      this.historyLimit = options.historyLimit ?? 50;
+      this.registerActions(options.actions || {});
+      (options.middleware || []).forEach((middleware) => this.use(middleware));
+
+      // Resolved once the persisted state is loaded, right away unless the storage is asynchronous
+      this.ready = this.loadPersistedState();
+
+      if (options.sync) {
+        this.enableSync(options.sync === true ? {} : options.sync);
+      }
+
+      // The history starts from the loaded state, again once an asynchronous storage has loaded it
+      this.resetHistory();
+
+      if (options.devtools && config.logger && config.dev && typeof document !== 'undefined') {
+        this.devtools = new StoreDevtools(this, options.devtools === true ? storageKey : options.devtools);
+      }
+
+      if (this.debounce && typeof window !== 'undefined') {
+        // Pending writes are not lost when the page is closed
+        window.addEventListener('pagehide', () => this.flush());
+      }
+    }
+
+    /**
+     * Synchronizes the state with the stores of the other tabs using the same channel.
+     * Each setState sends its changes, restricted to the persisted keys, to the other tabs which apply them
+     * and notify their listeners as if the change were local.
+     * Changes are ordered per key, the last one wins. When a change from another tab is older than the local
+     * value of a key, the local value is kept, unless resolveConflict returns another value, which is then
+     * sent to every tab.
+     * @param {Object} [options] - Sync options.
+     * @param {string} [options.channel] - The channel name, defaults to the storage key.
+     * @param {Function} [options.resolveConflict] - Receives the key, the local value and the older remote value,
+     *   returns the value to keep.
+     */
+    enableSync({ channel = `target-store:${this.storageKey}`, resolveConflict = null } = {}) {
+      if (this.tabSync) {
+        return;
+      }
+
+      this.tabSync = new TabSync(channel);
+      this.resolveConflict = resolveConflict;
+      this.tabSync.subscribe((message) => {
+        if (message.type === 'state') {
+          this.applyRemoteState(message.changes, message.timestamp, message.sourceId);
+        }
+      });
     }
-  
+
+    /**
+     * Stops synchronizing the state with the other tabs.
+     */
+    disableSync() {
+      if (this.tabSync) {
+        this.tabSync.close();
+        this.tabSync = null;
+      }
+    }
+
+    /**
+     * Applies the changes made by another tab.
+     * @param {Object} changes - The changed keys and their value.
+     * @param {number} timestamp - The time of the change.
+     * @param {string} sourceId - The ID of the tab, breaks the ties between changes made at the same time.
+     */
+    applyRemoteState(changes, timestamp, sourceId) {
+      const accepted = {};
+      const resolved = {};
+
+      Object.entries(changes).forEach(([key, value]) => {
+        const local = this.keyUpdates[key];
+        const isNewer = !local || timestamp > local.timestamp || (timestamp === local.timestamp && sourceId > local.sourceId);
+
+        if (isNewer) {
+          accepted[key] = value;
+          this.keyUpdates[key] = { timestamp, sourceId };
+        } else if (this.resolveConflict) {
+          const resolvedValue = this.resolveConflict(key, this.state[key], value);
+          if (!Object.is(resolvedValue, this.state[key])) {
+            resolved[key] = resolvedValue;
+          }
+        }
+      });
+
+      if (Object.keys(accepted).length) {
+        this.state = { ...this.state, ...accepted };
+        this.persistState();
+        this.scheduleNotification();
+        this.recordAction({ type: '@@sync', payload: accepted });
+      }
+
+      if (Object.keys(resolved).length) {
+        this.setState(resolved);
+      }
+    }
+
+    /**
+     * Loads the persisted state and merges it into the current state.
+     * Corrupt data is discarded, data from an older version is migrated and data from a newer version
+     * (e.g. written by a more recent deployment in another tab) is ignored.
+     * @returns {Promise<void>} Resolved once the state is loaded.
+     */
+    loadPersistedState() {
+      const apply = (savedState) => {
+        const persistedState = this.parsePersistedState(savedState);
+        if (persistedState) {
+          this.state = { ...this.state, ...persistedState };
+        }
+      };
+
+      try {
+        const savedState = this.storage.getItem(this.storageKey);
+        if (!savedState || typeof savedState.then !== 'function') {
+          apply(savedState);
+          this.isLoaded = true;
+          return Promise.resolve();
+        }
+
+        // Asynchronous storage: changes made before the load keep precedence over the persisted state,
+        // and are only written once it is loaded so they do not overwrite it
+        const initialState = this.state;
+        return savedState
+          .then((value) => {
+            const changes = this.getChangedKeys(initialState);
+            apply(value);
+            this.state = { ...this.state, ...changes };
+            // Undoing back to the initial entry must not drop the persisted state
+            this.resetHistory();
+            this.scheduleNotification();
+          })
+          .catch((error) => console.error(`Unable to load the state "${this.storageKey}":`, error))
+          .finally(() => {
+            this.isLoaded = true;
+            this.persistState();
+          });
+      } catch (error) {
+        console.error(`Unable to load the state "${this.storageKey}":`, error);
+        this.isLoaded = true;
+        return Promise.resolve();
+      }
+    }
+
+    /**
+     * Parses and migrates a persisted state.
+     * @param {string|null} savedState - The persisted JSON.
+     * @returns {Object|null} The state to merge, or null if there is none or it cannot be used.
+     */
+    parsePersistedState(savedState) {
+      if (!savedState) {
+        return null;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(savedState);
+      } catch (error) {
+        console.error(`Discarding the corrupt state "${this.storageKey}":`, error);
+        try {
+          const result = this.storage.removeItem(this.storageKey);
+          if (result && typeof result.catch === 'function') {
+            result.catch((removeError) => console.error(`Unable to remove the state "${this.storageKey}":`, removeError));
+          }
+        } catch (removeError) {
+          console.error(`Unable to remove the state "${this.storageKey}":`, removeError);
+        }
+        return null;
+      }
+
+      // States saved before versioning are the plain state object, at version 0
+      const isVersioned = parsed && typeof parsed.version === 'number' && 'state' in parsed;
+      let version = isVersioned ? parsed.version : 0;
+      let state = isVersioned ? parsed.state : parsed;
+
+      if (!state || typeof state !== 'object') {
+        return null;
+      }
+
+      if (version > this.version) {
+        console.warn(`Ignoring the state "${this.storageKey}" saved with the newer version ${version}.`);
+        return null;
+      }
+
+      try {
+        while (version < this.version) {
+          version++;
+          if (this.migrations[version]) {
+            state = this.migrations[version](state);
+          }
+        }
+      } catch (error) {
+        console.error(`Unable to migrate the state "${this.storageKey}" to version ${version}:`, error);
+        return null;
+      }
+
+      return this.pickPersistedKeys(state);
+    }
+
+    /**
+     * Gets the keys of the state whose value differs from another state.
+     * @param {Object} previousState - The state to compare with.
+     * @returns {Object} The changed keys and their current value.
+     */
+    getChangedKeys(previousState) {
+      return Object.fromEntries(
+        Object.entries(this.state).filter(([key, value]) => !Object.is(previousState[key], value))
+      );
+    }
+
+    /**
+     * Keeps the keys of a state allowed by the whitelist and the blacklist.
+     * @param {Object} state - The state.
+     * @returns {Object} The persisted part of the state.
+     */
+    pickPersistedKeys(state) {
+      return Object.fromEntries(
+        Object.entries(state).filter(([key]) => {
+          return (!this.whitelist || this.whitelist.includes(key)) && !this.blacklist.includes(key);
+        })
+      );
+    }
+
+    /**
+     * Persists the state, after the debounce delay if one is set.
+     * Nothing is written until the persisted state is loaded.
+     */
+    persistState() {
+      if (!this.isLoaded) {
+        return;
+      }
+
+      if (!this.debounce) {
+        this.flush();
+        return;
+      }
+
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = setTimeout(() => this.flush(), this.debounce);
+    }
+
+    /**
+     * Writes the persisted keys of the state and its version to the storage right away.
+     */
+    flush() {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+
+      try {
+        const value = JSON.stringify({ version: this.version, state: this.pickPersistedKeys(this.state) });
+        const result = this.storage.setItem(this.storageKey, value);
+        if (result && typeof result.catch === 'function') {
+          result.catch((error) => console.error(`Unable to save the state "${this.storageKey}":`, error));
+        }
+      } catch (error) {
+        console.error(`Unable to save the state "${this.storageKey}":`, error);
+      }
+    }
+
     /**
      * Loads the state from session storage.
-     * If state exists in session storage, it overwrites the initial state.
+     * @deprecated Use loadPersistedState, the storage is set by the store options.
      */
     loadStateFromSessionStorage() {
-      const savedState = sessionStorage.getItem(this.storageKey);
-      if (savedState) {
-        this.state = JSON.parse(savedState);
-      }
+      return this.loadPersistedState();
     }
-  
+
     /**
      * Saves the current state to session storage.
+     * @deprecated Use persistState, the storage is set by the store options.
      */
     saveStateToSessionStorage() {
-      sessionStorage.setItem(this.storageKey, JSON.stringify(this.state));
+      this.persistState();
     }
-  
+
     /**
      * Gets the current state of the store.
      * @returns {Object} The current state.
@@ -41,36 +336,291 @@ export class Store {
     getState() {
       return this.state;
     }
-  
+
     /**
-     * Sets the new state and notifies listeners about the state change.
-     * The new state is merged with the current state.
+     * Reads a value from the current state.
+     * @param {Function} selector - Receives the state and returns the selected value.
+     * @returns {*} The selected value.
+     */
+    select(selector) {
+      return selector(this.state);
+    }
+
+    /**
+     * Sets the new state and schedules the notification of the listeners.
+     * The new state is merged with the current state. The state is updated right away, the listeners are
+     * notified once per tick, after every setState of the tick.
+     * The change is recorded in the history as a "setState" action, prefer dispatch to name it.
      * @param {Object} newState - The new state to set.
      */
     setState(newState) {
-      this.state = { ...this.state, ...newState };
-      this.saveStateToSessionStorage();
-      this.notifyListeners();
+      this.commit(newState, { type: 'setState', payload: newState });
+    }
+
+    /**
+     * Applies changes to the state: persists them, notifies the listeners, sends them to the other tabs
+     * and records the action that made them.
+     * @param {Object} changes - The changed keys and their value.
+     * @param {Object|null} action - The action recorded in the history, null to skip the history.
+     */
+    commit(changes, action) {
+      this.state = { ...this.state, ...changes };
+      this.persistState();
+      this.scheduleNotification();
+      this.broadcastChanges(changes);
+
+      if (action) {
+        this.recordAction(action);
+      }
+    }
+
+    /**
+     * Sends changes to the other tabs when the sync is enabled.
+     * @param {Object} changes - The changed keys and their value.
+     */
+    broadcastChanges(changes) {
+      if (!this.tabSync) {
+        return;
+      }
+
+      const timestamp = Date.now();
+      Object.keys(changes).forEach((key) => {
+        this.keyUpdates[key] = { timestamp, sourceId: this.tabSync.sourceId };
+      });
+
+      const persistedChanges = this.pickPersistedKeys(changes);
+      if (Object.keys(persistedChanges).length) {
+        // Only a state already persisted to localStorage may go through its fallback, see TabSync
+        const isShared = this.storage instanceof WebStorage && this.storage.type === 'localStorage';
+        this.tabSync.post({ type: 'state', changes: persistedChanges, timestamp }, { sensitive: !isShared });
+      }
+    }
+
+    /**
+     * Registers the reducers of named actions.
+     * A reducer receives the state and the payload, and returns the keys to change, like setState.
+     * @param {Object} actions - The reducers, indexed by action type, e.g. { 'cart/add': (state, item) => ... }.
+     */
+    registerActions(actions) {
+      Object.assign(this.actions, actions);
     }
-  
+
     /**
-     * Notifies all subscribed listeners about the state change.
+     * Adds a middleware to the dispatch chain.
+     * A middleware has the signature `(store) => (next) => (action) => result`: it can log, validate, transform
+     * or stop the action, and dispatch other actions. See core/StoreMiddleware.js for the built-in ones.
+     * @param {Function} middleware - The middleware.
+     * @returns {Store} The store, to chain calls.
+     */
+    use(middleware) {
+      this.middleware.push(middleware);
+      this.dispatchChain = null;
+      return this;
+    }
+
+    /**
+     * Dispatches a named action through the middleware chain, then applies its reducer.
+     * @param {string|Function} type - The action type, or a function handled by the thunk middleware.
+     * @param {*} [payload] - The payload passed to the reducer.
+     * @returns {*} The value returned by the chain, the action once reduced.
+     */
+    dispatch(type, payload) {
+      if (!this.dispatchChain) {
+        const reduce = (action) => this.reduce(action);
+        this.dispatchChain = this.middleware.reduceRight((next, middleware) => middleware(this)(next), reduce);
+      }
+
+      return this.dispatchChain(typeof type === 'function' ? type : { type, payload });
+    }
+
+    /**
+     * Applies the reducer of an action, at the end of the dispatch chain.
+     * @param {Object} action - The action.
+     * @returns {Object} The action.
+     */
+    reduce(action) {
+      if (typeof action === 'function') {
+        throw new Error('Store: add the thunk middleware to dispatch functions.');
+      }
+
+      const reducer = this.actions[action.type];
+      if (!reducer) {
+        throw new Error(`Store: unknown action "${action.type}".`);
+      }
+
+      this.commit(reducer(this.state, action.payload) || {}, action);
+      return action;
+    }
+
+    /**
+     * Starts the history from the current state, as its "@@init" entry.
+     */
+    resetHistory() {
+      this.history = [{ type: '@@init', payload: undefined, state: this.state, timestamp: Date.now() }];
+      this.historyIndex = 0;
+    }
+
+    /**
+     * Adds an action and the resulting state to the history.
+     * Actions undone before are dropped, and the oldest entries beyond the history limit are removed.
+     * @param {Object} action - The action.
+     */
+    recordAction(action) {
+      this.history = this.history.slice(0, this.historyIndex + 1);
+      this.history.push({ type: action.type, payload: action.payload, state: this.state, timestamp: Date.now() });
+      if (this.history.length > this.historyLimit + 1) {
+        this.history = this.history.slice(-(this.historyLimit + 1));
+      }
+      this.historyIndex = this.history.length - 1;
+    }
+
+    /**
+     * Restores the state of a history entry, without recording a new action.
+     * The entries after it are kept, so redo or another jump can come back to them.
+     * @param {number} index - The index of the entry in store.history.
+     */
+    jumpTo(index) {
+      const entry = this.history[index];
+      if (!entry || index === this.historyIndex) {
+        return;
+      }
+
+      const previousState = this.state;
+      this.state = entry.state;
+      this.historyIndex = index;
+      this.persistState();
+      this.scheduleNotification();
+      const removedKeys = Object.keys(previousState).filter((key) => !(key in this.state));
+      this.broadcastChanges({
+        ...Object.fromEntries(removedKeys.map((key) => [key, undefined])),
+        ...this.getChangedKeys(previousState),
+      });
+    }
+
+    /**
+     * Restores the state before the last action.
+     * @returns {boolean} False if there is nothing to undo.
+     */
+    undo() {
+      if (this.historyIndex === 0) {
+        return false;
+      }
+      this.jumpTo(this.historyIndex - 1);
+      return true;
+    }
+
+    /**
+     * Applies again the last undone action.
+     * @returns {boolean} False if there is nothing to redo.
+     */
+    redo() {
+      if (this.historyIndex >= this.history.length - 1) {
+        return false;
+      }
+      this.jumpTo(this.historyIndex + 1);
+      return true;
+    }
+
+    /**
+     * Runs several updates and notifies the listeners once, synchronously, when they are done.
+     * @param {Function} callback - The function updating the state.
+     * @returns {*} The value returned by the callback.
+     */
+    batch(callback) {
+      this.batchDepth++;
+      try {
+        return callback();
+      } finally {
+        this.batchDepth--;
+        if (this.batchDepth === 0) {
+          this.notifyListeners();
+        }
+      }
+    }
+
+    /**
+     * Schedules the notification of the listeners in a microtask, unless one is already pending.
+     */
+    scheduleNotification() {
+      if (this.batchDepth > 0 || this.isNotificationScheduled) {
+        return;
+      }
+
+      this.isNotificationScheduled = true;
+      queueMicrotask(() => {
+        if (this.isNotificationScheduled) {
+          this.notifyListeners();
+        }
+      });
+    }
+
+    /**
+     * Notifies the subscribed listeners whose selected value changed since their last notification.
      */
     notifyListeners() {
-      this.listeners.forEach(listener => listener(this.state));
+      this.isNotificationScheduled = false;
+
+      // Listeners subscribed or unsubscribed by another listener are taken into account on the next change
+      [...this.subscriptions].forEach((subscription) => {
+        if (!this.subscriptions.includes(subscription)) {
+          return;
+        }
+
+        const value = subscription.selector(this.state);
+        if (subscription.selector !== selectState && shallowEqual(value, subscription.value)) {
+          return;
+        }
+
+        const previousValue = subscription.value;
+        subscription.value = value;
+        subscription.listener(value, previousValue);
+      });
     }
-  
+
     /**
      * Subscribes a listener to state changes.
-     * The listener is called with the current state whenever it changes.
-     * @param {Function} listener - The listener function to subscribe.
+     * Without selector, the listener is called with the current state whenever it changes.
+     * With a selector, it is called with the selected value and the previous one, only when the selected
+     * value changes (shallow comparison).
+     * @param {Function} selector - Receives the state and returns the value to watch, or the listener.
+     * @param {Function} [listener] - The listener function to subscribe.
      * @returns {Function} A function to unsubscribe the listener.
      */
-    subscribe(listener) {
-      this.listeners.push(listener);
+    subscribe(selector, listener) {
+      if (listener === undefined) {
+        listener = selector;
+        selector = selectState;
+      }
+
+      const subscription = { selector, listener, value: selector(this.state) };
+      this.subscriptions.push(subscription);
       return () => {
-        this.listeners = this.listeners.filter(l => l !== listener);
+        this.subscriptions = this.subscriptions.filter(s => s !== subscription);
+      };
+    }
+
+    /**
+     * Creates a computed value: a selector deriving a value from other selectors.
+     * The result is cached until one of the dependencies returns a different value (Object.is), so the
+     * computation only runs when its inputs change and keeps returning the same reference otherwise.
+     * @param {Function[]} dependencies - The selectors the value depends on.
+     * @param {Function} compute - Receives the values of the dependencies and returns the computed value.
+     * @returns {Function} A selector, to use with select() or subscribe(). Called without state, it reads the store state.
+     */
+    computed(dependencies, compute) {
+      let lastInputs = null;
+      let lastValue;
+
+      return (state = this.state) => {
+        const inputs = dependencies.map((dependency) => dependency(state));
+        if (lastInputs && inputs.every((input, index) => Object.is(input, lastInputs[index]))) {
+          return lastValue;
+        }
+
+        lastInputs = inputs;
+        lastValue = compute(...inputs);
+        return lastValue;
       };
     }
   }
-  
\ No newline at end of file
+
@@ -0,0 +1,51 @@
+/**
+ * Built-in middleware for Store.dispatch.
+ * A middleware has the signature `(store) => (next) => (action) => result`, where `next` passes the
+ * action to the following middleware, the last one applying the reducer of the action.
+ */
+
+/**
+ * Lets actions be functions receiving dispatch and getState, for async flows:
+ * store.dispatch(async (dispatch, getState) => { ... dispatch('cart/loaded', items); }).
+ * The value returned by the function is returned by dispatch.
+ */
+export const thunk = (store) => (next) => (action) => {
+    if (typeof action === 'function') {
+        return action((type, payload) => store.dispatch(type, payload), () => store.getState());
+    }
+    return next(action);
+};
+
+/**
+ * Logs every action with the state before and after it.
+ */
+export const logger = (store) => (next) => (action) => {
+    if (typeof action === 'function') {
+        return next(action);
+    }
+
+    console.groupCollapsed(`%c[Store -> ${store.storageKey}]%c ${action.type}`, 'color: #a855f7; font-weight: bold', 'color: inherit');
+    console.log('Payload:', action.payload);
+    console.log('Previous state:', store.getState());
+    const result = next(action);
+    console.log('Next state:', store.getState());
+    console.groupEnd();
+    return result;
+};
+
+/**
+ * Creates a middleware rejecting the actions whose payload is invalid, before their reducer runs.
+ * @param {Object} validators - Functions indexed by action type, receiving the payload and the state and
+ *   returning true, or an error message.
+ * @returns {Function} The middleware.
+ */
+export const validator = (validators) => (store) => (next) => (action) => {
+    const validate = typeof action === 'function' ? null : validators[action.type];
+    if (validate) {
+        const result = validate(action.payload, store.getState());
+        if (result !== true) {
+            throw new Error(`Invalid payload for "${action.type}": ${result || 'validation failed'}`);
+        }
+    }
+    return next(action);
+};
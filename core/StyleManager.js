@@ -4,6 +4,19 @@ export class StyleManager {
         this.injectedLinks = new Set();
     }
 
+    /**
+     * Resolves the URL of a CSS file relative to this module.
+     * On the server, the filename is kept as is: the module URL is a file path there.
+     * @param {string} filename - The name of the CSS file.
+     * @returns {string} - The URL of the CSS file.
+     */
+    resolveHref(filename) {
+        if (typeof window === 'undefined') {
+            return filename;
+        }
+        return new URL(filename, import.meta.url).href;
+    }
+
     /**
      * Removes all styles and linked styles from the document head.
      */
@@ -67,7 +80,7 @@ export class StyleManager {
      * @param {string} key - The unique identifier for the target-related style to be removed.
      */
     removeStyle(key) {
-        const styleElement = document.querySelector(`style[data-style-key="${key}"]`);
+        const styleElement = this.styles.get(key) || document.querySelector(`style[data-style-key="${key}"]`);
         
         console.log('Removing style:', key);
         if (styleElement) {
@@ -87,7 +100,7 @@ export class StyleManager {
 
         const styleElement = document.createElement('link');
         styleElement.rel = 'stylesheet';
-        styleElement.href = new URL(filename, import.meta.url).href;
+        styleElement.href = this.resolveHref(filename);
         styleElement.setAttribute('data-style-key', filename);
         document.head.appendChild(styleElement);
         this.injectedLinks.add(styleElement.href);
@@ -98,7 +111,7 @@ export class StyleManager {
      * @param {string} filename - The name of the CSS file to remove.
      */
     removeLinkedStyle(filename) {
-        const href = new URL(filename, import.meta.url).href;
+        const href = this.resolveHref(filename);
         const styleElement = document.querySelector(`link[data-style-key="${filename}"]`);
         if (styleElement) {
             document.head.removeChild(styleElement);
@@ -133,7 +146,7 @@ export class StyleManager {
      * @param {string} href - The URL of the linked stylesheet.
      */
     removeInjectedLinkedStyle(href = '') {
-        const styleElement = document.querySelector(`link[data-style-key="${href}"]`);
+        const styleElement = document.querySelector(`link[data-style-key="${href}"], link[href="${href}"]`);
         if (styleElement) {
             document.head.removeChild(styleElement);
             this.injectedLinks.delete(href);
@@ -142,11 +155,12 @@ export class StyleManager {
 
     /**
      * Checks if a style is already loaded.
+     * Styles rendered by the server (data-ssr) are ignored, they are removed once the page is hydrated.
      * @param {string} key - The unique identifier for the target-related style.
      * @returns {boolean} - A boolean indicating whether the style is already loaded.
      */
     isStyleLoaded(key) {
-        return this.styles.has(key) || document.querySelector(`style[data-style-key="${key}"]`) !== null;
+        return this.styles.has(key) || document.querySelector(`style[data-style-key="${key}"]:not([data-ssr])`) !== null;
     }
 
     /**
@@ -155,8 +169,8 @@ export class StyleManager {
      * @returns {boolean} - A boolean indicating whether the linked stylesheet is already loaded.
      */
     isLinkedStyleLoaded(filename) {
-        const href = new URL(filename, import.meta.url).href;
-        return this.injectedLinks.has(href) || document.querySelector(`link[data-style-key="${filename}"]`) !== null;
+        const href = this.resolveHref(filename);
+        return this.injectedLinks.has(href) || document.querySelector(`link[data-style-key="${filename}"]:not([data-ssr])`) !== null;
     }
 
     /**
@@ -165,6 +179,6 @@ export class StyleManager {
      * @returns {boolean} - A boolean indicating whether the linked stylesheet is already loaded.
      */
     isInjectedLinkedStyleLoaded(href) {
-        return this.injectedLinks.has(href) || document.querySelector(`link[data-style-key="${href}"]`) !== null;
+        return this.injectedLinks.has(href) || document.querySelector(`link[data-style-key="${href}"]:not([data-ssr])`) !== null;
     }
 }
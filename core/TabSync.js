@@ -0,0 +1,113 @@
+/**
+ * Key prefix of the messages relayed through localStorage when BroadcastChannel is not available.
+ */
+const STORAGE_PREFIX = 'target-sync:';
+
+/**
+ * Class exchanging messages between the tabs of the same origin.
+ * It uses BroadcastChannel, with a fallback on the `storage` event of localStorage.
+ * Messages are JSON-serializable objects, a tab never receives its own messages.
+ * The fallback writes the messages to localStorage, where any script of the origin can read them: sensitive
+ * messages (tokens, private state) are not relayed through it.
+ */
+export class TabSync {
+    /**
+     * Opens a channel.
+     * @param {string} channelName - The name of the channel, shared by the tabs.
+     */
+    constructor(channelName) {
+        this.channelName = channelName;
+        this.sourceId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        this.handlers = [];
+        this.channel = null;
+        this.onStorage = null;
+        this.hasWarned = false;
+
+        if (typeof window === 'undefined') {
+            return;
+        }
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = (event) => this.receive(event.data);
+        } else {
+            this.onStorage = (event) => {
+                if (event.key === STORAGE_PREFIX + channelName && event.newValue) {
+                    try {
+                        this.receive(JSON.parse(event.newValue));
+                    } catch (error) {
+                        console.error(`Invalid message on the channel "${channelName}":`, error);
+                    }
+                }
+            };
+            window.addEventListener('storage', this.onStorage);
+        }
+    }
+
+    /**
+     * Sends a message to the other tabs.
+     * @param {Object} message - The message, it must be serializable.
+     * @param {Object} [options] - Post options.
+     * @param {boolean} [options.sensitive=false] - The message is only sent through BroadcastChannel, never
+     *   written to localStorage.
+     */
+    post(message, { sensitive = false } = {}) {
+        const envelope = { ...message, sourceId: this.sourceId };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(envelope);
+            } else if (this.onStorage && sensitive) {
+                if (!this.hasWarned) {
+                    this.hasWarned = true;
+                    console.warn(`BroadcastChannel is not available, the sensitive messages of "${this.channelName}" are not sent to the other tabs.`);
+                }
+            } else if (this.onStorage) {
+                // The storage event only fires when the value changes, the nonce makes each message unique
+                const key = STORAGE_PREFIX + this.channelName;
+                localStorage.setItem(key, JSON.stringify({ ...envelope, nonce: Math.random() }));
+                localStorage.removeItem(key);
+            }
+        } catch (error) {
+            console.error(`Unable to post on the channel "${this.channelName}":`, error);
+        }
+    }
+
+    /**
+     * Dispatches a message received from another tab to the handlers.
+     * @param {Object} message - The message.
+     */
+    receive(message) {
+        if (!message || message.sourceId === this.sourceId) {
+            return;
+        }
+        this.handlers.forEach((handler) => handler(message));
+    }
+
+    /**
+     * Subscribes a handler to the messages of the other tabs.
+     * @param {Function} handler - Called with each message.
+     * @returns {Function} A function to unsubscribe the handler.
+     */
+    subscribe(handler) {
+        this.handlers.push(handler);
+        return () => {
+            this.handlers = this.handlers.filter((h) => h !== handler);
+        };
+    }
+
+    /**
+     * Closes the channel.
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.onStorage) {
+            window.removeEventListener('storage', this.onStorage);
+            this.onStorage = null;
+        }
+        this.handlers = [];
+    }
+}
@@ -1,17 +1,60 @@
 import { HTTPRequest } from "@utils/HTTPRequest";
 import { StyleManager } from "@core/StyleManager";
+import { Reconciler } from "@core/Reconciler";
+import { Template, unsafeHTML } from "@core/Template";
+import { Sanitizer, sanitizer } from "@core/Sanitizer";
+import AuthManager from "@core/AuthManager";
+import { targetRegistry } from "@router/router";
+import { datasetToObject } from "@utils";
 import config from "@/target.config";
 
+/**
+ * Live target instances, indexed by their container element.
+ * The reconciler uses it to leave the content of nested targets to their own render.
+ */
+const instances = new WeakMap();
+
+/**
+ * Events that do not bubble, they are delegated during the capture phase instead.
+ */
+const nonBubblingEvents = ["focus", "blur", "mouseenter", "mouseleave", "load", "error", "scroll"];
+
+/**
+ * Patches a container with new HTML, skipping the roots of nested targets.
+ *
+ * @param {HTMLElement} container - The DOM element to patch.
+ * @param {string|SafeHTML} html - The HTML string to render, or the result of the html tag.
+ */
+const patch = (container, html) => {
+  // The debug comments of the target are not part of its output, they are put back around it
+  const target = instances.get(container);
+  const comments = (target && target.debugComments) || [];
+  comments.forEach((comment) => comment.remove());
+
+  Reconciler.patch(container, String(html), {
+    isTargetRoot: (node) => node !== container && instances.has(node),
+    // The host of a nested target keeps its content until the target mounts, e.g. the markup rendered by the server
+    keepChildren: (node) => node.hasAttribute("data-target-name"),
+  });
+
+  if (comments.length) {
+    const [start, end] = comments;
+    container.prepend(start);
+    container.append(end);
+  }
+};
+
 /**
  * Utility function to render a target into a DOM container.
- * After rendering the target's output into the container, it triggers the targetDidMount lifecycle method.
+ * After patching the target's output into the container, it triggers the targetDidMount lifecycle method.
  *
  * @param {Target} target - The target instance to be rendered.
  * @param {HTMLElement} container - The DOM element where the target should be rendered.
  */
 const render = (target, container) => {
   const output = target.render();
-  container.innerHTML = output;
+  patch(container, output);
+  target.bindEvents();
   target.targetDidMount();
 };
 
@@ -20,6 +63,12 @@ const render = (target, container) => {
  * It provides lifecycle methods, state management, and a fetch utility for API requests.
  */
 class Target {
+  /**
+   * Sanitizer of the HTML allowed in `{{content}}` and by sanitize(). Override it to change the allow-list of a
+   * target: `static sanitizer = sanitizer.extend({ tags: { img: ["src", "alt"] } });`
+   */
+  static sanitizer = sanitizer;
+
   /**
    * Target constructor.
    * Initializes the target with properties, state, and a container.
@@ -32,11 +81,19 @@ class Target {
     this.state = {};
     this.container = container;
     this.parent = null;
+    this.children = [];
+    this.pendingChildren = new Map();
     this.api = null;
+    this.requests = [];
     this.isMounted = false;
+    this.eventListeners = new Map();
+    this.storeSubscriptions = [];
+    this.authSubscription = null;
+    this.debugComments = null;
     this.styleManager = new StyleManager();
     this.hash = this.generateRandomHash();
     this.styleId = this.container.getAttribute("data-target-name");
+    instances.set(this.container, this);
 
     if (config.logger && config.dev && config.dev && this.container) {
       this.log("Initialized target", {
@@ -85,9 +142,13 @@ class Target {
   /**
    * Initializes the target by extracting data attributes from the container.
    * To clean up the container, it removes the data attributes after extracting them.
+   * Nested targets that are still loading keep their attributes, they are read when they mount.
    */
   initialize() {
     this.container.querySelectorAll("[data-target-name]").forEach((el) => {
+      if (!instances.has(el)) {
+        return;
+      }
       Object.keys(el.dataset).forEach((key) => {
         this.props[key] = el.dataset[key];
         el.removeAttribute(`data-${key}`);
@@ -100,6 +161,7 @@ class Target {
       const end = document.createComment(`End of ${this.constructor.name} - ${this.hash}`);
       this.container.prepend(start);
       this.container.append(end);
+      this.debugComments = [start, end];
     }
   }
 
@@ -158,10 +220,122 @@ class Target {
   }
 
   /**
-   * Sets the parent container of the target.
+   * Sets the parent target and registers this target as one of its children.
+   *
+   * @param {Target} parent - The parent target instance.
    */
   setParent(parent) {
     this.parent = parent;
+    if (parent && !parent.children.includes(this)) {
+      parent.children.push(this);
+    }
+  }
+
+  /**
+   * Removes a target from the children of this target.
+   *
+   * @param {Target} child - The child target instance.
+   */
+  removeChild(child) {
+    this.children = this.children.filter((c) => c !== child);
+    if (child.parent === this) {
+      child.parent = null;
+    }
+  }
+
+  /**
+   * Gets the elements of the rendered template that host a direct child target.
+   * Elements rendered inside another nested target, or inside its host before it mounts (e.g. the markup
+   * rendered by the server), belong to that target.
+   *
+   * @returns {HTMLElement[]} - The child target containers.
+   */
+  getChildElements() {
+    return [...this.container.querySelectorAll("[data-target-name]")].filter((element) => {
+      for (let node = element.parentNode; node && node !== this.container; node = node.parentNode) {
+        if (instances.has(node) || node.hasAttribute("data-target-name")) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Synchronizes the nested targets with the rendered template.
+   * Children whose container left the DOM are destroyed, new data-target-name elements are loaded from
+   * the target registry, rendered and registered as children. Called after every update.
+   *
+   * @returns {Promise<void>} - Resolves when every child (and their own children) is mounted.
+   */
+  mountChildren() {
+    if (!this.container) {
+      return Promise.resolve();
+    }
+
+    this.children
+      .filter((child) => !child.container || !this.container.contains(child.container))
+      .forEach((child) => child.destroy());
+
+    const pending = this.getChildElements()
+      .filter((element) => !instances.has(element))
+      .map((element) => {
+        if (!this.pendingChildren.has(element)) {
+          this.pendingChildren.set(
+            element,
+            this.mountChild(element).finally(() => this.pendingChildren.delete(element))
+          );
+        }
+        return this.pendingChildren.get(element);
+      });
+
+    return Promise.all(pending).then(() => {});
+  }
+
+  /**
+   * Loads, renders and registers the target hosted by an element.
+   *
+   * @param {HTMLElement} element - The element with the data-target-name attribute.
+   * @returns {Promise<Target|undefined>} - The mounted child target.
+   */
+  async mountChild(element) {
+    const targetId = element.getAttribute("data-target-name");
+    const loadTarget = targetRegistry[targetId];
+    if (!loadTarget) {
+      return;
+    }
+
+    try {
+      const { default: ChildTarget } = await loadTarget();
+
+      // The parent may have re-rendered or unmounted while the target was loading
+      if (!this.container || !this.container.contains(element)) {
+        return;
+      }
+
+      const props = datasetToObject(element.dataset);
+      props.path = this.props.path;
+      props.queryParams = this.props.queryParams;
+      props.params = this.props.params;
+      // The data of the route loader is passed by reference, never serialized into the markup
+      props.routeData = this.props.routeData;
+
+      const child = new ChildTarget(props, element);
+      child.setParent(this);
+
+      if (config.logger && config.dev) {
+        this.log("Created nested target", { child });
+      }
+
+      child.update();
+      await child.mountChildren();
+
+      // Clean up the container
+      child.initialize();
+      return child;
+    } catch (error) {
+      console.error(`Error loading target ${targetId}:`, error);
+    }
   }
 
   /**
@@ -174,19 +348,221 @@ class Target {
     this.update();
   }
 
+  /**
+   * Binds the declarative event attributes of the rendered template.
+   * Any `data-on-<event>="methodName"` attribute resolves to an instance method, called with the event
+   * and the element holding the attribute. A single delegated listener per event type is attached to
+   * the container, so handlers keep working across updates without being re-attached.
+   *
+   * @example
+   * // <button data-on-click="handleSave">Save</button>
+   * handleSave(event, element) { ... }
+   */
+  bindEvents() {
+    if (!this.container) {
+      return;
+    }
+
+    const types = new Set();
+    this.container.querySelectorAll("*").forEach((element) => {
+      [...element.attributes].forEach(({ name }) => {
+        if (name.startsWith("data-on-")) {
+          types.add(name.slice("data-on-".length));
+        }
+      });
+    });
+
+    types.forEach((type) => {
+      if (this.eventListeners.has(type)) {
+        return;
+      }
+      const listener = (event) => this.handleTemplateEvent(event);
+      this.container.addEventListener(type, listener, nonBubblingEvents.includes(type));
+      this.eventListeners.set(type, listener);
+    });
+  }
+
+  /**
+   * Removes every delegated listener attached by bindEvents.
+   */
+  unbindEvents() {
+    this.eventListeners.forEach((listener, type) => {
+      this.container.removeEventListener(type, listener, nonBubblingEvents.includes(type));
+    });
+    this.eventListeners.clear();
+  }
+
+  /**
+   * Resolves a delegated event to the handlers declared between the event target and the container.
+   * Elements rendered by a nested target are left to that target, only its root element belongs to this one.
+   * Handlers run from the innermost element outwards until one of them stops the propagation.
+   *
+   * @param {Event} event - The DOM event caught by the container.
+   */
+  handleTemplateEvent(event) {
+    const attribute = `data-on-${event.type}`;
+    let elements = [];
+
+    for (let node = event.target; node && node !== this.container; node = node.parentNode) {
+      if (instances.has(node)) {
+        elements = [];
+      }
+      if (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute(attribute)) {
+        elements.push(node);
+      }
+    }
+
+    for (const element of elements) {
+      const handlerName = element.getAttribute(attribute);
+      if (typeof this[handlerName] !== "function") {
+        console.error(`${this.constructor.name}: No method "${handlerName}" for ${attribute}.`);
+        continue;
+      }
+      this[handlerName](event, element);
+      if (event.cancelBubble) {
+        break;
+      }
+    }
+  }
+
   /**
    * Initializes a new HTTPRequest object for API calls.
+   * Its requests still in flight are cancelled when the target unmounts.
    *
    * @param {string} apiURL - The base URL for the API.
    * @param {Object} defaultURLParams - Default URL parameters as an object.
    * @param {Object} defaultHeaders - Default headers for the API requests as an object.
+   * @param {Object} options - HTTPRequest options, e.g. { auth: AuthManager } to send the session token.
    * @returns {HTTPRequest} - An instance of HTTPRequest configured for API interactions.
    */
-  fetch(apiURL, defaultURLParams = {}, defaultHeaders = {}) {
-    this.api = new HTTPRequest(apiURL, defaultURLParams, defaultHeaders);
+  fetch(apiURL, defaultURLParams = {}, defaultHeaders = {}, options = {}) {
+    this.api = new HTTPRequest(apiURL, defaultURLParams, defaultHeaders, options);
+    this.requests.push(this.api);
     return this.api;
   }
 
+  /**
+   * Connects the target to a store.
+   * The props returned by mapStateToProps are merged into the target props right away, then every time
+   * they change (shallow comparison) the props are updated and the target re-rendered.
+   * The subscription is removed when the target unmounts.
+   *
+   * @param {Store} store - The store to connect to.
+   * @param {Function} mapStateToProps - Receives the store state and the target props, returns the props to merge.
+   * @returns {Function} - A function to disconnect the target before it unmounts.
+   */
+  connect(store, mapStateToProps) {
+    Object.assign(this.props, mapStateToProps(store.getState(), this.props));
+
+    return this.useStore(
+      store,
+      (state) => mapStateToProps(state, this.props),
+      (mappedProps) => {
+        Object.assign(this.props, mappedProps);
+        if (this.container && this.isMounted) {
+          this.update();
+        }
+      }
+    );
+  }
+
+  /**
+   * Subscribes to a slice of a store, the subscription is removed when the target unmounts.
+   *
+   * @param {Store} store - The store to subscribe to.
+   * @param {Function} selector - Receives the store state and returns the value to watch.
+   * @param {Function} listener - Called with the selected value and the previous one when it changes.
+   * @returns {Function} - A function to unsubscribe before the target unmounts.
+   */
+  useStore(store, selector, listener) {
+    // Targets rendered on the server never unmount, nothing would remove the subscription
+    if (typeof window === "undefined") {
+      return () => {};
+    }
+
+    const unsubscribe = store.subscribe(selector, listener);
+    const dispose = () => {
+      unsubscribe();
+      this.storeSubscriptions = this.storeSubscriptions.filter((subscription) => subscription !== dispose);
+    };
+    this.storeSubscriptions.push(dispose);
+    return dispose;
+  }
+
+  /**
+   * Subscribes to the cached result of a GET request, the subscription is removed when the target unmounts.
+   * The request is sent if the result is missing or stale, then the listener receives
+   * { response, error, isFetching, isStale, updatedAt } every time the result changes, e.g. when it is
+   * revalidated in the background or after an invalidation. Read the cached result first with request.getCached().
+   *
+   * @param {HTTPRequest} request - The HTTPRequest instance, e.g. the one returned by fetch().
+   * @param {string} route - The API route.
+   * @param {Object} urlParams - URL parameters.
+   * @param {Function} listener - Receives the state of the request.
+   * @param {Object} options - The options of the request, see HTTPRequest.get().
+   * @returns {Function} - A function to unsubscribe before the target unmounts.
+   */
+  useQuery(request, route, urlParams, listener, options = {}) {
+    if (typeof window === "undefined") {
+      return () => {};
+    }
+
+    const unsubscribe = request.subscribe(route, urlParams, {}, options, listener);
+    const dispose = () => {
+      unsubscribe();
+      this.storeSubscriptions = this.storeSubscriptions.filter((subscription) => subscription !== dispose);
+    };
+    this.storeSubscriptions.push(dispose);
+    return dispose;
+  }
+
+  /**
+   * Checks access requirements against the session, e.g. in render() to show a fragment to some roles only.
+   * The first call subscribes the target to AuthManager, so it re-renders on login and logout.
+   *
+   * @param {Object} requirements - { requiresAuth, roles, permissions }, as in the route meta.
+   * @returns {boolean} - True if the user meets all the requirements.
+   */
+  can(requirements) {
+    if (!this.authSubscription && typeof window !== "undefined") {
+      const unsubscribe = AuthManager.subscribe(() => {
+        if (this.container && this.isMounted) {
+          this.update();
+        }
+      });
+      const dispose = () => {
+        unsubscribe();
+        this.authSubscription = null;
+        this.storeSubscriptions = this.storeSubscriptions.filter((subscription) => subscription !== dispose);
+      };
+      this.authSubscription = dispose;
+      this.storeSubscriptions.push(dispose);
+    }
+    return AuthManager.isAuthorized(requirements);
+  }
+
+  /**
+   * Renders a fragment only if the user meets the access requirements.
+   *
+   * @param {Object} requirements - { requiresAuth, roles, permissions }, as in the route meta.
+   * @param {string|SafeHTML} html - The fragment, built with the html tag to nest it in an html template.
+   * @param {string|SafeHTML} fallback - Rendered instead of the fragment otherwise.
+   * @returns {string|SafeHTML} - The fragment or the fallback.
+   */
+  authorize(requirements, html, fallback = "") {
+    return this.can(requirements) ? html : fallback;
+  }
+
+  /**
+   * Sanitizes untrusted HTML with the allow-list of the target, e.g. the rich text of an API response.
+   *
+   * @param {string} html - The untrusted HTML.
+   * @returns {SafeHTML} - The sanitized HTML, inserted as is by the html tag and the templates.
+   */
+  sanitize(html) {
+    return unsafeHTML(this.constructor.sanitizer.sanitize(html));
+  }
+
   /**
    * A lifecycle method called before the target is first rendered.
    * To be overridden in subclasses as needed.
@@ -229,9 +605,9 @@ class Target {
 
   /**
    * Renders the target's HTML.
-   * Should be overridden by subclasses to return HTML as a string.
+   * Should be overridden by subclasses to return HTML as a string, or built with the html tag of @core/Template.
    *
-   * @returns {string} - HTML string representing the target's UI.
+   * @returns {string|SafeHTML} - HTML string representing the target's UI.
    */
   render() {
     if (config.logger && config.dev && this.container) {
@@ -242,13 +618,16 @@ class Target {
 
   /**
    * Updates the target by re-rendering its content and managing lifecycle hooks.
+   * The new output is diffed against the live DOM so only changed nodes are touched.
    */
   update() {
     if (this.container) {
       if (!this.isMounted) {
         this.targetWillMount();
       }
-      this.container.innerHTML = this.render();
+      patch(this.container, this.render());
+      this.bindEvents();
+      this.mountChildren();
       if (!this.isMounted) {
         this.targetDidMount();
         this.isMounted = true;
@@ -263,11 +642,21 @@ class Target {
 
   /**
    * Clears the target's content from its container.
+   * Nested targets are destroyed first so they run their own unmount lifecycle.
    */
   unmount() {
-    if (config.logger && config.dev && this.container) {
+    if (!this.container) {
+      return;
+    }
+    this.targetWillUnmount();
+    if (config.logger && config.dev) {
       this.log("Unmounting target");
     }
+    [...this.children].forEach((child) => child.destroy());
+    this.pendingChildren.clear();
+    [...this.storeSubscriptions].forEach((unsubscribe) => unsubscribe());
+    this.requests.forEach((request) => request.cancel("Target unmounted"));
+    this.unbindEvents();
     this.styleManager.removeAllStyles();
     this.container.innerHTML = "";
   }
@@ -280,24 +669,32 @@ class Target {
       this.log("Destroying target");
     }
     this.unmount();
+    if (this.parent) {
+      this.parent.removeChild(this);
+    }
+    if (this.container) {
+      instances.delete(this.container);
+    }
     this.container = null;
   }
 
   /**
    * Parse yield data from the parent target.
+   * The JSON is escaped for a quoted attribute value, single or double quoted.
    */
   yieldElementString(yieldElements) {
-    return  JSON.stringify(yieldElements).replace(
-      /"/g,
-      "&quot;"
-    );;
+    return JSON.stringify(yieldElements).replace(
+      /[&"']/g,
+      (char) => ({ "&": "&amp;", '"': "&quot;", "'": "&#39;" }[char])
+    );
   }
 
   /**
    * Escapes HTML to prevent XSS attacks, optionally allowing certain tags.
+   * The allowed tags are kept by the sanitizer of the target (see docs/SANITIZER.md), the rest is removed.
    *
    * @param {string} str - The string to escape.
-   * @param {boolean} [allowTags=false] - Whether to allow certain HTML tags.
+   * @param {boolean|Sanitizer} [allowTags=false] - Whether to allow certain HTML tags, or the sanitizer to use.
    * @returns {string} - The escaped HTML string.
    */
   static escapeHTML(str, allowTags = false) {
@@ -311,63 +708,8 @@ class Target {
     }
 
     if (allowTags) {
-      // Allow certain HTML tags
-      const allowedTags = {
-        b: [],
-        i: [],
-        u: [],
-        s: [],
-        a: ["href", "title"],
-        code: [],
-        pre: [],
-        blockquote: [],
-        ul: [],
-        ol: [],
-        li: [],
-        h1: [],
-        h2: [],
-        h3: [],
-        h4: [],
-        h5: [],
-        h6: [],
-        p: [],
-        br: [],
-        hr: [],
-        table: [],
-        thead: [],
-        tbody: [],
-        tfoot: [],
-        tr: [],
-        th: [],
-        td: [],
-        div: [],
-        span: [],
-      };
-
-      // Regex to match allowed tags and their attributes
-      const tagRegex = /<\/?([a-zA-Z]+)([^>]*)>/g;
-      const attrRegex = /([a-zA-Z]+)="([^"]*)"/g;
-
-      return str.replace(tagRegex, (fullTag, tagName, attrs) => {
-        if (allowedTags[tagName]) {
-          // Allow only specified attributes
-          let safeAttrs = "";
-          let match;
-          while ((match = attrRegex.exec(attrs)) !== null) {
-            const attrName = match[1];
-            const attrValue = match[2];
-            if (allowedTags[tagName].includes(attrName)) {
-              safeAttrs += ` ${attrName}="${Target.escapeHTML(attrValue)}"`;
-            }
-          }
-          return `<${
-            fullTag.startsWith("</") ? "/" : ""
-          }${tagName}${safeAttrs}>`;
-        } else {
-          // Escape the whole tag if it's not allowed
-          return fullTag.replace(/</g, "&lt;").replace(/>/g, "&gt;");
-        }
-      });
+      const tagSanitizer = allowTags instanceof Sanitizer ? allowTags : (this || Target).sanitizer;
+      return tagSanitizer.sanitize(str);
     } else {
       // Escape all HTML tags
       return str.replace(
@@ -386,21 +728,23 @@ class Target {
 
   /**
    * Parses a template string with placeholders, replacing them with provided values.
+   * The template uses the syntax of the template engine: dotted paths, `{{#each}}`, `{{#if}}…{{else}}`, filters
+   * and partials (see docs/TEMPLATE.md). Values are escaped, `{{content}}` keeps the tags allowed by the
+   * sanitizer of the class it is called on: `this.constructor.parseHTML()` uses the allow-list of the target.
+   * Placeholders whose key is absent from the values are left intact, so the templates yielded to nested
+   * targets are completed by the target owning their data.
    *
    * @param {string} template - The template string containing placeholders.
    * @param {Object} placeholders - An object mapping placeholders to their values.
    * @returns {string} - The resulting string with placeholders replaced by actual values.
    */
   static parseHTML(template, placeholders = {}) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      if (typeof placeholders[key] !== "undefined") {
-        if (key === "content") {
-          return Target.escapeHTML(placeholders[key], true); // Allow certain HTML tags
-        } else {
-          return Target.escapeHTML(placeholders[key]);
-        }
-      }
-      return match; // leave the placeholder intact
+    const target = this || Target;
+    return Template.render(template, placeholders, {
+      keepMissing: true,
+      escape: (text, path) => target.escapeHTML(text, path === "content"), // Allow certain HTML tags
+      // The data of the targets comes from the API: {{{raw}}} is sanitized too, only SafeHTML values are trusted
+      raw: (text) => target.escapeHTML(text, true),
     });
   }
 
@@ -444,7 +788,10 @@ class Target {
     if (!data) return {};
 
     return Object.entries(data).reduce((acc, [key, value]) => {
-      if (value === "true" || value === "false") {
+      if (typeof value !== "string") {
+        // Props passed by the parent or the router, e.g. the route params, are already parsed
+        acc[key] = value;
+      } else if (value === "true" || value === "false") {
         acc[key] = value === "true";
       } else if (!isNaN(value)) {
         acc[key] = Number(value);
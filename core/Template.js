@@ -0,0 +1,929 @@
+import config from "@/target.config";
+
+/**
+ * Compiled templates, indexed by their source. The oldest ones are evicted past maxCompiled.
+ */
+const compiled = new Map();
+const maxCompiled = 500;
+
+/**
+ * Registered partials, indexed by name.
+ */
+const partials = new Map();
+
+/**
+ * Value of an expression whose root key is absent from the data.
+ */
+const MISSING = Symbol("missing");
+
+const literals = { true: true, false: false, null: null, undefined: undefined };
+
+/**
+ * Converts a value to the text it renders.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The text, empty for null and undefined.
+ */
+const toText = (value) => (value === null || value === undefined ? "" : String(value));
+
+/**
+ * Escapes the HTML special characters of a text.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeHTML = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[char]));
+
+/**
+ * Decodes the entities of the quotes and HTML special characters.
+ * Templates yielded to nested targets are HTML encoded in their data attribute, `{{price | currency "EUR"}}`
+ * is read as `{{price | currency &quot;EUR&quot;}}` by the parent template.
+ *
+ * @param {string} text - The content of a tag.
+ * @returns {string} - The decoded content.
+ */
+const decodeEntities = (text) =>
+  text.replace(/&(quot|#39|amp|lt|gt);/g, (entity, name) => ({ quot: '"', "#39": "'", amp: "&", lt: "<", gt: ">" }[name]));
+
+/**
+ * Formats a number with the locale of config.template.
+ *
+ * @param {*} value - The number.
+ * @param {Object} options - The options of Intl.NumberFormat.
+ * @returns {string} - The formatted number, the value as text if it is not a number.
+ */
+const formatNumber = (value, options) => {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof number !== "number" || Number.isNaN(number)) {
+    return toText(value);
+  }
+  return new Intl.NumberFormat(config.template.locale, options).format(number);
+};
+
+/**
+ * Built-in filters. A filter receives the value and the arguments of the tag: `{{title | truncate 20 "..."}}`.
+ */
+const filters = new Map(
+  Object.entries({
+    upper: (value) => toText(value).toUpperCase(),
+    lower: (value) => toText(value).toLowerCase(),
+    capitalize: (value) => {
+      const text = toText(value);
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+    trim: (value) => toText(value).trim(),
+    truncate: (value, length = 100, suffix = "…") => {
+      const text = toText(value);
+      return text.length > length ? `${text.slice(0, length).trimEnd()}${suffix}` : text;
+    },
+    default: (value, fallback = "") => (value === null || value === undefined || value === "" ? fallback : value),
+    json: (value, indent) => JSON.stringify(value, null, indent),
+    length: (value) => {
+      if (value === null || value === undefined) return 0;
+      if (typeof value === "string" || Array.isArray(value)) return value.length;
+      if (value instanceof Map || value instanceof Set) return value.size;
+      return typeof value === "object" ? Object.keys(value).length : 0;
+    },
+    join: (value, separator = ", ") => (Array.isArray(value) ? value.join(separator) : toText(value)),
+    eq: (value, other) => value === other,
+    number: (value, decimals) =>
+      formatNumber(value, decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }),
+    currency: (value, currency = config.template.currency) => formatNumber(value, { style: "currency", currency }),
+    date: (value, style = "medium") => {
+      if (value === null || value === undefined || value === "") return "";
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return toText(value);
+      return new Intl.DateTimeFormat(config.template.locale, { dateStyle: style }).format(date);
+    },
+  })
+);
+
+/**
+ * Checks if a key can be read from a value, the members of Object.prototype excepted.
+ *
+ * @param {*} data - The value.
+ * @param {string} key - The key.
+ * @returns {boolean} - True if the value has the key.
+ */
+const hasKey = (data, key) => {
+  if (data === null || data === undefined) return false;
+  const object = Object(data);
+  return Object.prototype.hasOwnProperty.call(object, key) || (key in object && !(key in Object.prototype));
+};
+
+/**
+ * Creates a syntax error pointing at the line of a tag.
+ *
+ * @param {string} message - The message.
+ * @param {string} template - The template.
+ * @param {number} index - The position of the tag.
+ * @returns {SyntaxError} - The error.
+ */
+const syntaxError = (message, template, index) => {
+  const line = template.slice(0, index).split("\n").length;
+  return new SyntaxError(`Template: ${message} on line ${line}`);
+};
+
+/**
+ * Parses a path: `user.name`, `this`, `.`, `../title`, `@index`, `../@index`.
+ *
+ * @param {string} token - The path.
+ * @returns {{ path: string, depth: number, scoped: boolean, segments: string[], local: string|undefined }|null}
+ *   - The path, null if the token is not one.
+ */
+const parsePath = (token) => {
+  const match = /^((?:\.\.\/)*)(.*)$/.exec(token);
+  const depth = match[1].length / 3;
+  const rest = match[2];
+
+  if (/^@[\w$]+$/.test(rest)) {
+    return { path: token, depth, scoped: true, segments: [], local: rest.slice(1) };
+  }
+  if (rest === "." || rest === "this") {
+    return { path: token, depth, scoped: true, segments: [] };
+  }
+  const scoped = depth > 0 || rest.startsWith("this.");
+  const segments = (rest.startsWith("this.") ? rest.slice(5) : rest).split(".");
+  if (!segments.every((segment) => /^[\w$-]+$/.test(segment))) {
+    return null;
+  }
+  return { path: token, depth, scoped, segments };
+};
+
+/**
+ * Splits the content of a tag into tokens: string literals, `|`, `=` and words.
+ *
+ * @param {string} source - The content of the tag.
+ * @returns {string[]|null} - The tokens, null if a string literal is not closed.
+ */
+const tokenize = (source) => {
+  const pattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\||=|[^\s|="']+)/y;
+  const tokens = [];
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) {
+      return /^\s*$/.test(source.slice(start)) ? tokens : null;
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+};
+
+/**
+ * Parses a value: a string, number or boolean literal, or a path.
+ *
+ * @param {string} token - The token.
+ * @returns {Object|null} - { literal } or the path, null if the token is not a value.
+ */
+const parseValue = (token) => {
+  if (/^["']/.test(token)) {
+    return { literal: token.slice(1, -1).replace(/\\(.)/g, "$1") };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(token)) {
+    return { literal: Number(token) };
+  }
+  if (Object.prototype.hasOwnProperty.call(literals, token)) {
+    return { literal: literals[token] };
+  }
+  return parsePath(token);
+};
+
+/**
+ * Parses an expression, a value followed by filters: `price | currency "EUR"`.
+ * With allowHash, the tokens are the `key=value` arguments of a partial instead.
+ *
+ * @param {string[]} tokens - The tokens of the expression.
+ * @param {Function} fail - Throws the syntax error of the tag.
+ * @param {boolean} [allowHash=false] - Read `key=value` arguments.
+ * @returns {{ value: Object, filters: Object[], hash: Object[] }} - The expression.
+ */
+const parseExpression = (tokens, fail, allowHash = false) => {
+  const expression = { value: null, filters: [], hash: [] };
+  let position = 0;
+
+  const readValue = () => {
+    const token = tokens[position++];
+    const value = token === undefined || token === "|" || token === "=" ? null : parseValue(token);
+    if (!value) {
+      fail(`invalid value "${token ?? ""}"`);
+    }
+    return value;
+  };
+
+  if (allowHash) {
+    while (position < tokens.length) {
+      if (tokens[position + 1] !== "=" || !/^[\w$-]+$/.test(tokens[position])) {
+        fail(`invalid argument "${tokens[position]}"`);
+      }
+      const key = tokens[position];
+      position += 2;
+      expression.hash.push({ key, expression: { value: readValue(), filters: [] } });
+    }
+    return expression;
+  }
+
+  expression.value = readValue();
+  while (position < tokens.length) {
+    if (tokens[position] !== "|" || !/^[\w$]+$/.test(tokens[position + 1] || "")) {
+      fail(`unexpected "${tokens[position]}"`);
+    }
+    const filter = { name: tokens[position + 1], args: [] };
+    position += 2;
+    while (position < tokens.length && tokens[position] !== "|") {
+      filter.args.push(readValue());
+    }
+    expression.filters.push(filter);
+  }
+  return expression;
+};
+
+/**
+ * Parses a template into a tree of text, variable, block and partial nodes.
+ *
+ * @param {string} template - The template.
+ * @returns {Object[]} - The nodes.
+ */
+const parse = (template) => {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let nodes = root.children;
+  let index = 0;
+
+  const pushText = (text) => {
+    if (!text) return;
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === "text") {
+      last.text += text;
+    } else {
+      nodes.push({ type: "text", text });
+    }
+  };
+
+  while (index < template.length) {
+    const open = template.indexOf("{{", index);
+    if (open === -1) {
+      pushText(template.slice(index));
+      break;
+    }
+    // `\{{` renders a literal `{{`, e.g. a template left for a nested target
+    if (template[open - 1] === "\\") {
+      pushText(`${template.slice(index, open - 1)}{{`);
+      index = open + 2;
+      continue;
+    }
+
+    const comment = template.startsWith("{{!--", open);
+    const raw = !comment && template.startsWith("{{{", open);
+    const closeToken = comment ? "--}}" : raw ? "}}}" : "}}";
+    const close = template.indexOf(closeToken, open + (comment ? 5 : raw ? 3 : 2));
+    if (close === -1) {
+      // A lone `{{` is text
+      pushText(template.slice(index));
+      break;
+    }
+
+    pushText(template.slice(index, open));
+    const source = template.slice(open, close + closeToken.length);
+    const content = decodeEntities(template.slice(open + (raw ? 3 : 2), close)).trim();
+    const fail = (message) => {
+      throw syntaxError(`${message} in ${source}`, template, open);
+    };
+    const block = stack[stack.length - 1];
+    index = close + closeToken.length;
+
+    if (comment || content.startsWith("!")) {
+      continue;
+    }
+
+    if (raw) {
+      const tokens = tokenize(content) || fail("unclosed string");
+      nodes.push({ type: "variable", expression: parseExpression(tokens, fail), escaped: false, source });
+    } else if (content.startsWith("#")) {
+      const [, name, rest] = /^#(\w*)\s*([\s\S]*)$/.exec(content);
+      if (!["if", "unless", "each"].includes(name)) {
+        fail(`unknown block "${name}"`);
+      }
+      const tokens = tokenize(rest) || fail("unclosed string");
+      const expression = parseExpression(tokens, fail);
+      const node = { type: name, start: open, branches: [{ expression, negate: name === "unless", children: [] }], fallback: null };
+      nodes.push(node);
+      stack.push(node);
+      nodes = node.branches[0].children;
+    } else if (content.startsWith("/")) {
+      const name = content.slice(1).trim();
+      if (block === root) {
+        fail("unexpected closing tag");
+      }
+      if (name !== block.type) {
+        fail(`mismatched closing tag for {{#${block.type}}}`);
+      }
+      block.source = template.slice(block.start, index);
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      nodes = parent === root ? root.children : parent.fallback || parent.branches[parent.branches.length - 1].children;
+    } else if (/^else\b/.test(content)) {
+      if (block === root || block.fallback) {
+        fail("unexpected else");
+      }
+      const condition = content.slice(4).trim();
+      if (condition) {
+        if (!/^if\s/.test(condition) || block.type === "each") {
+          fail("unexpected else");
+        }
+        const tokens = tokenize(condition.slice(2)) || fail("unclosed string");
+        const branch = { expression: parseExpression(tokens, fail), negate: false, children: [] };
+        block.branches.push(branch);
+        nodes = branch.children;
+      } else {
+        block.fallback = [];
+        nodes = block.fallback;
+      }
+    } else if (content.startsWith(">")) {
+      const [name, ...rest] = tokenize(content.slice(1)) || fail("unclosed string");
+      if (!name || !/^[\w-]+$/.test(name)) {
+        fail("invalid partial name");
+      }
+      nodes.push({ type: "partial", name, hash: parseExpression(rest, fail, true).hash, source });
+    } else {
+      const tokens = tokenize(content) || fail("unclosed string");
+      nodes.push({ type: "variable", expression: parseExpression(tokens, fail), escaped: true, source });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw syntaxError(`{{#${block.type}}} is not closed`, template, block.start);
+  }
+  return root.children;
+};
+
+/**
+ * Reads a path in the scopes, from the innermost one. The scope of a `{{#each}}` iteration is the item,
+ * `../` reads the scope above, `@index`, `@key`, `@first` and `@last` the position of the iteration.
+ *
+ * @param {Object} path - The path.
+ * @param {Object[]} scopes - The scopes, { data, locals }, the innermost last.
+ * @returns {*} - The value, MISSING if the root key is absent from every scope.
+ */
+const resolvePath = (path, scopes) => {
+  const index = scopes.length - 1 - path.depth;
+  if (path.local) {
+    const scope = scopes.slice(0, index + 1).reverse().find(({ locals }) => hasKey(locals, path.local));
+    return scope ? scope.locals[path.local] : MISSING;
+  }
+  if (index < 0) {
+    return undefined;
+  }
+  let value;
+  let segments = path.segments;
+  if (path.scoped) {
+    value = scopes[index].data;
+  } else {
+    const scope = scopes.slice(0, index + 1).reverse().find(({ data }) => hasKey(data, segments[0]));
+    if (!scope) {
+      return MISSING;
+    }
+    value = scope.data[segments[0]];
+    segments = segments.slice(1);
+  }
+  return segments.reduce((current, segment) => (hasKey(current, segment) ? current[segment] : undefined), value);
+};
+
+/**
+ * Evaluates an expression: reads its value and applies its filters.
+ *
+ * @param {Object} expression - The expression.
+ * @param {Object[]} scopes - The scopes.
+ * @param {Object} options - The render options.
+ * @returns {*} - The value, MISSING if a path is missing and options.keepMissing is set.
+ */
+const evaluate = (expression, scopes, options) => {
+  const read = (value) => {
+    if ("literal" in value) return value.literal;
+    const result = resolvePath(value, scopes);
+    return result === MISSING && !options.keepMissing ? undefined : result;
+  };
+
+  let value = read(expression.value);
+  for (const { name, args } of expression.filters) {
+    if (value === MISSING) break;
+    const filter = filters.get(name);
+    if (!filter) {
+      throw new Error(`Template: unknown filter "${name}"`);
+    }
+    const values = args.map(read);
+    value = values.includes(MISSING) ? MISSING : filter(value, ...values);
+  }
+  return value;
+};
+
+/**
+ * Checks if a condition holds: empty arrays are false, like the other empty values.
+ *
+ * @param {*} value - The value of the condition.
+ * @returns {boolean} - True if the condition holds.
+ */
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Lists the [key, item] pairs iterated by `{{#each}}`: arrays, Maps, other iterables and objects.
+ *
+ * @param {*} value - The value.
+ * @returns {Array[]} - The pairs.
+ */
+const toEntries = (value) => {
+  if (value === null || value === undefined || typeof value !== "object") return [];
+  if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+  if (value instanceof Map) return [...value.entries()];
+  if (typeof value[Symbol.iterator] === "function") return [...value].map((item, index) => [index, item]);
+  return Object.entries(value);
+};
+
+/**
+ * Renders the host element of a nested target, for the partials that are not registered.
+ * The arguments become data attributes, read as props by the target: `{{> user-card userId=user.id}}`
+ * renders `<div data-target-name="user-card" data-user-id="1"></div>`.
+ *
+ * @param {string} name - The target ID in the targetRegistry.
+ * @param {Object} hash - The arguments of the partial.
+ * @returns {string} - The host element.
+ */
+const renderTargetHost = (name, hash) => {
+  const attributes = Object.entries(hash)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      const attribute = key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+      return ` data-${attribute}="${escapeHTML(typeof value === "string" ? value : JSON.stringify(value))}"`;
+    })
+    .join("");
+  return `<div data-target-name="${escapeHTML(name)}"${attributes}></div>`;
+};
+
+/**
+ * Compiles nodes into a function rendering them.
+ *
+ * @param {Object[]} nodes - The nodes.
+ * @returns {Function} - (scopes, options) => string.
+ */
+const compileNodes = (nodes) => {
+  const renderers = nodes.map((node) => compileNode(node));
+  return (scopes, options) => renderers.map((render) => render(scopes, options)).join("");
+};
+
+/**
+ * Compiles a node into a function rendering it.
+ * Under options.keepMissing, a node reading a key absent from the data renders its own source.
+ *
+ * @param {Object} node - The node.
+ * @returns {Function} - (scopes, options) => string.
+ */
+const compileNode = (node) => {
+  switch (node.type) {
+    case "text":
+      return () => node.text;
+
+    case "variable":
+      return (scopes, options) => {
+        const value = evaluate(node.expression, scopes, options);
+        if (value === MISSING) return node.source;
+        if (value instanceof SafeHTML) return toText(value);
+        if (!node.escaped) return options.raw(toText(value), node.expression.value.path);
+        return options.escape(toText(value), node.expression.value.path);
+      };
+
+    case "each": {
+      const [{ expression, children }] = node.branches;
+      const renderItem = compileNodes(children);
+      const renderFallback = compileNodes(node.fallback || []);
+      return (scopes, options) => {
+        const value = evaluate(expression, scopes, options);
+        if (value === MISSING) return node.source;
+        const entries = toEntries(value);
+        if (entries.length === 0) return renderFallback(scopes, options);
+        return entries
+          .map(([key, item], index) =>
+            renderItem(
+              [...scopes, { data: item, locals: { index, key, first: index === 0, last: index === entries.length - 1 } }],
+              options
+            )
+          )
+          .join("");
+      };
+    }
+
+    case "if":
+    case "unless": {
+      const branches = node.branches.map((branch) => ({ ...branch, render: compileNodes(branch.children) }));
+      const renderFallback = compileNodes(node.fallback || []);
+      return (scopes, options) => {
+        for (const branch of branches) {
+          const value = evaluate(branch.expression, scopes, options);
+          if (value === MISSING) return node.source;
+          if (isTruthy(value) !== branch.negate) return branch.render(scopes, options);
+        }
+        return renderFallback(scopes, options);
+      };
+    }
+
+    case "partial":
+      return (scopes, options) => {
+        const hash = {};
+        for (const { key, expression } of node.hash) {
+          const value = evaluate(expression, scopes, options);
+          if (value === MISSING) return node.source;
+          hash[key] = value;
+        }
+        if (!partials.has(node.name)) {
+          return renderTargetHost(node.name, hash);
+        }
+        return Template.compile(partials.get(node.name)).renderScopes([...scopes, { data: hash, locals: {} }], options);
+      };
+
+    default:
+      throw new Error(`Template: unknown node "${node.type}"`);
+  }
+};
+
+/**
+ * Template engine of the targets.
+ *
+ * - `{{user.name}}` outputs an escaped value, `{{{html}}}` an unescaped one. The values built with the html tag
+ *   or unsafeHTML() are not escaped.
+ * - `{{#each items}}…{{else}}…{{/each}}` iterates arrays, Maps and objects, with `this`, `@index`, `@key`,
+ *   `@first`, `@last` and `../` to read the scope above.
+ * - `{{#if cond}}…{{else if other}}…{{else}}…{{/if}}` and `{{#unless cond}}…{{/unless}}`.
+ * - `{{price | currency "EUR"}}` applies filters, see registerFilter().
+ * - `{{> name key=value}}` renders a registered partial, or the host element of the nested target `name`.
+ * - `{{! comment }}` is removed and `\{{` outputs a literal `{{`.
+ *
+ * Templates are parsed once, the compiled ones are cached by source.
+ */
+class Template {
+  /**
+   * Compiles a template, or gets it from the cache.
+   *
+   * @param {string} template - The template.
+   * @returns {Function} - (data, options) => string, see render() for the options.
+   * @throws {SyntaxError} - If the template is invalid.
+   */
+  static compile(template) {
+    if (compiled.has(template)) {
+      const render = compiled.get(template);
+      // Refresh the entry, the least recently used templates are evicted first
+      compiled.delete(template);
+      compiled.set(template, render);
+      return render;
+    }
+
+    const renderScopes = compileNodes(parse(template));
+    const render = (data = {}, options = {}) =>
+      renderScopes([{ data, locals: {} }], { escape: escapeHTML, raw: toText, keepMissing: false, ...options });
+    render.renderScopes = renderScopes;
+
+    compiled.set(template, render);
+    if (compiled.size > maxCompiled) {
+      compiled.delete(compiled.keys().next().value);
+    }
+    return render;
+  }
+
+  /**
+   * Renders a template with data.
+   *
+   * @param {string} template - The template.
+   * @param {Object} [data={}] - The data.
+   * @param {Object} [options] - The render options.
+   * @param {Function} [options.escape] - Escapes the output of `{{value}}`, receives the text and the path.
+   * @param {Function} [options.raw] - Filters the output of `{{{value}}}`, receives the text and the path. Defaults
+   *   to none: the value is trusted.
+   * @param {boolean} [options.keepMissing=false] - Leave the tags reading a key absent from the data intact,
+   *   else the key is undefined.
+   * @returns {string} - The rendered HTML.
+   */
+  static render(template, data = {}, options = {}) {
+    return Template.compile(template)(data, options);
+  }
+
+  /**
+   * Registers a filter, or replaces a built-in one.
+   *
+   * @param {string} name - The name of the filter.
+   * @param {Function} filter - Receives the value and the arguments of the tag, returns the new value.
+   */
+  static registerFilter(name, filter) {
+    filters.set(name, filter);
+  }
+
+  /**
+   * Registers a partial, rendered by `{{> name}}` with the data of the tag and its arguments.
+   * Without registered partial, `{{> name}}` renders the host element of the nested target `name`.
+   *
+   * @param {string} name - The name of the partial.
+   * @param {string} template - The template of the partial.
+   */
+  static registerPartial(name, template) {
+    partials.set(name, template);
+  }
+}
+
+/**
+ * HTML produced by the html tag, or marked as trusted with unsafeHTML(). It is interpolated as is by the html
+ * tag and the templates, where strings are escaped.
+ */
+class SafeHTML {
+  /**
+   * @param {string} value - The HTML.
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Attributes holding a URL. A value interpolated at their start must be an http(s), mailto, tel or ftp URL, or
+ * a relative one.
+ */
+const urlAttributes = ["href", "src", "action", "formaction", "xlink:href", "poster", "cite", "background"];
+
+/**
+ * Elements whose content is raw text. Only SafeHTML can be interpolated in script and style, textarea and title
+ * are escaped like text.
+ */
+const rawTextElements = ["script", "style"];
+const escapableRawTextElements = ["textarea", "title"];
+
+/**
+ * Contexts of the interpolations of the html templates, indexed by their strings array: a tagged template
+ * receives the same array on every call, so each template is only scanned once.
+ */
+const htmlContexts = new WeakMap();
+
+/**
+ * Checks if a URL is safe to interpolate: the schemes other than http(s), mailto, tel and ftp, e.g.
+ * `javascript:`, are refused.
+ *
+ * @param {string} url - The URL.
+ * @returns {boolean} - True if the URL is safe.
+ */
+const isSafeURL = (url) => /^(?:(?:https?|mailto|tel|ftp):|[^:/?#]*(?:[/?#]|$))/i.test(url);
+
+/**
+ * Finds the HTML context of each interpolation of a tagged template, by scanning its static parts.
+ *
+ * @param {string[]} strings - The static parts of the template.
+ * @returns {Object[]} - { type, attribute, atStart, tag } per interpolation. The type is "text", "comment",
+ *   "raw" (in a script or style element), "tag" (between attributes), "attribute" (in a quoted value) or
+ *   "unquoted" (a value without quotes).
+ * @throws {SyntaxError} - If an interpolation is in a tag name, an attribute name or an unquoted value.
+ */
+const getHTMLContexts = (strings) => {
+  if (htmlContexts.has(strings)) {
+    return htmlContexts.get(strings);
+  }
+
+  const contexts = [];
+  let state = "text";
+  let tag = "";
+  let closing = false;
+  let attribute = "";
+  let quote = "";
+  let valueLength = 0;
+
+  const endTag = () => {
+    const isRawText = rawTextElements.includes(tag) || escapableRawTextElements.includes(tag);
+    state = !closing && isRawText ? "rawText" : "text";
+  };
+  const startAttribute = (char) => {
+    state = "attributeName";
+    attribute = char.toLowerCase();
+  };
+
+  strings.forEach((string, index) => {
+    for (let i = 0; i < string.length; i++) {
+      const char = string[i];
+      switch (state) {
+        case "text":
+          if (string.startsWith("<!--", i)) {
+            state = "comment";
+            i += 3;
+          } else if (char === "<" && (/[a-zA-Z/]/.test(string[i + 1] || "") || i === string.length - 1)) {
+            // A `<` before an interpolation starts a tag name too, so a value never opens a tag
+            closing = string[i + 1] === "/";
+            i += closing ? 1 : 0;
+            state = "tagName";
+            tag = "";
+          }
+          break;
+        case "tagName":
+          if (/[\s/>]/.test(char)) {
+            state = "tag";
+            i--;
+          } else {
+            tag += char.toLowerCase();
+          }
+          break;
+        case "tag":
+          if (char === ">") endTag();
+          else if (!/[\s/]/.test(char)) startAttribute(char);
+          break;
+        case "attributeName":
+          if (char === "=") state = "beforeValue";
+          else if (/[\s/>]/.test(char)) {
+            state = "afterAttributeName";
+            i--;
+          } else attribute += char.toLowerCase();
+          break;
+        case "afterAttributeName":
+          if (char === "=") state = "beforeValue";
+          else if (char === ">") endTag();
+          else if (!/[\s/]/.test(char)) startAttribute(char);
+          break;
+        case "beforeValue":
+          if (char === '"' || char === "'") {
+            state = "value";
+            quote = char;
+            valueLength = 0;
+          } else if (char === ">") endTag();
+          else if (!/\s/.test(char)) {
+            state = "value";
+            quote = "";
+            valueLength = 1;
+          }
+          break;
+        case "value":
+          if (quote ? char === quote : /\s/.test(char)) state = "tag";
+          else if (!quote && char === ">") endTag();
+          else valueLength++;
+          break;
+        case "comment":
+          if (string.startsWith("-->", i)) {
+            state = "text";
+            i += 2;
+          }
+          break;
+        case "rawText":
+          if (string.startsWith("</", i) && string.slice(i + 2, i + 2 + tag.length).toLowerCase() === tag) {
+            closing = true;
+            state = "tagName";
+            tag = "";
+            i++;
+          }
+          break;
+      }
+    }
+
+    if (index === strings.length - 1) {
+      return;
+    }
+    if (state === "text" || state === "comment") {
+      contexts.push({ type: state });
+    } else if (state === "rawText") {
+      contexts.push({ type: rawTextElements.includes(tag) ? "raw" : "text", tag });
+    } else if (state === "tag" || state === "afterAttributeName") {
+      contexts.push({ type: "tag" });
+      state = "tag";
+    } else if (state === "beforeValue") {
+      contexts.push({ type: "unquoted", attribute, atStart: true });
+      state = "tag";
+    } else if (state === "value" && quote) {
+      contexts.push({ type: "attribute", attribute, atStart: valueLength === 0 });
+      valueLength++;
+    } else {
+      const location = state === "value" ? `the unquoted value of "${attribute}"` : `${state === "tagName" ? "a tag" : "an attribute"} name`;
+      throw new SyntaxError(`html: interpolations are not supported in ${location}`);
+    }
+  });
+
+  htmlContexts.set(strings, contexts);
+  return contexts;
+};
+
+/**
+ * Renders a value in an attribute value: arrays are joined with spaces, objects are serialized to JSON.
+ *
+ * @param {*} value - The value.
+ * @param {string} attribute - The name of the attribute.
+ * @param {boolean} atStart - True if the value starts the attribute value, URLs are then checked.
+ * @returns {string} - The escaped value.
+ * @throws {TypeError} - If the attribute is an event handler.
+ */
+const renderAttributeValue = (value, attribute, atStart) => {
+  if (value instanceof SafeHTML) {
+    return value.value.replace(/["']/g, (char) => (char === '"' ? "&quot;" : "&#39;"));
+  }
+  if (/^on/.test(attribute)) {
+    throw new TypeError(`html: interpolations are not supported in the event handler "${attribute}", use data-${attribute.replace(/^on/, "on-")}`);
+  }
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.filter((item) => item !== null && item !== undefined && item !== false).join(" ");
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (atStart && urlAttributes.includes(attribute) && !isSafeURL(text)) {
+    text = "about:invalid";
+  }
+  return escapeHTML(text);
+};
+
+/**
+ * Renders an object of attributes: `true` renders the attribute without value, `false`, `null` and
+ * `undefined` leave it out.
+ *
+ * @param {Object} attributes - The attributes, indexed by name.
+ * @returns {string} - The attributes, each preceded by a space.
+ * @throws {TypeError} - If a name is invalid.
+ */
+const renderAttributes = (attributes) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => {
+      if (!/^[^\s"'<>/=]+$/.test(name)) {
+        throw new TypeError(`html: invalid attribute name "${name}"`);
+      }
+      return value === true ? ` ${name}` : ` ${name}="${renderAttributeValue(value, name.toLowerCase(), true)}"`;
+    })
+    .join("");
+
+/**
+ * Renders an interpolated value in its context. `null`, `undefined` and `false` render nothing, arrays render
+ * each of their items.
+ *
+ * @param {*} value - The value.
+ * @param {Object} context - The context of the interpolation.
+ * @returns {string} - The HTML.
+ * @throws {TypeError} - If the value cannot be interpolated in its context.
+ */
+const renderValue = (value, context) => {
+  if (value === null || value === undefined || value === false) {
+    return "";
+  }
+
+  switch (context.type) {
+    case "text":
+    case "comment":
+      if (Array.isArray(value)) return value.map((item) => renderValue(item, context)).join("");
+      if (value instanceof SafeHTML) return context.type === "text" ? value.value : escapeHTML(value.value);
+      return escapeHTML(String(value));
+
+    case "raw":
+      if (value instanceof SafeHTML) return value.value;
+      throw new TypeError(`html: only unsafeHTML() can be interpolated in a <${context.tag}> element`);
+
+    case "tag":
+      if (value instanceof SafeHTML) return value.value;
+      if (typeof value === "object" && !Array.isArray(value)) return renderAttributes(value);
+      throw new TypeError("html: only objects of attributes can be interpolated between attributes");
+
+    case "unquoted":
+      return `"${renderAttributeValue(value, context.attribute, true)}"`;
+
+    default:
+      return renderAttributeValue(value, context.attribute, context.atStart);
+  }
+};
+
+/**
+ * Tag of template literals building HTML from untrusted values. Interpolations are escaped by context:
+ * - in text, values are escaped, the results of html and unsafeHTML() are inserted as they are, arrays render
+ *   each of their items, and `null`, `undefined` and `false` render nothing;
+ * - in a quoted or unquoted attribute value, values are escaped, arrays are joined with spaces and objects
+ *   serialized to JSON. A URL interpolated at the start of href, src, action... must be http(s), mailto, tel,
+ *   ftp or relative, else it is replaced by `about:invalid`;
+ * - between attributes, an object renders its attributes: `<input ${{ value, disabled: true }}>`.
+ * Event handler attributes, script and style elements only accept unsafeHTML().
+ *
+ * @param {string[]} strings - The static parts of the template.
+ * @param {...*} values - The interpolated values.
+ * @returns {SafeHTML} - The HTML, `String(result)` is the markup.
+ * @example
+ * html`<a href="${user.url}" class="${["link", active && "active"]}">${user.name}</a>`
+ */
+const html = (strings, ...values) => {
+  const contexts = getHTMLContexts(strings);
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value, contexts[index]) + strings[index + 1];
+  });
+  return new SafeHTML(output);
+};
+
+/**
+ * Marks HTML as trusted: the html tag and the templates insert it without escaping.
+ * Never pass it markup built from user input, sanitize it first.
+ *
+ * @param {string} value - The HTML.
+ * @returns {SafeHTML} - The trusted HTML.
+ */
+const unsafeHTML = (value) => new SafeHTML(value === null || value === undefined ? "" : String(value));
+
+export { Template, SafeHTML, html, unsafeHTML };
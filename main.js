@@ -1,150 +1,290 @@
-import { getPathTargetId } from "@router";
+import { compilePath, getCachedRouteData, loadRouteData, primeRouteData, resolveRoute, router } from "@router";
 import { targetRegistry } from "@router/router";
 import { datasetToObject } from "@utils";
+import { HTTPRequest } from "@utils/HTTPRequest";
 import config from "@/target.config";
 
 document.addEventListener("DOMContentLoaded", function () {
   console.log("Target.js is running!");
   console.log("Single page mode:", config.router.isSPAEnabled);
 
-  let currentTargetId = null;
-  let currentTargetInstance = null;
+  // Targets rendered for each record of the current route, from the outermost layout to the view
+  let mountedRoutes = [];
 
-  const renderPage = async () => {
-    const url = window.location;
-    const path = url.pathname;
-    const queryParams = new URLSearchParams(url.search);
-    const targetId = getPathTargetId(path);
+  /**
+   * Get the key of the params a route record depends on.
+   * A record is rendered again when its key changes, e.g. navigating from /about to /contact.
+   * @param {Object} record - The route record
+   * @param {Object} route - The resolved route
+   * @returns {string}
+   */
+  const getRecordKey = (record, route) => {
+    return JSON.stringify(compilePath(record.path).keys.map((key) => route.params[key]));
+  };
 
-    if (targetId !== currentTargetId) {
-      if (currentTargetInstance) {
-        // Unmount the current target instance before rendering the new one
-        currentTargetInstance.unmount();
-      }
+  // Target rendered while a route loader is pending
+  let pendingTarget = null;
 
-      currentTargetId = targetId;
+  // Incremented on each render, so that a superseded render stops after its loaders resolve
+  let renderId = 0;
 
-      // Update the body ID
-      document.body.id = targetId;
+  // The body holds the markup rendered by the server until the first render adopts it
+  let isHydrating = document.body.hasAttribute("data-ssr");
 
-      // Clear the existing content if needed
-      const container = document.getElementById(targetId);
-      if (container) {
-        container.innerHTML = "";
+  /**
+   * Get the root element of the target rendered for a route record
+   * @param {Object} record - The route record
+   * @param {Object|undefined} parent - The mounted parent route
+   * @returns {HTMLElement|null}
+   */
+  const getRouteContainer = (record, parent) => {
+    if (parent) {
+      // Nested routes are rendered in the outlet of their layout
+      const outlet = parent.target.container.querySelector("[data-target-outlet]");
+      if (!outlet) {
+        console.error(`Target ${parent.record.target} has no [data-target-outlet] element`);
       }
+      return outlet;
+    }
 
-      // Does the key exist in the registry?
-      const loadTarget = targetRegistry[targetId];
-      if (loadTarget) {
-        currentTargetInstance = await renderTarget(
-          targetId,
+    // Update the body ID
+    document.body.id = record.target;
+    return document.getElementById(record.target);
+  };
+
+  /**
+   * Render the targets of a resolved route, called by the router on every navigation
+   * @param {Object} route - The resolved route
+   * @param {boolean} revalidate - Whether stale loader data is revalidated after rendering
+   * @returns {Promise<void>}
+   */
+  const renderPage = async (route, revalidate = true) => {
+    const currentRenderId = ++renderId;
+    const queryParams = new URLSearchParams(route.query);
+
+    if (pendingTarget) {
+      pendingTarget.destroy();
+      pendingTarget = null;
+    }
+
+    // Layouts shared with the current route are kept, everything below the first change is rendered again
+    let level = route.matched.findIndex((record, index) => {
+      const mounted = mountedRoutes[index];
+      return !mounted || mounted.record !== record || mounted.key !== getRecordKey(record, route);
+    });
+    if (level === -1) {
+      level = route.matched.length;
+    }
+
+    if (mountedRoutes[level]) {
+      // Destroy the target and its nested targets before rendering the new one
+      mountedRoutes[level].target.destroy();
+    }
+    mountedRoutes = mountedRoutes.slice(0, level);
+
+    try {
+      for (let index = level; index < route.matched.length; index++) {
+        const record = route.matched[index];
+        const parent = mountedRoutes[index - 1];
+        const parentTarget = parent ? parent.target : null;
+        const container = getRouteContainer(record, parent);
+        if (!container) {
+          return;
+        }
+
+        // Clear the existing content if needed, the server markup is patched in place instead
+        if (!isHydrating) {
+          container.innerHTML = "";
+        }
+
+        // Does the key exist in the registry?
+        const loadTarget = targetRegistry[record.target];
+        if (!loadTarget) {
+          console.error(`No target registered for ${record.target}`);
+          return;
+        }
+
+        let data;
+        let isStale = false;
+        if (record.load) {
+          const cached = getCachedRouteData(record, route);
+
+          if (cached) {
+            data = cached.data;
+            isStale = cached.isStale;
+          } else {
+            const pendingTargetId = record.pendingTarget ?? config.router.pendingTarget;
+            if (targetRegistry[pendingTargetId]) {
+              pendingTarget = await renderTarget(container, targetRegistry[pendingTargetId], route.path, queryParams, {}, parentTarget);
+            }
+
+            try {
+              data = await loadRouteData(record, route);
+            } catch (error) {
+              if (currentRenderId !== renderId) {
+                return;
+              }
+              console.error(`Error loading data for ${route.fullPath}:`, error);
+
+              if (pendingTarget) {
+                pendingTarget.destroy();
+                pendingTarget = null;
+              }
+              const errorTargetId = record.errorTarget ?? config.router.errorTarget;
+              if (targetRegistry[errorTargetId]) {
+                const target = await renderTarget(container, targetRegistry[errorTargetId], route.path, queryParams, { message: error.message }, parentTarget);
+                // Without a key, the record is loaded again on the next navigation to the route
+                mountedRoutes.push({ record, key: null, target });
+              }
+              return;
+            }
+
+            // A newer navigation took over while the data was loading
+            if (currentRenderId !== renderId) {
+              return;
+            }
+
+            if (pendingTarget) {
+              pendingTarget.destroy();
+              pendingTarget = null;
+            }
+          }
+        }
+
+        const target = await renderTarget(
+          container,
           loadTarget,
-          path,
-          queryParams
+          route.path,
+          queryParams,
+          // The nested targets of the route inherit the data as props.routeData
+          { params: route.params, data, routeData: data },
+          parentTarget
         );
+        if (!target) {
+          return;
+        }
+
+        mountedRoutes.push({ record, key: getRecordKey(record, route), target });
+
+        if (isStale && revalidate) {
+          revalidateRoute(record, route, data);
+        }
+      }
+    } finally {
+      // Stop adopting the server markup after the first render, even if it did not complete
+      if (isHydrating) {
+        finishHydration();
       }
     }
   };
 
   /**
-   * Render child targets by looking the HTML string for their root element
-   * Look for <target name="target-name"/> inside the parent element and render the target corresponding to the name
-   * @param {HTMLElement} parentContainer - The parent container element
-   * @param {string} path - The current path
-   * @param {URLSearchParams} queryParams - The query parameters
+   * Remove the markers of the server render once the targets have adopted its markup
+   * The server styles are replaced by the ones injected by the targets
+   */
+  const finishHydration = () => {
+    isHydrating = false;
+    document.body.removeAttribute("data-ssr");
+    document.head.querySelectorAll("[data-ssr]").forEach((element) => element.remove());
+  };
+
+  /**
+   * Reload the stale data of a route record in the background
+   * The route is rendered again from that record if the data changed and the route is still displayed
+   * @param {Object} record - The route record
+   * @param {Object} route - The resolved route
+   * @param {*} data - The data currently rendered
    * @returns {Promise<void>}
    */
-  const renderChildTarget = async (parentContainer, path, queryParams) => {
-    const elements = parentContainer.querySelectorAll("[data-target-name]");
-    if (elements.length > 0) {
-      await Promise.all(
-        [...elements].map(async (element) => {
-          const targetId = element.getAttribute("data-target-name");
-          const props = datasetToObject(element.dataset);
-          props.path = path;
-          props.queryParams = queryParams.toString();
-
-          if (targetRegistry[targetId]) {
-            try {
-              const { default: Target } = await targetRegistry[targetId]();
-              const target = new Target(props, element);
-              target.setParent(parentContainer.id);
-              target.update();
+  const revalidateRoute = async (record, route, data) => {
+    try {
+      const freshData = await loadRouteData(record, route);
+      const index = mountedRoutes.findIndex((mounted) => mounted.record === record);
 
-              // Render child targets
-              await renderChildTarget(element, path, queryParams);
+      if (router.currentRoute !== route || index === -1 || JSON.stringify(freshData) === JSON.stringify(data)) {
+        return;
+      }
 
-              // Clean up the container
-              target.initialize();
-            } catch (error) {
-              console.error(`Error loading target ${targetId}:`, error);
-            }
-          }
-        })
-      );
+      mountedRoutes[index].target.destroy();
+      mountedRoutes = mountedRoutes.slice(0, index);
+      await renderPage(route, false);
+    } catch (error) {
+      console.error(`Error revalidating data for ${route.fullPath}:`, error);
     }
   };
 
   /**
-   * Render targets by looking the DOM for their root element
-   * Look for id="target-name" and render the target corresponding to the name
-   * @param {string} targetId - The id of the target
+   * Render a target into its root element
+   * @param {HTMLElement} element - The root element of the target
    * @param {function} loadTarget - The function to load the target
    * @param {string} path - The current path
    * @param {URLSearchParams} queryParams - The query parameters
-   * @returns {Promise<void>}
+   * @param {Object} routeProps - Extra props, e.g. the route params and the loader data
+   * @param {Target|null} parent - The layout target of a nested route
+   * @returns {Promise<Target|undefined>}
    */
-  const renderTarget = async (targetId, loadTarget, path, queryParams) => {
-    const element = document.getElementById(targetId);
-
+  const renderTarget = async (element, loadTarget, path, queryParams, routeProps = {}, parent = null) => {
     if (element) {
       // Load parent target
       const props = datasetToObject(element.dataset);
       props.path = path;
       props.queryParams = queryParams.toString();
+      Object.assign(props, routeProps);
 
       try {
         const { default: Target } = await loadTarget();
         const target = new Target(props, element);
+        target.setParent(parent);
         target.update();
 
-        // Render child targets
-        await renderChildTarget(element, path, queryParams);
+        // Wait for the child targets discovered by the update
+        await target.mountChildren();
 
         // Clean up the container
         target.initialize();
         return target;
       } catch (error) {
-        console.error(`Error loading target ${targetId}:`, error);
+        console.error(`Error loading target for ${path}:`, error);
       }
     }
   };
 
-  if (config.router.isSPAEnabled) {
-    const navigateTo = (url) => {
-      history.pushState(null, null, url);
-      renderPage();
-    };
-
-    window.addEventListener("popstate", renderPage);
-
-    // Event delegation for navigation links
-    document.addEventListener("click", (event) => {
-      if (event.target.matches("[data-link]")) {
-        event.preventDefault();
-        navigateTo(event.target.href);
-      }
-    });
+  if (window.__TARGET_STATE__) {
+    // Reuse the data loaded by the server, the first render matches its markup without loading it again
+    primeRouteData(window.__TARGET_STATE__.routeData);
   }
 
+  // Open the login route when a request cannot refresh the session
+  HTTPRequest.onAuthFailure = () => {
+    if (config.router.isSPAEnabled) {
+      router.push(config.auth.loginRoute);
+    } else {
+      window.location.assign(config.auth.loginRoute);
+    }
+  };
+
   if (config.router.isSPAEnabled) {
-    // Initial render
-    renderPage();
+    // Handle links, history and the initial render
+    router.start(renderPage).catch((error) => {
+      // e.g. a redirect loop or a target failing to render, the not found route is shown instead of a blank page
+      console.error("Initial navigation failed:", error);
+      router.replace(config.router.notFoundRoute).catch((fallbackError) => {
+        console.error("Unable to render the not found route:", fallbackError);
+      });
+    });
   } else {
     // Render all targets
+    const { pathname, search } = window.location;
+    const route = resolveRoute(`${pathname}${search}`);
     Object.keys(targetRegistry).forEach(async (targetId) => {
       const loadTarget = targetRegistry[targetId];
-      await renderTarget(targetId, loadTarget, window.location.pathname, new URLSearchParams(window.location.search));
+      await renderTarget(
+        document.getElementById(targetId),
+        loadTarget,
+        pathname,
+        new URLSearchParams(search),
+        { params: route ? route.params : {} }
+      );
     });
   }
 });
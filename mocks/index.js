@@ -0,0 +1,98 @@
+import home from "./data/pages/home.json";
+import about from "./data/pages/about.json";
+
+/**
+ * Pages of the mock API, by slug. Pages created, updated or deleted through the API are kept in memory until
+ * the page (or the server) reloads.
+ */
+const pages = new Map(Object.entries({ home, about }));
+
+/**
+ * Answers a 404 for an unknown page.
+ *
+ * @param {string} slug - The page slug.
+ * @returns {Object} - The response.
+ */
+const pageNotFound = (slug) => ({ status: 404, body: { message: `Page "${slug}" not found` } });
+
+/**
+ * Handlers of the mock API, answering the requests of HTTPRequest when config.api.mock.enabled is set
+ * (see docs/MOCK_SERVER.md). Handlers are matched in order, the paths use the syntax of the routes.
+ *
+ * @example
+ * {
+ *   method: "GET",
+ *   path: "/api/users/:id",
+ *   delay: 300, // Latency in milliseconds
+ *   handler: ({ params, query, body, headers }) => ({ status: 200, body: { id: params.id } }),
+ * }
+ */
+const handlers = [
+    // Pages
+    {
+        method: "GET",
+        path: "/api/page",
+        handler: () => ({ body: [...pages].map(([slug, page]) => ({ slug, title: page.title })) }),
+    },
+    {
+        method: "GET",
+        path: "/api/page/:slug",
+        handler: ({ params }) => (pages.has(params.slug) ? { body: pages.get(params.slug) } : pageNotFound(params.slug)),
+    },
+    {
+        method: "POST",
+        path: "/api/page",
+        handler: ({ body }) => {
+            if (!body || !body.slug || !body.title) {
+                return { status: 422, body: { message: "The slug and the title are required" } };
+            }
+            if (pages.has(body.slug)) {
+                return { status: 409, body: { message: `Page "${body.slug}" already exists` } };
+            }
+            const { slug, ...page } = body;
+            pages.set(slug, page);
+            return { status: 201, body: page, headers: { Location: `/api/page/${slug}` } };
+        },
+    },
+    {
+        method: "PUT",
+        path: "/api/page/:slug",
+        handler: ({ params, body }) => {
+            if (!pages.has(params.slug)) {
+                return pageNotFound(params.slug);
+            }
+            pages.set(params.slug, { ...pages.get(params.slug), ...body });
+            return { body: pages.get(params.slug) };
+        },
+    },
+    {
+        method: "DELETE",
+        path: "/api/page/:slug",
+        handler: ({ params }) => (pages.delete(params.slug) ? { status: 204 } : pageNotFound(params.slug)),
+    },
+
+    // Simulated failures, e.g. to try the error target or the retries of HTTPRequest
+    {
+        method: "*",
+        path: "/api/errors/network",
+        handler: () => ({ error: "network" }),
+    },
+    {
+        method: "*",
+        path: "/api/errors/:status",
+        handler: ({ params, query }) => {
+            if (!/^\d+$/.test(params.status)) {
+                return { status: 400, body: { message: `Invalid status ${params.status}` } };
+            }
+            // Response only accepts the statuses from 200 to 599
+            const status = Math.min(Math.max(Number(params.status), 200), 599);
+            return {
+                status,
+                body: { message: `Simulated ${status} error` },
+                headers: query.retryAfter ? { "Retry-After": query.retryAfter } : {},
+            };
+        },
+    },
+];
+
+export { handlers };
@@ -1,8 +1,10 @@
-import { pathToTargetId } from "@router/router";
+import { routes } from "@router/router";
+import AuthManager from "@core/AuthManager";
+import config from "@/target.config";
 
 /**
- * Page path to target ID mapping.
- * This mapping helps in resolving the appropriate target ID based on the current path.
+ * Regex patterns of the legacy {{placeholder}} segments.
+ * `/{{slug}}` is still accepted and behaves like `/:slug` restricted to the slug pattern.
  */
 const patterns = {
     slug: "[a-zA-Z0-9-]+",
@@ -13,45 +15,646 @@ const patterns = {
 };
 
 /**
- * Replaces placeholders in the pathToTargetId keys with actual patterns.
+ * Maximum number of redirects followed while resolving guards, to prevent redirect loops.
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Escapes a string so it can be used literally inside a regular expression.
+ *
+ * @param {string} value - The string to escape.
+ * @returns {string} - The escaped string.
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Joins a child route path to the path of its parent.
+ * Child paths starting with a slash are absolute.
  *
- * @param {string} pathPattern - The path pattern to replace placeholders in.
- * @returns {string} - The path pattern with placeholders replaced by regex patterns.
+ * @param {string} parentPath - The full path of the parent route.
+ * @param {string} path - The path of the child route.
+ * @returns {string} - The full path of the child route.
  */
-const replacePlaceholders = (pathPattern) => {
-    return pathPattern.replace(/{{(slug|id)}}/g, (_, key) => patterns[key]);
+const joinPaths = (parentPath, path) => {
+    if (path.startsWith("/")) {
+        return path;
+    }
+    return `${parentPath.replace(/\/$/, "")}/${path}`.replace(/\/$/, "") || "/";
 };
 
 /**
- * Retrieves the target ID based on the current path.
- * If the path does not exist in the registry, it tries to match a pattern.
- * If no match is found, it defaults to 'error-404'.
+ * Compiles a route path into a regular expression and the names of its params.
  *
- * @param {string} path - The current path.
- * @returns {string} - The target ID corresponding to the path.
+ * Supported segments:
+ * - `static` matches the segment literally;
+ * - `:name` matches one segment;
+ * - `:name?` matches one optional segment;
+ * - `:name+` matches one or more segments;
+ * - `:name*` or `*` matches zero or more segments (`*` is captured as `pathMatch`);
+ * - `{{slug}}`, `{{id}}`... legacy placeholders restricted to their pattern.
+ *
+ * @param {string} path - The route path.
+ * @returns {{ regex: RegExp, keys: string[] }} - The compiled path.
  */
-const getPathTargetId = (path) => {
-    // Format the path by removing any trailing slashes
-    const formattedPath = path.replace(/\/$/, "") || "/";
+const compilePath = (path) => {
+    const keys = [];
+    const source = path
+        .split("/")
+        .filter(Boolean)
+        .map((segment) => {
+            const legacy = segment.match(/^\{\{(\w+)\}\}$/);
+            if (legacy && patterns[legacy[1]]) {
+                keys.push(legacy[1]);
+                return `/(${patterns[legacy[1]]})`;
+            }
+
+            if (segment === "*") {
+                keys.push("pathMatch");
+                return "(?:/(.*))?";
+            }
+
+            const param = segment.match(/^:(\w+)([?+*])?$/);
+            if (!param) {
+                return `/${escapeRegex(segment)}`;
+            }
+
+            const [, name, modifier] = param;
+            keys.push(name);
+            switch (modifier) {
+                case "?":
+                    return "(?:/([^/]+))?";
+                case "+":
+                    return "/(.+)";
+                case "*":
+                    return "(?:/(.*))?";
+                default:
+                    return "/([^/]+)";
+            }
+        })
+        .join("");
+
+    return { regex: new RegExp(`^${source}$`), keys };
+};
+
+/**
+ * Flattens the route table into a list of full paths, each one with the chain of records it renders.
+ * Children are listed before their parent so that the most specific route wins.
+ *
+ * @param {Object[]} records - The route records.
+ * @param {string} parentPath - The full path of the parent route.
+ * @param {Object[]} parents - The chain of parent records.
+ * @returns {Object[]} - The flattened routes.
+ */
+const flattenRoutes = (records, parentPath = "", parents = []) => {
+    return records.flatMap((record) => {
+        const fullPath = joinPaths(parentPath || "/", record.path);
+        const matched = [...parents, record];
+        const children = record.children ? flattenRoutes(record.children, fullPath, matched) : [];
+        const hasIndexChild = (record.children || []).some((child) => child.path === "");
+
+        return [
+            ...children,
+            ...(hasIndexChild ? [] : [{ fullPath, matched, ...compilePath(fullPath) }]),
+        ];
+    });
+};
+
+const compiledRoutes = flattenRoutes(routes);
+
+/**
+ * Resolves a URL against the route table.
+ *
+ * A path whose params cannot be decoded resolves to config.router.notFoundRoute.
+ *
+ * @param {string} url - The URL to resolve, with an optional query string.
+ * @returns {Object|null} - The resolved route, or null if no route matches:
+ *   - path: the path without trailing slash;
+ *   - fullPath: the path with its query string;
+ *   - query: the query parameters as an object;
+ *   - params: the decoded named params;
+ *   - matched: the chain of route records, from the outermost layout to the view;
+ *   - targetId: the target of the innermost record;
+ *   - meta: the merged meta of the matched records.
+ */
+const resolveRoute = (url) => {
+    const { pathname, search } = new URL(url, "http://localhost");
+    const path = pathname.replace(/\/$/, "") || "/";
+
+    for (const route of compiledRoutes) {
+        // Compiled patterns never end with a slash, the root path is matched as an empty string
+        const match = route.regex.exec(path === "/" ? "" : path);
+        if (!match) {
+            continue;
+        }
+
+        const params = {};
+        try {
+            route.keys.forEach((key, index) => {
+                if (match[index + 1] !== undefined) {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                }
+            });
+        } catch (error) {
+            if (!(error instanceof URIError)) {
+                throw error;
+            }
+            // A malformed escape sequence, e.g. "/%E0%A4%A", cannot name a page
+            return path === config.router.notFoundRoute ? null : resolveRoute(config.router.notFoundRoute);
+        }
+
+        return {
+            path,
+            fullPath: `${path}${search}`,
+            query: Object.fromEntries(new URLSearchParams(search)),
+            params,
+            matched: route.matched,
+            targetId: route.matched[route.matched.length - 1].target,
+            meta: Object.assign({}, ...route.matched.map((record) => record.meta || {})),
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Checks if a route requires a session, through the `requiresAuth`, `roles` or `permissions` of its meta.
+ *
+ * @param {Object} route - The resolved route.
+ * @returns {boolean} - True if the route is protected.
+ */
+const isProtectedRoute = (route) => {
+    const { requiresAuth, roles, permissions } = route.meta;
+    return Boolean(requiresAuth || roles || permissions);
+};
+
+/**
+ * Enforces the access requirements of the route meta with AuthManager.
+ * A visitor without session is redirected to config.auth.loginRoute, with the requested URL in the
+ * `redirect` query param, and a user missing a role or a permission to config.auth.forbiddenRoute.
+ * The session only lives in the browser, on the server protected routes are left to the client.
+ *
+ * @param {Object} to - The resolved route being navigated to.
+ * @returns {boolean|string} - True to continue, or a redirect path.
+ */
+const checkAccess = (to) => {
+    if (typeof window === "undefined" || !isProtectedRoute(to) || AuthManager.isAuthorized(to.meta)) {
+        return true;
+    }
+
+    if (!AuthManager.isAuthenticated()) {
+        return `${config.auth.loginRoute}?redirect=${encodeURIComponent(to.fullPath)}`;
+    }
+    return config.auth.forbiddenRoute;
+};
+
+/**
+ * Runs the global guards, then the access checks of the route meta, then the redirects and beforeEnter guards
+ * of the matched records, from the outermost one.
+ * A guard receives the target route and the current one, and may return (or resolve to):
+ * - `true` or nothing to continue;
+ * - `false` to cancel the navigation;
+ * - a path to redirect to.
+ *
+ * @param {Object} to - The resolved route being navigated to.
+ * @param {Object|null} from - The current route.
+ * @param {Function[]} guards - The global guards registered with router.beforeEach.
+ * @returns {Promise<boolean|string>} - True to continue, false to cancel, or a redirect path.
+ */
+const runGuards = async (to, from, guards = []) => {
+    for (const guard of guards) {
+        const result = await guard(to, from);
+        if (result === false || typeof result === "string") {
+            return result;
+        }
+    }
+
+    const access = checkAccess(to);
+    if (access !== true) {
+        return access;
+    }
+
+    for (const record of to.matched) {
+        if (record.redirect) {
+            return typeof record.redirect === "function" ? record.redirect(to) : record.redirect;
+        }
+
+        if (record.beforeEnter) {
+            const result = await record.beforeEnter(to, from);
+            if (result === false || typeof result === "string") {
+                return result;
+            }
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Resolves a URL and follows the redirects returned by the guards.
+ *
+ * @param {string} url - The URL to navigate to.
+ * @param {Object|null} from - The current route.
+ * @param {Function[]} guards - The global guards registered with router.beforeEach.
+ * @returns {Promise<Object|false|null>} - The final route (with a `redirectedFrom` URL if a guard redirected),
+ *   false if a guard cancelled the navigation, or null if no route matches.
+ */
+const resolveNavigation = async (url, from, guards = []) => {
+    let route = resolveRoute(url);
+
+    for (let redirects = 0; route; redirects++) {
+        if (redirects > MAX_REDIRECTS) {
+            throw new Error(`Too many redirects while navigating to ${url}`);
+        }
+
+        const result = await runGuards(route, from, guards);
+        if (result === true || result === undefined) {
+            if (redirects > 0) {
+                route.redirectedFrom = url;
+            }
+            return route;
+        }
+        if (result === false) {
+            return false;
+        }
+        route = resolveRoute(result);
+    }
+
+    return route;
+};
+
+/**
+ * Lists the paths of the route table that can be rendered ahead of time, e.g. by the static site generator.
+ * Dynamic segments are expanded with the given param values, a route is skipped when one of its params has
+ * no value (optional params excepted). Records with a redirect, protected routes and routes with
+ * `meta.prerender: false` are skipped too.
+ *
+ * @param {Object} params - The values of each dynamic param, e.g. `{ slug: ["about", "contact"] }`.
+ * @returns {string[]} - The paths, in route table order.
+ */
+const getStaticPaths = (params = {}) => {
+    const paths = compiledRoutes.flatMap((route) => {
+        // Protected pages depend on the session of the visitor, they are rendered in the browser
+        const meta = Object.assign({}, ...route.matched.map((record) => record.meta || {}));
+        if (route.matched.some((record) => record.redirect) || isProtectedRoute({ meta }) || meta.prerender === false) {
+            return [];
+        }
+
+        const segments = route.fullPath.split("/").map((segment) => {
+            if (segment === "*") {
+                return { key: "pathMatch", isOptional: true };
+            }
+            const param = segment.match(/^:(\w+)([?+*])?$/) || segment.match(/^\{\{(\w+)\}\}$/);
+            return param ? { key: param[1], isOptional: param[2] === "?" || param[2] === "*" } : { segment };
+        });
+
+        // Every combination of the param values, optional params are also left empty
+        let combinations = [{}];
+        segments.filter(({ key }) => key).forEach(({ key, isOptional }) => {
+            const values = [...(params[key] || []), ...(isOptional ? [undefined] : [])];
+            combinations = combinations.flatMap((combination) => values.map((value) => ({ ...combination, [key]: value })));
+        });
+
+        return combinations.map((combination) => {
+            const path = segments
+                .map(({ key, segment }) => {
+                    if (!key) {
+                        return segment;
+                    }
+                    return combination[key] === undefined ? "" : String(combination[key]).split("/").map(encodeURIComponent).join("/");
+                })
+                .filter(Boolean)
+                .join("/");
+
+            // Keep the paths that resolve to this route, e.g. a value not matching a legacy placeholder pattern is dropped
+            const resolved = resolveRoute(`/${path}`);
+            return resolved && resolved.matched === route.matched ? resolved.path : null;
+        });
+    });
+
+    return [...new Set(paths.filter(Boolean))];
+};
+
+/**
+ * Data returned by the route loaders, indexed by record target and URL.
+ */
+const loaderCache = new Map();
+
+/**
+ * Gets the key of the loader data of a route record.
+ *
+ * @param {Object} record - The route record.
+ * @param {Object} route - The resolved route.
+ * @returns {string} - The cache key.
+ */
+const getLoaderKey = (record, route) => `${record.target}:${route.fullPath}`;
+
+/**
+ * Gets the cached data of a route record loader.
+ * Data is stale once it is older than the staleTime of the record (or config.router.staleTime).
+ *
+ * @param {Object} record - The route record.
+ * @param {Object} route - The resolved route.
+ * @returns {{ data: *, isStale: boolean }|null} - The cached data, or null if the loader never resolved for this URL.
+ */
+const getCachedRouteData = (record, route) => {
+    const entry = loaderCache.get(getLoaderKey(record, route));
+    if (!entry) {
+        return null;
+    }
+
+    const staleTime = record.staleTime ?? config.router.staleTime ?? 0;
+    return { data: entry.data, isStale: Date.now() - entry.loadedAt >= staleTime };
+};
+
+/**
+ * Runs the loader of a route record and caches its data.
+ *
+ * @param {Object} record - The route record, with a `load({ params, query })` function.
+ * @param {Object} route - The resolved route.
+ * @returns {Promise<*>} - The data returned by the loader.
+ */
+const loadRouteData = async (record, route) => {
+    const data = await record.load({ params: route.params, query: route.query });
+    loaderCache.set(getLoaderKey(record, route), { data, loadedAt: Date.now() });
+    return data;
+};
+
+/**
+ * Fills the loader cache with data loaded elsewhere, e.g. rendered by the server.
+ *
+ * @param {Object} entries - The data, indexed by loader key (see getLoaderKey).
+ */
+const primeRouteData = (entries = {}) => {
+    Object.entries(entries).forEach(([key, data]) => {
+        loaderCache.set(key, { data, loadedAt: Date.now() });
+    });
+};
+
+/**
+ * Removes cached loader data, e.g. after a mutation, so the next navigation loads it again.
+ *
+ * @param {string} [url] - The URL whose data is removed. Without URL, the whole cache is cleared.
+ */
+const invalidateRouteData = (url) => {
+    if (!url) {
+        loaderCache.clear();
+        return;
+    }
+
+    const route = resolveRoute(url);
+    if (!route) {
+        return;
+    }
+    route.matched.forEach((record) => loaderCache.delete(getLoaderKey(record, route)));
+};
+
+/**
+ * Client-side router.
+ * It owns the browser history in SPA mode: link clicks and popstate events go through it, and targets
+ * navigate programmatically with `router.push()` / `router.replace()`.
+ */
+class Router {
+    constructor() {
+        this.currentRoute = null;
+        this.beforeHooks = [];
+        this.afterHooks = [];
+        this.renderer = null;
+        this.navigationId = 0;
+    }
+
+    /**
+     * Starts handling the browser navigation and renders the current URL.
+     *
+     * @param {Function} renderer - Renders a resolved route, called with the route and the previous one.
+     * @returns {Promise<Object|false|null>} - The initial route.
+     */
+    start(renderer) {
+        this.renderer = renderer;
+
+        window.addEventListener("popstate", () => {
+            this.navigate(`${this.getLocation()}${window.location.hash}`, "pop").catch((error) => {
+                console.error("Navigation failed:", error);
+            });
+        });
+        document.addEventListener("click", (event) => this.handleLinkClick(event));
+
+        return this.navigate(`${this.getLocation()}${window.location.hash}`, "replace");
+    }
+
+    /**
+     * Gets the path and query string of the current location.
+     *
+     * @returns {string} - The current URL, without origin and hash.
+     */
+    getLocation() {
+        return `${window.location.pathname}${window.location.search}`;
+    }
+
+    /**
+     * Navigates to a URL, adding an entry to the history.
+     *
+     * @param {string} url - The URL to navigate to.
+     * @returns {Promise<Object|false|null>} - The route rendered, false if the navigation was cancelled.
+     */
+    push(url) {
+        return this.navigate(url, "push");
+    }
+
+    /**
+     * Navigates to a URL, replacing the current history entry.
+     *
+     * @param {string} url - The URL to navigate to.
+     * @returns {Promise<Object|false|null>} - The route rendered, false if the navigation was cancelled.
+     */
+    replace(url) {
+        return this.navigate(url, "replace");
+    }
+
+    /**
+     * Goes back one entry in the history.
+     */
+    back() {
+        window.history.back();
+    }
+
+    /**
+     * Goes forward one entry in the history.
+     */
+    forward() {
+        window.history.forward();
+    }
 
-    // Check if the formatted path exists in the pathToTargetId mapping
-    if (pathToTargetId[formattedPath]) {
-        return pathToTargetId[formattedPath];
+    /**
+     * Registers a global guard, run before the guards of the route records.
+     * Same return values as a route beforeEnter guard.
+     *
+     * @param {Function} guard - The guard, called with the target route and the current one.
+     * @returns {Function} A function to remove the guard.
+     */
+    beforeEach(guard) {
+        this.beforeHooks.push(guard);
+        return () => {
+            this.beforeHooks = this.beforeHooks.filter((g) => g !== guard);
+        };
     }
 
-    // Check if the formatted path matches any pattern
-    for (const [pattern, targetId] of Object.entries(pathToTargetId)) {
-        const regexPattern = replacePlaceholders(pattern);
-        const regex = new RegExp(`^${regexPattern}$`);
-        if (regex.test(formattedPath)) {
-            return targetId;
+    /**
+     * Registers a hook called after each navigation has been rendered.
+     *
+     * @param {Function} hook - The hook, called with the new route and the previous one.
+     * @returns {Function} A function to remove the hook.
+     */
+    afterEach(hook) {
+        this.afterHooks.push(hook);
+        return () => {
+            this.afterHooks = this.afterHooks.filter((h) => h !== hook);
+        };
+    }
+
+    /**
+     * Resolves a navigation, updates the history and renders the route.
+     * A navigation started while another one is resolving supersedes it.
+     *
+     * @param {string} url - The URL to navigate to.
+     * @param {string} mode - "push", "replace", or "pop" when the browser already changed the URL.
+     * @returns {Promise<Object|false|null>} - The route rendered, false if the navigation was cancelled
+     *   or superseded, null if no route matches.
+     */
+    async navigate(url, mode) {
+        const navigationId = ++this.navigationId;
+        const from = this.currentRoute;
+        const route = await resolveNavigation(url, from, this.beforeHooks);
+        // The fragment is not part of the route, it is kept in the URL unless a guard redirected
+        const hash = route && !route.redirectedFrom ? new URL(url, "http://localhost").hash : "";
+
+        if (navigationId !== this.navigationId) {
+            return false;
+        }
+
+        if (route === false) {
+            // A guard cancelled the navigation, restore the current URL
+            if (mode === "pop" && from) {
+                window.history.replaceState({}, "", from.fullPath);
+            }
+            return false;
+        }
+
+        if (!route) {
+            console.error(`No target found for path: ${url}`);
+            return null;
+        }
+
+        if (mode === "push" && (!from || from.fullPath !== route.fullPath)) {
+            window.history.pushState({}, "", `${route.fullPath}${hash}`);
+        } else if (mode !== "pop" || route.redirectedFrom) {
+            window.history.replaceState({}, "", `${route.fullPath}${hash}`);
         }
+
+        this.currentRoute = route;
+        if (this.renderer) {
+            await this.renderer(route, from);
+        }
+
+        if (hash && mode !== "pop") {
+            this.scrollToHash(hash);
+        }
+
+        this.afterHooks.forEach((hook) => hook(route, from));
+        return route;
     }
 
-    // If no match is found, return 'error-404'
-    console.error(`No target found for path: ${path}`);
-    window.history.replaceState({}, "", "/error-404");
-    return "error-404";
+    /**
+     * Intercepts clicks on [data-link] elements (or any element nested in one) to navigate without reloading.
+     * Modified clicks, links opening another browsing context, downloads and external origins are left to the browser.
+     *
+     * @param {MouseEvent} event - The click event.
+     */
+    handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0) {
+            return;
+        }
+
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        const link = event.target.closest && event.target.closest("[data-link]");
+        if (!link) {
+            return;
+        }
+
+        const target = link.getAttribute("target");
+        if ((target && target !== "_self") || link.hasAttribute("download")) {
+            return;
+        }
+
+        // A data-link without href, e.g. on a button, has nowhere to go
+        const href = link.getAttribute("href");
+        if (!href) {
+            return;
+        }
+
+        const url = new URL(href, window.location.href);
+        if (url.origin !== window.location.origin) {
+            return;
+        }
+
+        // Anchors on the current page are left to the browser
+        if (url.hash && `${url.pathname}${url.search}` === this.getLocation()) {
+            return;
+        }
+
+        event.preventDefault();
+        this.push(`${url.pathname}${url.search}${url.hash}`).catch((error) => {
+            console.error("Navigation failed:", error);
+        });
+    }
+
+    /**
+     * Scrolls to the element named by the fragment of the URL once the route is rendered, as the browser
+     * does on a full page load.
+     *
+     * @param {string} hash - The fragment, with its leading "#".
+     */
+    scrollToHash(hash) {
+        let id = hash.slice(1);
+        try {
+            id = decodeURIComponent(id);
+        } catch {
+            // Keep the raw fragment, the browser matches it as is too
+        }
+        const element = document.getElementById(id);
+        if (element) {
+            element.scrollIntoView();
+        }
+    }
+}
+
+const router = new Router();
+
+/**
+ * Retrieves the target ID based on the current path.
+ *
+ * @param {string} path - The current path.
+ * @returns {string} - The target ID corresponding to the path, or 'error-404' if no route matches.
+ */
+const getPathTargetId = (path) => {
+    const route = resolveRoute(path);
+    return route ? route.targetId : "error-404";
 };
 
-export { getPathTargetId };
+export {
+    compilePath,
+    resolveRoute,
+    resolveNavigation,
+    isProtectedRoute,
+    checkAccess,
+    getPathTargetId,
+    getStaticPaths,
+    getLoaderKey,
+    getCachedRouteData,
+    loadRouteData,
+    primeRouteData,
+    invalidateRouteData,
+    router,
+};
@@ -1,3 +1,6 @@
+import { HTTPRequest } from "@utils/HTTPRequest";
+import config from "@/target.config";
+
 /**
  * Defines a map for dynamically importing React-like targets based on container IDs.
  * This approach enables lazy-loading of targets only when they are needed, reducing initial load time.
@@ -13,6 +16,9 @@ const targetRegistry = {
     "index": () => import("../src/components/views/Index.js"),
     "page": () => import("../src/components/views/Page.js"),
     "error-404": () => import("../src/components/views/Error404.js"),
+    "error-403": () => import("../src/components/views/Error403.js"),
+    "auth-callback": () => import("../src/components/views/AuthCallback.js"),
+    "login": () => import("../src/components/views/Login.js"),
 
     // Layouts
     "app": () => import("../src/components/partials/layouts/App.js"),
@@ -29,14 +35,63 @@ const targetRegistry = {
 };
 
 /**
- * Page path to target ID mapping.
- * This mapping helps in resolving the appropriate target ID based on the current path.
+ * Loads the content of a page from the API.
+ *
+ * @param {string} slug - The page slug.
+ * @returns {Promise<Object>} - The page content.
  */
+const loadPage = (slug) => {
+    const api = new HTTPRequest(`${config.api.baseURL}/api/page`, {}, {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+    });
 
-const pathToTargetId = {
-    "/": "index",
-    "/{{slug}}": "page",
-    "/error-404": "error-404",
+    return api.get(`/${slug}`).then(({ json }) => json);
 };
 
-export { targetRegistry, pathToTargetId };
+/**
+ * Route table.
+ * Each record maps a path to the target rendered for it. Routes are matched in order, the first match wins.
+ *
+ * - path: `/static`, named params `/:slug`, optional `/:slug?`, repeatable `/:path+`, wildcard `/*` or `/:path*`.
+ *   The legacy placeholders `/{{slug}}` and `/{{id}}` are still supported.
+ * - target: the target ID in the targetRegistry. Its params are passed to it as `props.params`.
+ * - load({ params, query }): loads the data of the route before its target is rendered, passed as `props.data`.
+ *   The pendingTarget is rendered meanwhile and the errorTarget if it fails (defaults in config.router).
+ *   The data is cached per URL and revalidated in the background once older than staleTime.
+ * - children: nested routes. Their path is relative to the parent, the parent target is the layout and
+ *   must render an element with the `data-target-outlet` attribute where the child target is mounted.
+ *   A child with an empty path is rendered when the parent path itself is visited.
+ * - beforeEnter(to, from): guard returning `false` to cancel the navigation or a path to redirect to.
+ * - redirect: a path (or a function receiving the route) to redirect to.
+ * - meta: free-form data merged from the outermost record to the innermost one. The router enforces:
+ *   - requiresAuth: the route needs a session, visitors are redirected to config.auth.loginRoute;
+ *   - roles: the user needs one of these roles, e.g. ["admin", "editor"];
+ *   - permissions: the user needs all these permissions.
+ *   Users missing a role or a permission are redirected to config.auth.forbiddenRoute.
+ *   The static site generator also reads:
+ *   - prerender: false to skip the route, e.g. the pages only working in the browser like the OAuth callback.
+ *
+ * @example
+ * {
+ *   path: "/blog",
+ *   target: "blog-layout",
+ *   meta: { requiresAuth: true },
+ *   children: [
+ *     { path: "", target: "blog-index" },
+ *     { path: ":category/:slug", target: "blog-post" },
+ *     { path: "new", target: "blog-editor", meta: { roles: ["admin", "editor"] } },
+ *   ],
+ * }
+ */
+const routes = [
+    { path: "/", target: "index", load: () => loadPage("home") },
+    { path: "/error-404", target: "error-404", meta: { status: 404 } },
+    { path: "/error-403", target: "error-403", meta: { status: 403 } },
+    { path: config.auth.oauth.callbackPath, target: "auth-callback", meta: { prerender: false } },
+    { path: config.auth.loginRoute, target: "login", meta: { prerender: false } },
+    { path: "/:slug", target: "page", load: ({ params }) => loadPage(params.slug) },
+    { path: "*", redirect: "/error-404" },
+];
+
+export { targetRegistry, routes };
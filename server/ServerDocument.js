@@ -0,0 +1,209 @@
+/**
+ * Elements serialized without a closing tag.
+ */
+const voidElements = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+
+/**
+ * Escapes an attribute value the way the browser serializes it.
+ *
+ * @param {string} value - The attribute value.
+ * @returns {string} - The escaped value.
+ */
+const escapeAttribute = (value) => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+/**
+ * Minimal element used to render targets on the server.
+ * It implements the subset of the DOM API used by Target, HeadManager and StyleManager outside of the
+ * browser lifecycle: attributes, dataset, classList, children and serialization.
+ */
+class ServerElement {
+  /**
+   * @param {string} tagName - The tag name of the element.
+   * @param {Array<[string, string]>} attributes - The initial attributes, in source order.
+   */
+  constructor(tagName, attributes = []) {
+    this.localName = tagName.toLowerCase();
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map(attributes);
+    this.children = [];
+    this.parentNode = null;
+    this.innerHTML = "";
+    this.classList = {
+      add: (...classNames) => {
+        const classes = (this.getAttribute("class") || "").split(" ").filter(Boolean);
+        classNames.forEach((className) => {
+          if (!classes.includes(className)) {
+            classes.push(className);
+          }
+        });
+        this.setAttribute("class", classes.join(" "));
+      },
+    };
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  get id() {
+    return this.getAttribute("id") || "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get rel() {
+    return this.getAttribute("rel") || "";
+  }
+
+  set rel(value) {
+    this.setAttribute("rel", value);
+  }
+
+  get href() {
+    return this.getAttribute("href") || "";
+  }
+
+  set href(value) {
+    this.setAttribute("href", value);
+  }
+
+  /**
+   * The data-* attributes, with camelCased keys like HTMLElement.dataset.
+   * @returns {Object} - A snapshot of the data attributes.
+   */
+  get dataset() {
+    const dataset = {};
+    this.attributes.forEach((value, name) => {
+      if (name.startsWith("data-")) {
+        dataset[name.slice(5).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+      }
+    });
+    return dataset;
+  }
+
+  appendChild(child) {
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter((c) => c !== child);
+    child.parentNode = null;
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+
+  /**
+   * Checks the element against a selector list of the form `tag[attr="value"]:not([attr]), ...`.
+   *
+   * @param {string} selector - The selector list.
+   * @returns {boolean} - True if one of the selectors matches.
+   */
+  matches(selector) {
+    return selector.split(",").some((part) => {
+      const match = part.trim().match(/^([a-zA-Z][\w-]*)?((?:\[[^\]]+\])*)((?::not\(\[[^\]]+\]\))*)$/);
+      if (!match) {
+        return false;
+      }
+
+      const [, tagName, attributes, negations] = match;
+      if (tagName && tagName.toLowerCase() !== this.localName) {
+        return false;
+      }
+
+      const matchesAttribute = (condition) => {
+        const [, name, value] = condition.match(/\[([^=\]]+)(?:="([^"]*)")?\]/);
+        return value === undefined ? this.hasAttribute(name) : this.getAttribute(name) === value;
+      };
+
+      return (
+        (attributes.match(/\[[^\]]+\]/g) || []).every(matchesAttribute) &&
+        !(negations.match(/\[[^\]]+\]/g) || []).some(matchesAttribute)
+      );
+    });
+  }
+
+  querySelectorAll(selector) {
+    return this.children.flatMap((child) => [
+      ...(child.matches(selector) ? [child] : []),
+      ...child.querySelectorAll(selector),
+    ]);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  /**
+   * Serializes the opening tag of the element.
+   * @returns {string} - The opening tag.
+   */
+  get openingTag() {
+    const attributes = [...this.attributes]
+      .map(([name, value]) => (value === "" ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+      .join("");
+    return `<${this.localName}${attributes}>`;
+  }
+
+  get outerHTML() {
+    if (voidElements.includes(this.localName)) {
+      return this.openingTag;
+    }
+
+    const content = this.children.length
+      ? this.children.map((child) => child.outerHTML).join("")
+      : this.innerHTML;
+    return `${this.openingTag}${content}</${this.localName}>`;
+  }
+}
+
+/**
+ * Minimal document used to render targets on the server.
+ * HeadManager and StyleManager write to its head, its title and its language are emitted with the page.
+ */
+class ServerDocument {
+  constructor() {
+    this.head = new ServerElement("head");
+    this.body = new ServerElement("body");
+    this.documentElement = { lang: "" };
+    this.title = "";
+  }
+
+  createElement(tagName) {
+    return new ServerElement(tagName);
+  }
+
+  querySelector(selector) {
+    return this.head.querySelector(selector) || this.body.querySelector(selector);
+  }
+
+  querySelectorAll(selector) {
+    return [...this.head.querySelectorAll(selector), ...this.body.querySelectorAll(selector)];
+  }
+
+  getElementById(id) {
+    return this.body.id === id ? this.body : this.body.querySelector(`[id="${id}"]`);
+  }
+}
+
+export { ServerDocument, ServerElement };
@@ -0,0 +1,67 @@
+import { randomBytes } from "node:crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Token helpers for Node only: the secret is read from JWT_SECRET, which has no VITE_ prefix and is
+ * therefore never exposed to the client bundle. Used by the dev API stand-in (server/mockApi.js) and by
+ * any server route that must check a bearer token.
+ */
+
+/**
+ * Gets the signing secret.
+ *
+ * @param {string} secret - The secret, defaults to JWT_SECRET.
+ * @returns {string} - The secret.
+ */
+const getSecret = (secret = process.env.JWT_SECRET) => {
+  if (!secret) {
+    throw new Error("JWT_SECRET is not set, see .env.example");
+  }
+  return secret;
+};
+
+/**
+ * Creates a signed JWT token.
+ *
+ * @param {Object} payload - The payload to include in the token.
+ * @param {Object} options - { secret, expiresIn }, they default to JWT_SECRET and JWT_EXPIRES_IN.
+ * @returns {string} - The JWT token.
+ */
+const createToken = (payload, { secret, expiresIn = process.env.JWT_EXPIRES_IN || "1h" } = {}) => {
+  return jwt.sign(payload, getSecret(secret), { expiresIn });
+};
+
+/**
+ * Verifies the signature and the expiration of a JWT token.
+ *
+ * @param {string} token - The JWT token.
+ * @param {Object} options - { secret }, it defaults to JWT_SECRET.
+ * @returns {Object|null} - The payload, or null if the token is invalid or expired.
+ */
+const verifyToken = (token, { secret } = {}) => {
+  try {
+    return jwt.verify(token, getSecret(secret));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates an opaque refresh token.
+ *
+ * @returns {string} - The refresh token.
+ */
+const createRefreshToken = () => randomBytes(32).toString("hex");
+
+/**
+ * Gets the bearer token of a request.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {string|null} - The token.
+ */
+const getBearerToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1] : null;
+};
+
+export { createToken, verifyToken, createRefreshToken, getBearerToken };
@@ -0,0 +1,97 @@
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import config from "../target.config.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const distDir = join(root, "dist");
+
+/**
+ * Lists the slugs of the mock API pages, e.g. mocks/data/pages/about.json gives "about".
+ *
+ * @returns {Promise<string[]>} - The slugs.
+ */
+const getPageSlugs = async () => {
+  try {
+    const files = await readdir(join(root, "mocks", "data", "pages"));
+    return files.filter((file) => file.endsWith(".json")).map((file) => file.replace(/\.json$/, ""));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Rewrites the URLs relative to the root of dist/ (vite base "./") so they work from a page in a subdirectory.
+ *
+ * @param {string} html - The page.
+ * @param {string} file - The path of the page file.
+ * @returns {string} - The page with rewritten URLs.
+ */
+const rebaseRelativeUrls = (html, file) => {
+  const prefix = relative(dirname(file), distDir).split("\\").join("/");
+  return prefix ? html.replace(/(\s(?:src|href)=")\.\//g, (match, attribute) => `${attribute}${prefix}/`) : html;
+};
+
+/**
+ * Builds the sitemap of the generated pages.
+ *
+ * @param {string[]} paths - The paths of the pages.
+ * @returns {string} - The sitemap XML.
+ */
+const createSitemap = (paths) => {
+  const lastmod = new Date().toISOString().slice(0, 10);
+  const urls = paths
+    .map((path) => `  <url>\n    <loc>${config.baseURL}${path === "/" ? "/" : `${path}/`}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls}\n</urlset>\n`;
+};
+
+/**
+ * Pre-renders every path of the route table to dist/<path>/index.html and writes dist/sitemap.xml.
+ * Run after the client build and the server build (see "yarn build:static").
+ */
+const generate = async () => {
+  const template = await readFile(join(distDir, "index.html"), "utf-8");
+  if (/<body[^>]*\sdata-ssr/.test(template)) {
+    throw new Error("dist/index.html is already pre-rendered, build the client again (yarn build:static)");
+  }
+  const { render, getStaticPaths } = await import(pathToFileURL(join(distDir, "server", "render.js")).href);
+
+  const params = { slug: await getPageSlugs(), ...config.ssg.params };
+  const paths = [...new Set([...getStaticPaths(params), ...config.ssg.paths])];
+  const sitemapPaths = [];
+
+  for (const path of paths) {
+    let page;
+    try {
+      page = await render(path, template);
+    } catch (error) {
+      // The page is left to the client render, like the SSR server does
+      console.error(`Error rendering ${path}:`, error);
+      continue;
+    }
+
+    const { html, status, redirect } = page;
+    if (redirect) {
+      console.log(`Skipped ${path}: redirects to ${redirect}`);
+      continue;
+    }
+
+    const file = join(distDir, path, "index.html");
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, rebaseRelativeUrls(html, file));
+
+    if (status === 404) {
+      // Served by most static hosts for unknown URLs
+      await writeFile(join(distDir, "404.html"), rebaseRelativeUrls(html, join(distDir, "404.html")));
+    } else if (status === 200) {
+      sitemapPaths.push(path);
+    }
+    console.log(`Generated ${relative(root, file)} (${status})`);
+  }
+
+  await writeFile(join(distDir, "sitemap.xml"), createSitemap(sitemapPaths));
+  console.log(`Generated dist/sitemap.xml (${sitemapPaths.length} pages)`);
+};
+
+await generate();
@@ -0,0 +1,144 @@
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, isAbsolute, join, relative, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const isProduction = process.env.NODE_ENV === "production";
+const port = Number(process.env.PORT) || 3000;
+const root = fileURLToPath(new URL("..", import.meta.url));
+const distDir = join(root, "dist");
+
+/**
+ * Content types of the static files served in production.
+ */
+const contentTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+/**
+ * Serves a file of the client build, the server bundle and the HTML template are never served as is.
+ * A path that cannot be decoded is answered with a 400.
+ *
+ * @param {string} pathname - The requested path.
+ * @param {http.ServerResponse} res - The response.
+ * @returns {Promise<boolean>} - True if the request was answered.
+ */
+const serveStatic = async (pathname, res) => {
+  let filePath;
+  try {
+    filePath = join(distDir, decodeURIComponent(pathname));
+  } catch (error) {
+    if (!(error instanceof URIError)) {
+      throw error;
+    }
+    res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Bad Request");
+    return true;
+  }
+
+  // Only the files inside dist/, a sibling directory such as dist-ssr/ shares the prefix of its path
+  const relativePath = relative(distDir, filePath);
+  const isOutside = !relativePath || relativePath === ".." || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath);
+  if (isOutside || relativePath.split(sep)[0] === "server" || !extname(filePath) || extname(filePath) === ".html") {
+    return false;
+  }
+
+  try {
+    const content = await readFile(filePath);
+    res.writeHead(200, { "Content-Type": contentTypes[extname(filePath)] || "application/octet-stream" });
+    res.end(content);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Renders a request with the SSR bundle, any error falls back to the template rendered on the client.
+ *
+ * @param {Function} getRenderer - Resolves to the template and the render function of server/render.js.
+ * @param {Object|null} vite - The vite dev server, used to fix the stack traces.
+ * @returns {Function} - The request handler.
+ */
+const createRenderHandler = (getRenderer, vite = null) => async (req, res) => {
+  const url = req.url || "/";
+  let template;
+
+  try {
+    let render;
+    ({ template, render } = await getRenderer(url));
+
+    const { html, status, redirect } = await render(url, template);
+    if (redirect) {
+      res.writeHead(status, { Location: redirect });
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(html);
+  } catch (error) {
+    if (vite) {
+      vite.ssrFixStacktrace(error);
+    }
+    console.error(`Error rendering ${url}:`, error);
+
+    // Fall back to the client render
+    res.writeHead(template ? 200 : 500, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(template || "Internal Server Error");
+  }
+};
+
+let server;
+
+if (isProduction) {
+  const template = await readFile(join(distDir, "index.html"), "utf-8");
+  const { render } = await import(pathToFileURL(join(distDir, "server", "render.js")).href);
+  const renderHandler = createRenderHandler(async () => ({ template, render }));
+
+  server = createServer(async (req, res) => {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url || "/", "http://localhost"));
+    } catch {
+      // e.g. "//[", read as a URL with an invalid host
+      res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Bad Request");
+      return;
+    }
+    if (!(await serveStatic(pathname, res))) {
+      await renderHandler(req, res);
+    }
+  });
+} else {
+  // Vite serves the modules and the assets, the pages go through the SSR bundle loaded on each request
+  const { createServer: createViteServer } = await import("vite");
+  const vite = await createViteServer({
+    server: { middlewareMode: true },
+    appType: "custom",
+  });
+
+  vite.middlewares.use(
+    createRenderHandler(async (url) => ({
+      template: await vite.transformIndexHtml(url, await readFile(join(root, "index.html"), "utf-8")),
+      render: (await vite.ssrLoadModule("/server/render.js")).render,
+    }), vite)
+  );
+  server = createServer(vite.middlewares);
+}
+
+server.listen(port, () => {
+  console.log(`Target.js SSR server running at http://localhost:${port}`);
+});
@@ -0,0 +1,252 @@
+import { createHash } from "node:crypto";
+import { createRefreshToken, createToken, getBearerToken, verifyToken } from "./auth.js";
+
+/**
+ * Users accepted by the dev API stand-in when none are configured.
+ */
+const defaultUsers = [
+  { id: 1, name: "Demo User", username: "demo", password: "demo", roles: ["user"] },
+  { id: 2, name: "Demo Admin", username: "admin", password: "admin", roles: ["admin"], permissions: ["pages:edit"] },
+];
+
+/**
+ * Lifetime of the authorization codes of the mock identity provider, in milliseconds.
+ */
+const CODE_TTL = 60 * 1000;
+
+/**
+ * Reads the JSON or form encoded body of a request.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<Object>} - The body, empty if it is missing or invalid.
+ */
+const readBody = async (req) => {
+  let body = "";
+  for await (const chunk of req) {
+    body += chunk;
+  }
+
+  if ((req.headers["content-type"] || "").startsWith("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Computes the S256 PKCE challenge of a code verifier.
+ *
+ * @param {string} verifier - The code verifier.
+ * @returns {string} - The challenge.
+ */
+const getCodeChallenge = (verifier) => createHash("sha256").update(verifier).digest("base64url");
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The status code.
+ * @param {Object} data - The body.
+ */
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Creates the request handler of the auth endpoints used by the default auth provider:
+ * - POST /api/auth/login receives { username, password } and returns { token, refreshToken, user };
+ * - POST /api/auth/token receives { refreshToken } and returns a new token and a rotated refresh token;
+ * - POST /api/auth/logout revokes the refresh token;
+ * - GET /api/auth/me verifies the bearer token and returns the user.
+ * It also plays an OAuth2 identity provider, for the oauth auth provider:
+ * - GET /api/oauth/authorize approves the request right away, for the user of the `login_hint` param or
+ *   the first user, and redirects to the redirect URI with a code;
+ * - POST /api/oauth/token exchanges a code and its PKCE verifier, or a refresh token, for the tokens;
+ * - POST /api/oauth/revoke revokes a refresh token.
+ * Codes and refresh tokens are kept in memory, they are lost when the server restarts.
+ *
+ * @param {Object} options - { users, secret, expiresIn, clientId }, only the clientId client is accepted.
+ * @returns {Function} - A connect middleware.
+ */
+const createAuthHandler = ({ users = defaultUsers, secret, expiresIn, clientId = "target-app" } = {}) => {
+  const refreshTokens = new Map();
+  const codes = new Map();
+
+  const toPublicUser = ({ password, ...user }) => user;
+
+  const openSession = (user) => {
+    const refreshToken = createRefreshToken();
+    refreshTokens.set(refreshToken, user.id);
+    return {
+      token: createToken({ sub: String(user.id), name: user.name, roles: user.roles, permissions: user.permissions }, { secret, expiresIn }),
+      refreshToken,
+      user: toPublicUser(user),
+    };
+  };
+
+  const sendOAuthError = (res, error, description, status = 400) => {
+    sendJson(res, status, { error, error_description: description });
+  };
+
+  const openOAuthSession = (user, scope = "") => {
+    const { token, refreshToken } = openSession(user);
+    const expiresAt = verifyToken(token, { secret }).exp;
+    return {
+      access_token: token,
+      token_type: "Bearer",
+      expires_in: expiresAt - Math.floor(Date.now() / 1000),
+      refresh_token: refreshToken,
+      scope,
+      ...(scope.split(" ").includes("openid")
+        ? { id_token: createToken({ sub: String(user.id), aud: clientId, name: user.name, roles: user.roles }, { secret, expiresIn }) }
+        : {}),
+    };
+  };
+
+  const routes = {
+    "POST /api/auth/login": async (req, res) => {
+      const { username, password } = await readBody(req);
+      const user = users.find((u) => u.username === username && u.password === password);
+      if (!user) {
+        sendJson(res, 401, { message: "Invalid credentials" });
+        return;
+      }
+      sendJson(res, 200, openSession(user));
+    },
+    "POST /api/auth/token": async (req, res) => {
+      const { refreshToken } = await readBody(req);
+      const user = users.find((u) => u.id === refreshTokens.get(refreshToken));
+      if (!user) {
+        sendJson(res, 401, { message: "Invalid refresh token" });
+        return;
+      }
+      refreshTokens.delete(refreshToken);
+      sendJson(res, 200, openSession(user));
+    },
+    "POST /api/auth/logout": async (req, res) => {
+      const { refreshToken } = await readBody(req);
+      refreshTokens.delete(refreshToken);
+      sendJson(res, 200, {});
+    },
+    "GET /api/auth/me": async (req, res) => {
+      const payload = verifyToken(getBearerToken(req), { secret });
+      const user = payload && users.find((u) => String(u.id) === payload.sub);
+      if (!user) {
+        sendJson(res, 401, { message: "Invalid or expired token" });
+        return;
+      }
+      sendJson(res, 200, { user: toPublicUser(user) });
+    },
+  };
+
+  const oauthRoutes = {
+    "GET /api/oauth/authorize": async (req, res, query) => {
+      const redirectUri = query.get("redirect_uri");
+      if (query.get("client_id") !== clientId || !redirectUri) {
+        sendOAuthError(res, "invalid_client", "Unknown client or missing redirect_uri");
+        return;
+      }
+
+      const redirect = new URL(redirectUri);
+      if (query.get("state")) {
+        redirect.searchParams.set("state", query.get("state"));
+      }
+
+      const user = query.get("login_hint") ? users.find((u) => u.username === query.get("login_hint")) : users[0];
+      if (query.get("response_type") !== "code" || query.get("code_challenge_method") !== "S256" || !query.get("code_challenge")) {
+        redirect.searchParams.set("error", "invalid_request");
+        redirect.searchParams.set("error_description", "The code flow with a S256 PKCE challenge is required");
+      } else if (!user) {
+        redirect.searchParams.set("error", "access_denied");
+      } else {
+        const code = createRefreshToken();
+        codes.set(code, {
+          userId: user.id,
+          redirectUri,
+          challenge: query.get("code_challenge"),
+          scope: query.get("scope") || "",
+          expiresAt: Date.now() + CODE_TTL,
+        });
+        redirect.searchParams.set("code", code);
+      }
+
+      res.writeHead(302, { Location: redirect.href });
+      res.end();
+    },
+    "POST /api/oauth/token": async (req, res) => {
+      const body = await readBody(req);
+      if (body.client_id !== clientId) {
+        sendOAuthError(res, "invalid_client", "Unknown client", 401);
+        return;
+      }
+
+      if (body.grant_type === "authorization_code") {
+        const code = codes.get(body.code);
+        codes.delete(body.code);
+        if (!code || code.expiresAt < Date.now() || code.redirectUri !== body.redirect_uri) {
+          sendOAuthError(res, "invalid_grant", "Invalid or expired code");
+          return;
+        }
+        if (!body.code_verifier || getCodeChallenge(body.code_verifier) !== code.challenge) {
+          sendOAuthError(res, "invalid_grant", "The code verifier does not match the challenge");
+          return;
+        }
+        sendJson(res, 200, openOAuthSession(users.find((u) => u.id === code.userId), code.scope));
+      } else if (body.grant_type === "refresh_token") {
+        const user = users.find((u) => u.id === refreshTokens.get(body.refresh_token));
+        if (!user) {
+          sendOAuthError(res, "invalid_grant", "Invalid refresh token");
+          return;
+        }
+        refreshTokens.delete(body.refresh_token);
+        sendJson(res, 200, openOAuthSession(user));
+      } else {
+        sendOAuthError(res, "unsupported_grant_type", `Unsupported grant type "${body.grant_type}"`);
+      }
+    },
+    "POST /api/oauth/revoke": async (req, res) => {
+      const { token } = await readBody(req);
+      refreshTokens.delete(token);
+      sendJson(res, 200, {});
+    },
+  };
+
+  return async (req, res, next) => {
+    const { pathname, searchParams } = new URL(req.url || "/", "http://localhost");
+    const key = `${req.method} ${pathname}`;
+    const route = routes[key] || oauthRoutes[key];
+    if (!route) {
+      next();
+      return;
+    }
+
+    try {
+      await route(req, res, searchParams);
+    } catch (error) {
+      console.error(`Error in the mock API ${pathname}:`, error);
+      sendJson(res, 500, { message: error.message });
+    }
+  };
+};
+
+/**
+ * Vite plugin serving the auth endpoints and the mock identity provider in development, in place of the real API.
+ * The tokens are signed here, with a secret the browser never receives.
+ *
+ * @param {Object} options - { users, secret, expiresIn, clientId }, see createAuthHandler.
+ * @returns {Object} - The plugin.
+ */
+const mockAuthApi = (options = {}) => ({
+  name: "target-mock-auth-api",
+  apply: "serve",
+  configureServer(server) {
+    server.middlewares.use(createAuthHandler(options));
+  },
+});
+
+export { createAuthHandler, mockAuthApi };
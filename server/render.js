@@ -0,0 +1,275 @@
+import { resolveNavigation, isProtectedRoute, getLoaderKey, getStaticPaths } from "@router";
+import { targetRegistry } from "@router/router";
+import { datasetToObject } from "@utils";
+import { ServerDocument, ServerElement } from "./ServerDocument";
+import config from "@/target.config";
+
+/**
+ * Matches an opening tag, attribute values may contain ">".
+ */
+const openingTagRegex = /<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+/**
+ * Matches the attributes of an opening tag.
+ */
+const attributeRegex = /([^\s"'=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Decodes the character references found in attribute values.
+ *
+ * @param {string} value - The raw attribute value.
+ * @returns {string} - The decoded value.
+ */
+const decodeEntities = (value) => {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|quot|apos|lt|gt|nbsp);/gi, (match, entity) => {
+    const named = { amp: "&", quot: '"', apos: "'", lt: "<", gt: ">", nbsp: " " };
+    if (entity[0] !== "#") {
+      return named[entity.toLowerCase()];
+    }
+    const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+};
+
+/**
+ * Parses the attributes of an opening tag.
+ *
+ * @param {string} source - The attributes part of the opening tag.
+ * @returns {Array<[string, string]>} - The attributes, in source order.
+ */
+const parseAttributes = (source) => {
+  return [...source.matchAll(attributeRegex)].map(([, name, doubleQuoted, singleQuoted, unquoted]) => [
+    name.toLowerCase(),
+    decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? ""),
+  ]);
+};
+
+/**
+ * Finds the closing tag matching an opening tag, taking nested elements of the same name into account.
+ *
+ * @param {string} html - The HTML string.
+ * @param {string} tagName - The tag name.
+ * @param {number} from - The index right after the opening tag.
+ * @returns {{ start: number, end: number }} - The indexes of the closing tag, or an empty range at `from`.
+ */
+const findClosingTag = (html, tagName, from) => {
+  const tagRegex = new RegExp(`<(/?)${tagName}(?=[\\s/>])(?:[^>"']|"[^"]*"|'[^']*')*>`, "gi");
+  tagRegex.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = tagRegex.exec(html))) {
+    if (match[1]) {
+      depth--;
+    } else if (!match[0].endsWith("/>")) {
+      depth++;
+    }
+    if (depth === 0) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+
+  return { start: from, end: from };
+};
+
+/**
+ * Replaces the content of the outermost elements having an attribute.
+ * Elements nested in a replaced element are left to the replacement function.
+ *
+ * @param {string} html - The HTML string.
+ * @param {string} attribute - The attribute name, e.g. data-target-name.
+ * @param {Function} replace - Called with a ServerElement for each element, returns its new inner HTML.
+ * @returns {string} - The HTML string with replaced elements.
+ */
+const replaceElements = (html, attribute, replace) => {
+  // A regex per call, the replacement function renders nested targets with their own one
+  const tagRegex = new RegExp(openingTagRegex.source, "g");
+  let output = "";
+  let index = 0;
+  let match;
+
+  while ((match = tagRegex.exec(html))) {
+    const [openingTag, tagName, source] = match;
+    const attributes = parseAttributes(source);
+    if (!attributes.some(([name]) => name === attribute)) {
+      continue;
+    }
+
+    const closingTag = findClosingTag(html, tagName, tagRegex.lastIndex);
+    const element = new ServerElement(tagName, attributes);
+    element.innerHTML = html.slice(tagRegex.lastIndex, closingTag.start);
+
+    output += html.slice(index, match.index) + openingTag + replace(element) + `</${tagName}>`;
+    index = closingTag.end;
+    tagRegex.lastIndex = index;
+  }
+
+  return output + html.slice(index);
+};
+
+/**
+ * Renders a target and its nested targets to an HTML string.
+ * Only the constructor, targetWillMount and render run on the server: the other lifecycle methods need
+ * the browser DOM and run on the client once the markup is hydrated.
+ *
+ * @param {Function} TargetClass - The target class.
+ * @param {ServerElement} element - The container of the target.
+ * @param {Object} props - The props of the target.
+ * @param {Object} modules - The loaded target classes, indexed by target ID.
+ * @param {Target|null} parent - The parent target.
+ * @returns {{ target: Target, html: string }} - The target instance and its inner HTML.
+ */
+const renderTarget = (TargetClass, element, props, modules, parent = null) => {
+  const target = new TargetClass(props, element);
+  target.setParent(parent);
+  target.targetWillMount();
+
+  const html = replaceElements(String(target.render()), "data-target-name", (child) => {
+    const ChildTarget = modules[child.getAttribute("data-target-name")];
+    if (!ChildTarget) {
+      return child.innerHTML;
+    }
+
+    const childProps = datasetToObject(child.dataset);
+    childProps.path = props.path;
+    childProps.queryParams = props.queryParams;
+    childProps.params = props.params;
+    childProps.routeData = props.routeData;
+    return renderTarget(ChildTarget, child, childProps, modules, target).html;
+  });
+
+  return { target, html };
+};
+
+/**
+ * Renders the records of a route from a given level, nested records are rendered in the outlet of their layout.
+ *
+ * @param {Object} route - The resolved route.
+ * @param {Object[]} levels - The target ID, extra props of each matched record.
+ * @param {number} index - The level to render.
+ * @param {ServerElement} element - The container of the level.
+ * @param {Object} modules - The loaded target classes, indexed by target ID.
+ * @param {Target|null} parent - The layout target.
+ * @returns {string} - The inner HTML of the container.
+ */
+const renderLevel = (route, levels, index, element, modules, parent = null) => {
+  const { targetId, props: levelProps } = levels[index];
+  const props = datasetToObject(element.dataset);
+  props.path = route.path;
+  props.queryParams = new URLSearchParams(route.query).toString();
+  Object.assign(props, levelProps);
+
+  const { target, html } = renderTarget(modules[targetId], element, props, modules, parent);
+  if (index === levels.length - 1) {
+    return html;
+  }
+
+  return replaceElements(html, "data-target-outlet", (outlet) => {
+    return renderLevel(route, levels, index + 1, outlet, modules, target);
+  });
+};
+
+/**
+ * Serializes a value for an inline script, "<" is escaped so the JSON cannot close the script tag.
+ *
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The JSON string.
+ */
+const serializeState = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+/**
+ * Renders a URL to a full HTML page.
+ * The route is resolved with its guards and loaders, every target is loaded, then the page is rendered
+ * synchronously against a ServerDocument so that concurrent requests never share it.
+ *
+ * @param {string} url - The URL to render, with its query string.
+ * @param {string} template - The HTML of index.html.
+ * @returns {Promise<{ html?: string, status: number, redirect?: string }>} - The page, or a redirect.
+ */
+const render = async (url, template) => {
+  const route = await resolveNavigation(url, null);
+
+  if (route === false || !route) {
+    // Nothing to render on the server, the client resolves the navigation
+    return { html: template, status: route === false ? 200 : 404 };
+  }
+
+  if (route.redirectedFrom) {
+    return { redirect: route.fullPath, status: 302 };
+  }
+
+  if (isProtectedRoute(route)) {
+    // The session is in the browser storage, the client checks the access and renders the page
+    return { html: template, status: 200 };
+  }
+
+  const modules = Object.fromEntries(
+    await Promise.all(
+      Object.entries(targetRegistry).map(async ([targetId, loadTarget]) => [targetId, (await loadTarget()).default])
+    )
+  );
+
+  // Await the loaders of every record, a failing loader renders the error target at its level
+  const routeData = {};
+  const levels = [];
+  for (const record of route.matched) {
+    if (!record.load) {
+      levels.push({ targetId: record.target, props: { params: route.params } });
+      continue;
+    }
+
+    try {
+      const data = await record.load({ params: route.params, query: route.query });
+      routeData[getLoaderKey(record, route)] = data;
+      levels.push({ targetId: record.target, props: { params: route.params, data, routeData: data } });
+    } catch (error) {
+      console.error(`Error loading data for ${route.fullPath}:`, error);
+      levels.push({
+        targetId: record.errorTarget ?? config.router.errorTarget,
+        props: { message: error.message },
+      });
+      break;
+    }
+  }
+
+  const serverDocument = new ServerDocument();
+  const browserDocument = globalThis.document;
+  let body;
+
+  try {
+    globalThis.document = serverDocument;
+    serverDocument.body.id = levels[0].targetId;
+    body = renderLevel(route, levels, 0, serverDocument.body, modules);
+  } finally {
+    globalThis.document = browserDocument;
+  }
+
+  // Styles rendered on the server are replaced by the ones of the targets once hydrated
+  const headTags = serverDocument.head.children
+    .map((element) => {
+      element.setAttribute("data-ssr", "");
+      return element.outerHTML;
+    })
+    .join("");
+
+  // Replaced with functions: the patterns of a replacement string ($&, $', $$...) may appear in the content
+  let html = template
+    .replace(/<body([^>]*)>/, (tag, attributes) => `<body${attributes} id="${serverDocument.body.id}" data-ssr>${body}`)
+    .replace("</head>", () => `${headTags}</head>`)
+    .replace("</body>", () => `<script>window.__TARGET_STATE__ = ${serializeState({ routeData })}</script></body>`);
+
+  if (serverDocument.title) {
+    html = html.replace(/<title>[\s\S]*?<\/title>/, () => `<title>${serverDocument.title.replace(/</g, "&lt;")}</title>`);
+  }
+
+  if (serverDocument.documentElement.lang) {
+    html = html.replace(/<html([^>]*)>/, (tag, attributes) => {
+      return `<html${attributes.replace(/\slang="[^"]*"/, "")} lang="${serverDocument.documentElement.lang}">`;
+    });
+  }
+
+  return { html, status: route.meta.status ?? 200 };
+};
+
+// getStaticPaths is exposed for server/generate.js, which only imports the server bundle
+export { render, getStaticPaths };
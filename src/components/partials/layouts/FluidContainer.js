@@ -1,19 +1,22 @@
 import { Target } from "@core/Target";
 import { HeadManager } from "@core/HeadManager";
+import { html } from "@core/Template";
 
 class FluidContainer extends Target {
   constructor(props, container) {
     super(props, container);
-    this.state = {};
-    this.state = {
-      data: null,
-      loading: true,
-      error: null,
-      fetched: false,
-    };
     if (this.props.api) {
       this.fetch(this.props.api.url, {}, {...this.props.api.headers});
     }
+    // A result cached by a previous mount is rendered right away, and revalidated in the background if stale
+    const cached = this.props.api ? this.api.getCached(this.props.api.endpoint) : null;
+    this.state = {
+      // Data loaded by the route with data-route="true", inherited as props.routeData, or passed with data-data
+      data: (this.props.route ? this.props.routeData : this.props.data) ?? (cached && cached.response ? cached.response.data : null),
+      loading: Boolean(this.props.api) && !(cached && cached.response),
+      error: null,
+      fetched: !this.props.api,
+    };
     this.head = new HeadManager(document.head);
   }
 
@@ -35,15 +38,18 @@ class FluidContainer extends Target {
 
   targetDidMount() {
     if (!this.state.fetched && this.props.api) {
-      this.api
-        .get(this.props.api.endpoint)
-        .then(({ json }) => {
-          this.setState({ data: json, loading: false, fetched: true });
-        })
-        .catch((error) => {
+      // Updated every time the cached result changes, e.g. when another target invalidates it after a mutation
+      this.useQuery(this.api, this.props.api.endpoint, {}, ({ response, error, isFetching }) => {
+        if (isFetching) {
+          return;
+        }
+        if (response) {
+          this.setState({ data: response.data, loading: false, error: null, fetched: true });
+        } else if (error) {
           console.error("Fetch error:", error.message);
           this.setState({ data: null, loading: false, error: error.message, fetched: true });
-        });
+        }
+      });
     }
 
     if (!this.props.api && !this.state.fetched) {
@@ -53,31 +59,29 @@ class FluidContainer extends Target {
 
   render() {
     if (this.state.loading) {
-      const html = `
-        <div data-target-name="loading" data-message='Loading...'></div>
+      return html`
+        <div data-target-name="loading" data-message="Loading..."></div>
       `;
-      return Target.parseHTML(html, {});
     }
 
     if (this.state.error) {
-      const html = `
-        <div data-target-name="error" data-message='${this.state.error}'></div>
+      return html`
+        <div data-target-name="error" data-message="${this.state.error}"></div>
       `;
-      return Target.parseHTML(html, {});
     }
 
     // Scoped CSS is a feature that allows you to scope the CSS to the component.
-    if (this.props.scoped) {
-      this.props.html = Target.scopeCSS(this.props.html, this.hash);
-    }
+    // The props keep the original HTML, so the classes are suffixed once whatever the number of renders.
+    const template = this.props.scoped ? Target.scopeCSS(this.props.html, this.hash) : this.props.html;
 
     if (this.state.data) {
       if (this.state.data.title) {
         this.head.setTitle(this.state.data.title);
       }
-      return Target.parseHTML(this.props.html, Target.dataToObject(this.state.data));
+      // The sanitizer of the class keeps the allowed tags of {{content}}
+      return this.constructor.parseHTML(template, Target.dataToObject(this.state.data));
     } else {
-      return Target.parseHTML(this.props.html, {});
+      return this.constructor.parseHTML(template, {});
     }
   }
 }
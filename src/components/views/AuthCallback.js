@@ -0,0 +1,37 @@
+import { Target } from "@core/Target";
+import { HeadManager } from "@core/HeadManager";
+import AuthManager from "@core/AuthManager";
+import { router } from "@router";
+
+/**
+ * Callback route of the redirect sign in (config.auth.oauth.callbackPath).
+ * Exchanges the authorization code for the tokens, then opens the page the user signed in from.
+ */
+class AuthCallback extends Target {
+  constructor(props, container) {
+    super(props, container);
+    this.state = { error: null };
+    this.head = new HeadManager(document.head);
+  }
+
+  targetDidMount() {
+    this.head.setTitle("Signing in");
+
+    AuthManager.handleRedirectCallback()
+      .then(({ returnTo }) => router.replace(returnTo))
+      .catch((error) => {
+        console.error("Sign in failed:", error);
+        this.setState({ error: error.message });
+      });
+  }
+
+  render() {
+    const html = this.state.error
+      ? `<div data-key="error" data-target-name="error" data-title="Sign in failed" data-message="{{error}}"></div>`
+      : `<div data-key="pending" data-target-name="loading" data-message="Signing in..."></div>`;
+
+    return Target.parseHTML(html, this.state);
+  }
+}
+
+export default AuthCallback;
@@ -0,0 +1,48 @@
+import { Target } from "@core/Target";
+import { HeadManager } from "@core/HeadManager.js";
+
+class Error403 extends Target {
+  constructor(props, container) {
+    super(props, container);
+    this.state = {};
+    this.head = new HeadManager(document.head);
+  }
+
+  targetDidMount() {
+    this.head.setTitle("Error 403 - Access denied");
+  }
+
+  render() {
+    const yieldElements = [
+      {
+        nestedTargets: {
+          "fluid-container": {
+            container: "div",
+            containerClass: ["row"],
+            data: {
+              content: JSON.stringify({
+                title: "Error 403: Access Denied",
+                content:
+                  "You do not have the permission to view this page. Sign in with another account or contact an administrator.",
+              }),
+              css: JSON.stringify({}), // Add Inline CSS to the head
+              links: JSON.stringify({}), // Add links to the head
+              html: Target.minifyHTML(`
+              <h1>{{title}}</h1>
+              <p>{{content}}</p>
+            `),
+            },
+          },
+        },
+      },
+    ];
+
+    const html = `
+      <div data-target-name="app" data-yield='${this.yieldElementString(yieldElements)}'></div>
+    `;
+
+    return Target.parseHTML(html, {});
+  }
+}
+
+export default Error403;
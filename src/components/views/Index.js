@@ -1,6 +1,5 @@
 import { Target } from "@core/Target";
 import { HeadManager } from "@core/HeadManager";
-import config from "@/target.config";
 
 class IndexPage extends Target {
   constructor(props, container) {
@@ -21,14 +20,7 @@ class IndexPage extends Target {
           container: "div",
           containerClass: ["row"],
           data: {
-            api: JSON.stringify({
-              url: config.api.baseURL + '/api/page',
-              endpoint: config.api.local ? `/home.json` : `/home`,
-              headers: JSON.stringify({
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-              }),
-            }),
+            route: true, // Renders the data loaded by the route
             title: true,
             css: JSON.stringify({}), // Add Inline CSS to the head
             links: JSON.stringify({}), // Add links to the head
@@ -0,0 +1,80 @@
+import { Target } from "@core/Target";
+import { HeadManager } from "@core/HeadManager";
+import { html } from "@core/Template";
+import AuthManager from "@core/AuthManager";
+import { router } from "@router";
+import config from "@/target.config";
+
+/**
+ * Login route (config.auth.loginRoute).
+ * Visitors of a protected route, and users whose session could not be refreshed, are sent here with the
+ * page to open once signed in in the `redirect` query param.
+ */
+class Login extends Target {
+  constructor(props, container) {
+    super(props, container);
+    this.state = { error: null, pending: false };
+    this.head = new HeadManager(document.head);
+  }
+
+  targetDidMount() {
+    this.head.setTitle("Sign in");
+
+    if (AuthManager.isAuthenticated()) {
+      router.replace(this.getReturnTo());
+    }
+  }
+
+  /**
+   * Gets the page opened once signed in. Only the paths of the application are followed, so the login link
+   * cannot send the user to another site.
+   * @returns {string} - The path.
+   */
+  getReturnTo() {
+    const redirect = new URLSearchParams(this.props.queryParams || "").get("redirect");
+    return redirect && /^\/(?![/\\])/.test(redirect) ? redirect : "/";
+  }
+
+  handleSubmit(event, form) {
+    event.preventDefault();
+    const { username, password } = Object.fromEntries(new FormData(form));
+
+    this.setState({ pending: true, error: null });
+    AuthManager.signIn({ username, password })
+      .then(() => router.replace(this.getReturnTo()))
+      .catch((error) => this.setState({ pending: false, error: error.message }));
+  }
+
+  handleRedirectSignIn() {
+    this.setState({ pending: true, error: null });
+    AuthManager.signInWithRedirect({ returnTo: this.getReturnTo() })
+      .catch((error) => this.setState({ pending: false, error: error.message }));
+  }
+
+  render() {
+    const { error, pending } = this.state;
+    const message = error && html`<p class="error" role="alert">${error}</p>`;
+
+    if (config.auth.provider === "oauth") {
+      return html`
+        <div class="row">
+          <h1>Sign in</h1>
+          ${message}
+          <button type="button" data-on-click="handleRedirectSignIn" ${{ disabled: pending }}>Sign in</button>
+        </div>
+      `;
+    }
+
+    return html`
+      <form class="row" data-on-submit="handleSubmit">
+        <h1>Sign in</h1>
+        ${message}
+        <label>Username <input name="username" autocomplete="username" required></label>
+        <label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+        <button type="submit" ${{ disabled: pending }}>Sign in</button>
+      </form>
+    `;
+  }
+}
+
+export default Login;
@@ -1,5 +1,4 @@
 import { Target } from "@core/Target";
-import config from "@/target.config";
 
 class Page extends Target {
   constructor(props, container) {
@@ -15,16 +14,7 @@ class Page extends Target {
           container: "div",
           containerClass: ["row"],
           data: {
-            api: JSON.stringify({
-              url: config.api.baseURL + "/api/page",
-              endpoint: config.api.local
-                ? `${this.props.path}.json`
-                : `${this.props.path}`,
-              headers: JSON.stringify({
-                "Content-Type": "application/json",
-                Accept: "application/json",
-              }),
-            }),
+            route: true, // Renders the data loaded by the route
             title: true, // Add title to the head tag of the page
             css: JSON.stringify({}), // Add Inline CSS to the head
             links: JSON.stringify({}), // Add links to the head
@@ -3,19 +3,19 @@
  * - preview: This mode is used for testing the application before deploying it to production. run "yarn build-preview" to build the application. run "yarn preview" to serve the application.
  * - development: This mode is used for developing the application.
  * - production: This mode is used for deploying the application to production.
- * - local: This mode is used for testing the application with local data.
+ * - mock: Set isMockApi to answer the API requests with the handlers of mocks/index.js instead of the network.
  */
 const isPreview = process.env.NODE_ENV === 'preview';
 const isDevelopment = process.env.NODE_ENV === 'development';
-const isLocalApi = true;
+const isMockApi = true;
 
 /**
- * If you want to make fake api calls, set isLocalMode to true and create a folder called "api" in the public directory, 
- * then create json files with the same name as the endpoint.
+ * If you want to make fake api calls, set isMockApi to true and declare the endpoints in mocks/index.js:
+ * HTTPRequest answers them without network, with the same paths as the real API (see docs/MOCK_SERVER.md).
  */
 const appURL = {
-    dev: isLocalApi ? "https://localhost:5173" : "https://localhost.local",
-    preview: isLocalApi ? "https://localhost:4173" : "https://localhost.local",
+    dev: isMockApi ? "https://localhost:5173" : "https://localhost.local",
+    preview: isMockApi ? "https://localhost:4173" : "https://localhost.local",
     production: "https://your-production-url.com",
 }
 
@@ -27,20 +27,82 @@ const config = {
     dev: isDevelopment,
     baseURL: isPreview ? appURL.preview : isDevelopment ? appURL.dev : appURL.production,
     api: {
-        local: isLocalApi,
+        // Mock API of mocks/index.js, the requests without handler still go to the network unless passthrough is false
+        mock: {
+            enabled: isMockApi,
+            // Latency of every mocked response in milliseconds
+            delay: 0,
+            passthrough: true,
+        },
         baseURL: isPreview ?  appURL.preview : isDevelopment ? appURL.dev : appURL.production,
+        // Milliseconds after which HTTPRequest aborts a request, 0 disables the timeout
+        timeout: 0,
+        // Retries of HTTPRequest on network errors, timeouts, 429 and 5xx, for the idempotent methods (see docs/HTTP_REQUEST.md)
+        retry: {
+            retries: 2,
+        },
+        // Query cache of the GET requests of HTTPRequest (see docs/QUERY_CACHE.md): results are reused for staleTime
+        // milliseconds, entries without subscribers removed after cacheTime
+        cache: {
+            staleTime: 30 * 1000,
+            cacheTime: 5 * 60 * 1000,
+            revalidateOnFocus: true,
+        },
     },
     router: {
         // Enable Single Page Application mode (SPA) else it will just target all id="target-name" elements
         isSPAEnabled: true,
+        // Targets rendered while a route loader is pending, and when it fails
+        pendingTarget: "loading",
+        errorTarget: "error",
+        // Route rendered for the URLs that cannot be decoded, e.g. "/%E0%A4%A"
+        notFoundRoute: "/error-404",
+        // Time in milliseconds during which the data of a route loader is reused without being revalidated
+        staleTime: 0,
+    },
+    template: {
+        // Locale and default currency of the number, currency and date filters of the templates (see docs/TEMPLATE.md)
+        locale: "en-US",
+        currency: "USD",
+    },
+    ssg: {
+        // Paths pre-rendered by "yarn build:static" in addition to the ones of the route table
+        paths: [],
+        // Values of the dynamic route params, e.g. { slug: ["about"] }. The slugs default to the mock API pages (mocks/data/pages/*.json)
+        params: {},
     },
     auth: {
+        // Propagate the login, the logout and the auth state to the other tabs
+        sync: false,
+        // "http" posts the credentials to the endpoints below, "oauth" signs in with the OAuth2 authorization code flow and PKCE
+        provider: "http",
+        // Endpoints of the http auth provider, served by the dev API stand-in (server/mockApi.js) in development
+        endpoints: {
+            login: "/api/auth/login",
+            token: "/api/auth/token",
+            logout: "/api/auth/logout",
+        },
+        // Client of the oauth auth provider, the defaults target the mock identity provider of server/mockApi.js
+        oauth: {
+            clientId: "target-app",
+            authorizeEndpoint: "/api/oauth/authorize",
+            tokenEndpoint: "/api/oauth/token",
+            revocationEndpoint: "/api/oauth/revoke",
+            scope: "openid profile",
+            // Route receiving the authorization code, its URL is the redirect URI to register at the identity provider
+            callbackPath: "/auth/callback",
+        },
         jwt: {
             refreshToken: {
                 enabled: false,
-                endpoint: "/api/refresh-toke"
             },
         },
+        // Seconds before the expiration of a token from which HTTPRequest refreshes it before sending a request
+        refreshMargin: 30,
+        // Route opened when the session expires and cannot be refreshed, or a protected route is visited without session
+        loginRoute: "/login",
+        // Route opened when the user lacks the roles or permissions of a route
+        forbiddenRoute: "/error-403",
     },
     meta: {
         title: "Target.js",
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import AuthManager from "@core/AuthManager";
+import { OAuthProvider } from "@core/AuthProvider";
+import { queryCache } from "@core/QueryCache";
+
+const createToken = (subject) => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub: subject, exp: Math.floor(Date.now() / 1000) + 3600 })}.signature`;
+};
+
+describe("AuthManager session", () => {
+  afterEach(() => {
+    AuthManager.logout();
+    sessionStorage.clear();
+  });
+
+  it("stores the tokens and the user", () => {
+    const token = createToken("ada");
+    AuthManager.login(token, "refresh", { name: "Ada" });
+
+    expect(AuthManager.getToken()).toBe(token);
+    expect(AuthManager.getRefreshToken()).toBe("refresh");
+    expect(AuthManager.getUser()).toEqual({ name: "Ada" });
+  });
+
+  it("never stores a missing refresh token or user as a string", () => {
+    AuthManager.login(createToken("ada"), "refresh", { name: "Ada" });
+    AuthManager.login(createToken("ada"));
+
+    expect(sessionStorage.getItem("refreshToken")).toBe(null);
+    expect(sessionStorage.getItem("authUser")).toBe(null);
+    expect(AuthManager.getRefreshToken()).toBe(null);
+    expect(AuthManager.getUser()).toBe(null);
+  });
+
+  it("clears the cached API results of another user, or of the visit before the login", () => {
+    const key = "https://api.test/me?";
+    queryCache.set(key, { data: "anonymous" });
+    AuthManager.login(createToken("ada"), "refresh");
+    expect(queryCache.get(key)).toBe(null);
+
+    queryCache.set(key, { data: "ada" });
+    AuthManager.login(createToken("ada"), "refreshed");
+    expect(queryCache.get(key).response).toEqual({ data: "ada" });
+
+    AuthManager.login(createToken("grace"), "refresh");
+    expect(queryCache.get(key)).toBe(null);
+
+    AuthManager.login("opaque-token", "refresh", { id: 1 });
+    queryCache.set(key, { data: "opaque" });
+    AuthManager.login("refreshed-token", "refresh", { id: 1 });
+    expect(queryCache.get(key).response).toEqual({ data: "opaque" });
+  });
+});
+
+describe("AuthManager with an opaque access token", () => {
+  const provider = AuthManager.getProvider();
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    AuthManager.setProvider(provider);
+    AuthManager.logout();
+    sessionStorage.clear();
+  });
+
+  it("is authenticated until the expiration received with the token", () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const error = vi.spyOn(console, "error");
+    AuthManager.login("opaque-token", "refresh", { id: "1", roles: ["admin"] }, Math.floor(Date.now() / 1000) + 60);
+
+    expect(AuthManager.isAuthenticated()).toBe(true);
+    expect(AuthManager.getTokenExpiration()).toBeGreaterThan(Date.now() / 1000);
+    expect(AuthManager.hasRole("admin")).toBe(true);
+    expect(error).not.toHaveBeenCalled();
+
+    vi.setSystemTime(Date.now() + 61 * 1000);
+    expect(AuthManager.isAuthenticated()).toBe(false);
+  });
+
+  it("signs in with the OAuth provider", async () => {
+    const oauth = new OAuthProvider({ clientId: "app", authorizeEndpoint: "/authorize", tokenEndpoint: "/token", callbackPath: "/auth/callback" });
+    AuthManager.setProvider(oauth);
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(new Response(JSON.stringify({ access_token: "opaque-token", expires_in: 3600 })));
+    const state = new URL(await oauth.createAuthorizationUrl()).searchParams.get("state");
+
+    await AuthManager.handleRedirectCallback(`/auth/callback?code=abc&state=${state}`);
+
+    expect(AuthManager.isAuthenticated()).toBe(true);
+    expect(AuthManager.isAuthorized({ requiresAuth: true })).toBe(true);
+  });
+});
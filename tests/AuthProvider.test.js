@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { OAuthProvider } from "@core/AuthProvider";
+
+const createToken = (claims) => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}.signature`;
+};
+
+const respondWith = (body) => vi.spyOn(globalThis, "fetch").mockResolvedValue(new Response(JSON.stringify(body)));
+
+describe("OAuthProvider", () => {
+  const provider = new OAuthProvider({ clientId: "app", authorizeEndpoint: "/authorize", tokenEndpoint: "/token", callbackPath: "/auth/callback" });
+
+  const callbackUrl = async () => {
+    const state = new URL(await provider.createAuthorizationUrl({ returnTo: "/account" })).searchParams.get("state");
+    return `/auth/callback?code=abc&state=${state}`;
+  };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    sessionStorage.clear();
+  });
+
+  it("reads the user from the ID token", async () => {
+    respondWith({ access_token: "opaque", id_token: createToken({ sub: "1", name: "Ada" }) });
+
+    const session = await provider.handleCallback(await callbackUrl());
+
+    expect(session).toEqual({ token: "opaque", refreshToken: undefined, user: { id: "1", name: "Ada" }, returnTo: "/account" });
+  });
+
+  it("accepts an opaque access token without ID token", async () => {
+    respondWith({ access_token: "opaque", refresh_token: "refresh" });
+
+    const session = await provider.refresh("refresh");
+
+    expect(session).toEqual({ token: "opaque", refreshToken: "refresh" });
+  });
+
+  it("refuses an expired authorization request", async () => {
+    const fetch = respondWith({ access_token: "opaque" });
+    const url = await callbackUrl();
+
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(Date.now() + 11 * 60 * 1000);
+
+    await expect(provider.handleCallback(url)).rejects.toThrow("Unknown or expired authorization request");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
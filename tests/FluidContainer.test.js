@@ -0,0 +1,18 @@
+import { describe, it, expect } from "vitest";
+import FluidContainer from "@/src/components/partials/layouts/FluidContainer";
+
+describe("FluidContainer", () => {
+  it("suffixes the scoped classes once, whatever the number of renders", () => {
+    const html = '<p class="title lead">{{name}}</p>';
+    const container = document.createElement("div");
+    const target = new FluidContainer({ html, scoped: true, data: { name: "Ada" } }, container);
+    target.state.loading = false;
+
+    const first = String(target.render());
+    const second = String(target.render());
+
+    expect(first).toContain(`class="title-${target.hash} lead-${target.hash}"`);
+    expect(second).toBe(first);
+    expect(target.props.html).toBe(html);
+  });
+});
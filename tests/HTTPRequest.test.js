@@ -0,0 +1,359 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { HTTPRequest } from "@utils/HTTPRequest";
+import { Target } from "@core/Target";
+
+const apiURL = "https://api.test";
+
+const jsonResponse = (body, init = {}) =>
+  new Response(JSON.stringify(body), { status: 200, ...init, headers: { "Content-Type": "application/json", ...init.headers } });
+
+describe("HTTPRequest interceptors", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const createRequest = () => new HTTPRequest(apiURL, {}, {}, { cache: false, retry: 0 });
+
+  it("runs the interceptors in the order they were added", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockResolvedValue(jsonResponse({ items: [1] }));
+    const http = createRequest();
+    const calls = [];
+
+    http.interceptors.request.use((request) => {
+      calls.push("request 1");
+      request.headers.set("X-Order", "1");
+      return request;
+    });
+    http.interceptors.request.use(async (request) => {
+      calls.push("request 2");
+      return { ...request, url: `${request.url}&page=2` };
+    });
+    http.interceptors.response.use((response) => {
+      calls.push("response 1");
+      return { ...response, data: response.data.items };
+    });
+    http.interceptors.response.use(async (response, request) => {
+      calls.push("response 2");
+      return { ...response, data: [...response.data, request.method] };
+    });
+
+    const { data } = await http.get("/items");
+
+    expect(calls).toEqual(["request 1", "request 2", "response 1", "response 2"]);
+    expect(data).toEqual([1, "GET"]);
+    expect(fetch.mock.calls[0][0]).toBe(`${apiURL}/items?&page=2`);
+    expect(fetch.mock.calls[0][1].headers.get("X-Order")).toBe("1");
+  });
+
+  it("removes an ejected interceptor", async () => {
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(jsonResponse({ value: 1 }));
+    const http = createRequest();
+    const interceptor = vi.fn((response) => response);
+
+    const eject = http.interceptors.response.use(interceptor);
+    eject();
+    await http.get("/items");
+
+    expect(interceptor).not.toHaveBeenCalled();
+  });
+
+  it("recovers from an error or passes it on", async () => {
+    vi.spyOn(globalThis, "fetch").mockImplementation(async () => jsonResponse({ message: "Not found" }, { status: 404 }));
+    const http = createRequest();
+    const seen = vi.fn((error) => {
+      throw error;
+    });
+    http.interceptors.error.use(seen);
+    http.interceptors.error.use((error, request) => ({ data: null, status: error.response.status, url: request.url }));
+
+    const result = await http.get("/missing");
+
+    expect(seen.mock.calls[0][0].json).toEqual({ message: "Not found" });
+    expect(result).toEqual({ data: null, status: 404, url: `${apiURL}/missing?` });
+  });
+
+  it("passes the errors of the request and response interceptors to the error interceptors", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockResolvedValue(jsonResponse({}));
+    const http = createRequest();
+    http.interceptors.request.use(() => {
+      throw new Error("No session");
+    });
+    const onError = vi.fn((error) => ({ data: error.message }));
+    http.interceptors.error.use(onError);
+
+    expect(await http.get("/items")).toEqual({ data: "No session" });
+    expect(fetch).not.toHaveBeenCalled();
+
+    const rejecting = createRequest();
+    rejecting.interceptors.response.use(() => Promise.reject(new Error("Invalid payload")));
+    await expect(rejecting.get("/items")).rejects.toThrow("Invalid payload");
+  });
+});
+
+/**
+ * Stubs a request that only settles when its signal aborts, like fetch it rejects at once if already aborted.
+ */
+const untilAborted = (url, init) => new Promise((resolve, reject) => {
+  const abort = () => reject(new DOMException("The operation was aborted.", "AbortError"));
+  if (init.signal.aborted) {
+    abort();
+  }
+  init.signal.addEventListener("abort", abort);
+});
+
+const hangingFetch = () => vi.spyOn(globalThis, "fetch").mockImplementation(untilAborted);
+
+describe("HTTPRequest retries, timeouts and cancellation", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const retry = { retries: 2, minDelay: 5, factor: 2, jitter: false };
+  const createRequest = (options = {}) => new HTTPRequest(apiURL, {}, {}, { cache: false, retry, ...options });
+
+  it("retries the transient failures with an exponential backoff", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch")
+      .mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+    const onRetry = vi.fn();
+
+    const { data } = await createRequest({ retry: { ...retry, onRetry } }).get("/items");
+
+    expect(data).toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([event]) => [event.attempt, event.delay])).toEqual([[1, 5], [2, 10]]);
+  });
+
+  it("stops after the last retry and does not retry the other errors", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation(async () => jsonResponse({}, { status: 503 }));
+    await expect(createRequest().get("/items")).rejects.toMatchObject({ response: { status: 503 } });
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    fetch.mockClear();
+    fetch.mockImplementation(async () => jsonResponse({}, { status: 400 }));
+    await expect(createRequest().get("/items")).rejects.toMatchObject({ response: { status: 400 } });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("only retries the idempotent methods and the requests with an Idempotency-Key", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation(async () => jsonResponse({}, { status: 503 }));
+    const http = createRequest({ retry: { ...retry, retries: 1 } });
+
+    await expect(http.post("/orders", { id: 1 })).rejects.toThrow();
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await expect(http.post("/orders", { id: 1 }, {}, { "Idempotency-Key": "1" })).rejects.toThrow();
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("does not send a stream body again", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation(async () => jsonResponse({}, { status: 503 }));
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode("chunk"));
+        controller.close();
+      },
+    });
+
+    await expect(createRequest().put("/upload", body)).rejects.toMatchObject({ response: { status: 503 } });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("refreshes the session on a 401 but only sends a replayable body again", async () => {
+    let token = "expired";
+    const auth = {
+      getToken: () => token,
+      getRefreshToken: () => "refresh",
+      getTokenExpiration: () => null,
+      refreshToken: vi.fn(async () => {
+        token = "fresh";
+        return token;
+      }),
+      logout: vi.fn(),
+    };
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation(async (url, init) =>
+      init.headers.get("Authorization") === "Bearer fresh" ? jsonResponse({ ok: true }) : jsonResponse({}, { status: 401 }));
+    const http = createRequest({ auth, retry: 0 });
+
+    expect((await http.put("/items/1", { name: "item" })).data).toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    token = "expired";
+    fetch.mockClear();
+    await expect(http.put("/upload", new ReadableStream())).rejects.toMatchObject({ response: { status: 401 } });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(auth.refreshToken).toHaveBeenCalledTimes(2);
+    expect(auth.logout).not.toHaveBeenCalled();
+  });
+
+  it("waits for the Retry-After of the response, unless it exceeds maxDelay", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch")
+      .mockResolvedValueOnce(jsonResponse({}, { status: 429, headers: { "Retry-After": "0" } }))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+    const onRetry = vi.fn();
+
+    expect((await createRequest({ retry: { ...retry, onRetry } }).get("/items")).data).toEqual({ ok: true });
+    expect(onRetry.mock.calls[0][0].delay).toBe(0);
+
+    fetch.mockReset();
+    fetch.mockImplementation(async () => jsonResponse({}, { status: 503, headers: { "Retry-After": "120" } }));
+    await expect(createRequest({ retry: { ...retry, maxDelay: 1000 } }).get("/items"))
+      .rejects.toMatchObject({ response: { status: 503 } });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const http = createRequest({ retry: { ...retry, maxDelay: 60000 } });
+    const date = new Date(Date.now() + 30000).toUTCString();
+    const delay = http.getRetryDelay(1, { response: new Response(null, { status: 503, headers: { "Retry-After": date } }) }, http.retry);
+    expect(delay).toBeGreaterThan(28000);
+    expect(delay).toBeLessThanOrEqual(30000);
+  });
+
+  it("times out each attempt with a TimeoutError", async () => {
+    const fetch = hangingFetch();
+
+    const error = await createRequest({ timeout: 10, retry: 0 }).get("/slow").catch((caught) => caught);
+
+    expect(error.name).toBe("TimeoutError");
+    expect(HTTPRequest.isCancel(error)).toBe(false);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockClear();
+    fetch.mockImplementationOnce(untilAborted).mockResolvedValueOnce(jsonResponse({ ok: true }));
+    expect((await createRequest({ timeout: 10 }).get("/slow")).data).toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("cancels the requests in flight without retrying them", async () => {
+    const fetch = hangingFetch();
+    const http = createRequest();
+
+    const pending = http.get("/items");
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    http.cancel("Leaving the page");
+    const error = await pending.catch((caught) => caught);
+
+    expect(HTTPRequest.isCancel(error)).toBe(true);
+    expect(error.message).toBe("Leaving the page");
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const controller = new AbortController();
+    const aborted = http.get("/items", {}, {}, { signal: controller.signal });
+    controller.abort();
+    expect(HTTPRequest.isCancel(await aborted.catch((caught) => caught))).toBe(true);
+  });
+
+  it("cancels the requests of a target when it unmounts", async () => {
+    const fetch = hangingFetch();
+    const container = document.createElement("div");
+    const target = new Target({}, container);
+
+    const pending = target.fetch(apiURL, {}, {}, { cache: false, retry }).get("/items");
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    target.unmount();
+    const error = await pending.catch((caught) => caught);
+
+    expect(HTTPRequest.isCancel(error)).toBe(true);
+    expect(error.message).toBe("Target unmounted");
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("HTTPRequest bodies", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const createRequest = (headers = {}) => new HTTPRequest(apiURL, {}, headers, { cache: false, retry: 0 });
+
+  /**
+   * Sends a POST request and returns the init given to fetch.
+   */
+  const sent = async (body, headers = {}, defaultHeaders = {}) => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockResolvedValue(jsonResponse({}));
+    await createRequest(defaultHeaders).post("/items", body, {}, headers);
+    return fetch.mock.calls[0][1];
+  };
+
+  it("sends the objects and arrays as JSON", async () => {
+    const init = await sent({ name: "item", tags: ["a"] });
+    expect(init.body).toBe('{"name":"item","tags":["a"]}');
+    expect(init.headers.get("Content-Type")).toBe("application/json");
+
+    vi.restoreAllMocks();
+    const patch = await sent([{ op: "remove", path: "/name" }], { "Content-Type": "application/json-patch+json" });
+    expect(patch.body).toBe('[{"op":"remove","path":"/name"}]');
+    expect(patch.headers.get("Content-Type")).toBe("application/json-patch+json");
+  });
+
+  it("form encodes the objects when the Content-Type asks for it", async () => {
+    const init = await sent({ name: "an item", page: 2 }, { "Content-Type": "application/x-www-form-urlencoded" });
+    expect(init.body).toBe("name=an+item&page=2");
+    expect(init.headers.get("Content-Type")).toBe("application/x-www-form-urlencoded");
+  });
+
+  it("lets fetch set the Content-Type of FormData and URLSearchParams", async () => {
+    const form = new FormData();
+    form.append("file", new Blob(["content"]), "file.txt");
+    const init = await sent(form, {}, { "Content-Type": "application/json" });
+    expect(init.body).toBe(form);
+    expect(init.headers.has("Content-Type")).toBe(false);
+
+    vi.restoreAllMocks();
+    const params = new URLSearchParams({ q: "item" });
+    const search = await sent(params, {}, { "Content-Type": "application/json" });
+    expect(search.body).toBe(params);
+    expect(search.headers.has("Content-Type")).toBe(false);
+  });
+
+  it("sends the strings and buffers as they are", async () => {
+    const text = await sent("name,price", { "Content-Type": "text/csv" });
+    expect(text.body).toBe("name,price");
+    expect(text.headers.get("Content-Type")).toBe("text/csv");
+
+    vi.restoreAllMocks();
+    const bytes = new Uint8Array([1, 2, 3]);
+    expect((await sent(bytes)).body).toBe(bytes);
+  });
+
+  it("reads the response body from its Content-Type", async () => {
+    const read = async (response, options = {}) => {
+      vi.spyOn(globalThis, "fetch").mockResolvedValueOnce(response);
+      return createRequest().get("/items", {}, {}, options);
+    };
+
+    const problem = await read(new Response('{"title":"Invalid"}', { headers: { "Content-Type": "application/problem+json" } }));
+    expect(problem).toMatchObject({ data: { title: "Invalid" }, json: { title: "Invalid" } });
+
+    const page = await read(new Response("<p>Hello</p>", { headers: { "Content-Type": "text/html; charset=utf-8" } }));
+    expect(page).toMatchObject({ data: "<p>Hello</p>", json: null });
+
+    const image = await read(new Response(new Uint8Array([137, 80]), { headers: { "Content-Type": "image/png" } }));
+    expect(image.data.type).toBe("image/png");
+    expect(image.data.size).toBe(2);
+
+    const untyped = new Response('{"id":1}');
+    untyped.headers.delete("Content-Type");
+    expect((await read(untyped)).data).toEqual({ id: 1 });
+
+    const raw = await read(new Response('{"id":1}', { headers: { "Content-Type": "application/json" } }), { responseType: "text" });
+    expect(raw).toMatchObject({ data: '{"id":1}', json: null });
+
+    expect((await read(new Response(null, { status: 204 }))).data).toBeNull();
+    expect((await read(new Response("", { headers: { "Content-Type": "application/json" } }))).data).toBeNull();
+  });
+
+  it("reads the untyped bodies that are not JSON as text, and rejects an invalid JSON body", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch");
+    const untyped = new Response("plain");
+    untyped.headers.delete("Content-Type");
+    fetch.mockResolvedValueOnce(untyped);
+    expect((await createRequest().get("/items")).data).toBe("plain");
+
+    fetch.mockResolvedValueOnce(new Response("{", { headers: { "Content-Type": "application/json" } }));
+    await expect(createRequest().get("/items")).rejects.toThrow(SyntaxError);
+
+    fetch.mockResolvedValueOnce(new Response("<h1>Bad gateway</h1>", { status: 502, headers: { "Content-Type": "application/json" } }));
+    await expect(createRequest().get("/items")).rejects.toMatchObject({ data: null, json: null, response: { status: 502 } });
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { resolveRoute } from "@router/index";
+import { targetRegistry } from "@router/router";
+import config from "@/target.config";
+
+describe("login route", () => {
+  it("renders the login view", () => {
+    const route = resolveRoute(`${config.auth.loginRoute}?redirect=%2Fabout`);
+
+    expect(route.targetId).toBe("login");
+    expect(route.query).toEqual({ redirect: "/about" });
+  });
+
+  it("only follows the paths of the application once signed in", async () => {
+    const { default: Login } = await targetRegistry.login();
+    const returnTo = (redirect) => {
+      const login = Object.create(Login.prototype);
+      login.props = { queryParams: new URLSearchParams({ redirect }) };
+      return login.getReturnTo();
+    };
+
+    expect(returnTo("/about?tab=1")).toBe("/about?tab=1");
+    expect(returnTo("//evil.example")).toBe("/");
+    expect(returnTo("/\\evil.example")).toBe("/");
+    expect(returnTo("https://evil.example")).toBe("/");
+  });
+});
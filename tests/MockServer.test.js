@@ -0,0 +1,31 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { MockServer } from "@core/MockServer";
+import { handlers } from "@/mocks";
+
+describe("MockServer", () => {
+  const server = new MockServer(handlers, { passthrough: false });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("answers the simulated errors with a valid status", async () => {
+    expect((await server.handle("/api/errors/503")).status).toBe(503);
+    expect((await server.handle("/api/errors/700")).status).toBe(599);
+    expect((await server.handle("/api/errors/100")).status).toBe(200);
+    expect((await server.handle("/api/errors/teapot")).status).toBe(400);
+  });
+
+  it("answers a 500 when a handler returns an invalid status", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const invalid = new MockServer([{ path: "/api/invalid", handler: () => ({ status: Number("x") }) }]);
+
+    expect((await invalid.handle("/api/invalid")).status).toBe(500);
+  });
+
+  it("answers a 500 when a path param is malformed", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect((await server.handle("/api/page/%E0%A4%A")).status).toBe(500);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { QueryCache } from "@core/QueryCache";
+
+const key = "https://api.test/users?";
+
+describe("QueryCache", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const createCache = (options = {}) => new QueryCache({ staleTime: 1000, revalidateOnFocus: false, ...options });
+
+  it("shares one request between the concurrent fetches of a key", async () => {
+    const cache = createCache();
+    let resolve;
+    const fetcher = vi.fn(() => new Promise((done) => {
+      resolve = done;
+    }));
+
+    const first = cache.fetch(key, fetcher);
+    const second = cache.fetch(key, fetcher);
+    expect(cache.get(key).isFetching).toBe(true);
+    await Promise.resolve();
+    resolve({ data: [1] });
+
+    expect(await first).toEqual({ data: [1] });
+    expect(await second).toBe(await first);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(cache.get(key).isFetching).toBe(false);
+  });
+
+  it("reuses a fresh result and sends the request again once it is stale", async () => {
+    vi.useFakeTimers();
+    const cache = createCache();
+    const fetcher = vi.fn(async () => ({ data: fetcher.mock.calls.length }));
+
+    expect(await cache.fetch(key, fetcher)).toEqual({ data: 1 });
+    expect(await cache.fetch(key, fetcher)).toEqual({ data: 1 });
+    expect(cache.get(key).isStale).toBe(false);
+
+    vi.advanceTimersByTime(1000);
+    expect(cache.get(key).isStale).toBe(true);
+    expect(await cache.fetch(key, fetcher)).toEqual({ data: 2 });
+    expect(await cache.fetch(key, fetcher, { force: true })).toEqual({ data: 3 });
+    expect(fetcher).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives the stale result to a subscriber while it is revalidated", async () => {
+    vi.useFakeTimers();
+    const cache = createCache();
+    const fetcher = vi.fn(async () => ({ data: fetcher.mock.calls.length }));
+    await cache.fetch(key, fetcher);
+    vi.advanceTimersByTime(1000);
+
+    const states = [];
+    const unsubscribe = cache.subscribe(key, (state) => states.push(state), fetcher);
+    await vi.waitFor(() => expect(states).toHaveLength(2));
+
+    expect(states[0]).toMatchObject({ response: { data: 1 }, isFetching: true, isStale: true });
+    expect(states[1]).toMatchObject({ response: { data: 2 }, isFetching: false, isStale: false });
+    unsubscribe();
+  });
+
+  it("keeps the result and the error of a failed revalidation", async () => {
+    const cache = createCache({ staleTime: 0 });
+    await cache.fetch(key, async () => ({ data: 1 }));
+    const error = new Error("Offline");
+
+    await expect(cache.fetch(key, async () => {
+      throw error;
+    })).rejects.toBe(error);
+
+    expect(cache.get(key)).toMatchObject({ response: { data: 1 }, error });
+  });
+
+  it("invalidates the matching keys and fetches again the ones with subscribers", async () => {
+    const cache = createCache();
+    const keys = [key, "https://api.test/users?page=2", "https://api.test/users/1?", "https://api.test/users-archive?"];
+    const fetcher = vi.fn(async () => ({ data: fetcher.mock.calls.length }));
+    await Promise.all(keys.map((name) => cache.fetch(name, fetcher)));
+    const unsubscribe = cache.subscribe(keys[2], () => {}, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(4);
+
+    cache.invalidate("https://api.test/users");
+
+    expect(keys.map((name) => cache.get(name).isStale)).toEqual([true, true, true, false]);
+    await vi.waitFor(() => expect(cache.get(keys[2]).response).toEqual({ data: 5 }));
+    expect(fetcher).toHaveBeenCalledTimes(5);
+    unsubscribe();
+
+    cache.invalidate(/page=\d/);
+    cache.invalidate((name) => name.includes("archive"));
+    expect(cache.get(keys[3]).isStale).toBe(true);
+
+    cache.remove("https://api.test/users");
+    expect(keys.map((name) => cache.get(name) !== null)).toEqual([false, false, false, true]);
+  });
+
+  it("removes the entries without subscribers after cacheTime", async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ cacheTime: 5000 });
+    await cache.fetch(key, async () => ({ data: 1 }));
+    const unsubscribe = cache.subscribe(key, () => {}, async () => ({ data: 2 }));
+
+    vi.advanceTimersByTime(10000);
+    expect(cache.get(key)).not.toBe(null);
+
+    unsubscribe();
+    vi.advanceTimersByTime(4999);
+    expect(cache.get(key)).not.toBe(null);
+    await cache.fetch(key, async () => ({ data: 3 }));
+    vi.advanceTimersByTime(4999);
+    expect(cache.get(key)).not.toBe(null);
+
+    vi.advanceTimersByTime(1);
+    expect(cache.get(key)).toBe(null);
+  });
+});
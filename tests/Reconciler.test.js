@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Reconciler } from "@core/Reconciler";
+import { Target } from "@core/Target";
+import { targetRegistry } from "@router/router";
+
+// Target.initialize() adds its debug comments with the logger of the dev server
+vi.mock("@/target.config", async (importOriginal) => {
+  const { default: config } = await importOriginal();
+  return { default: { ...config, logger: true, dev: true } };
+});
+
+const render = (html) => {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  return container;
+};
+
+describe("Reconciler", () => {
+  it("patches text and attributes in place", () => {
+    const container = render(`<p class="a">Hello</p>`);
+    const paragraph = container.firstChild;
+
+    Reconciler.patch(container, `<p class="b">World</p>`);
+
+    expect(container.firstChild).toBe(paragraph);
+    expect(container.innerHTML).toBe(`<p class="b">World</p>`);
+  });
+
+  it("keeps the siblings of a removed leading element", () => {
+    const container = render(`<h1>Title</h1><p>First</p><p>Second</p>`);
+    const [, first, second] = container.children;
+
+    Reconciler.patch(container, `<p>First</p><p>Second</p>`);
+
+    expect(container.innerHTML).toBe(`<p>First</p><p>Second</p>`);
+    expect(container.children[0]).toBe(first);
+    expect(container.children[1]).toBe(second);
+  });
+
+  it("matches the nodes after the comments of the live tree and removes the comments", () => {
+    const container = render(`<!--start--><h1>Title</h1><input><!--end-->`);
+    const input = container.querySelector("input");
+
+    Reconciler.patch(container, `<h1>Other</h1><input><p>New</p>`);
+
+    expect(container.querySelector("input")).toBe(input);
+    expect(container.innerHTML).toBe(`<h1>Other</h1><input><p>New</p>`);
+  });
+
+  it("does not pile up the comments of previous renders", () => {
+    const container = render(`<!--a--><p>A</p>`);
+
+    Reconciler.patch(container, `<p>A</p><!--b-->`);
+    Reconciler.patch(container, `<p>A</p>`);
+
+    expect(container.innerHTML).toBe(`<p>A</p>`);
+  });
+
+  it("moves keyed nodes and removes the keys that are gone", () => {
+    const container = render(`<li data-key="a">A</li><li data-key="b">B</li><li data-key="c">C</li>`);
+    const [a, , c] = container.children;
+
+    Reconciler.patch(container, `<li data-key="c">C</li><li data-key="a">A</li>`);
+
+    expect(container.innerHTML).toBe(`<li data-key="c">C</li><li data-key="a">A</li>`);
+    expect(container.children[0]).toBe(c);
+    expect(container.children[1]).toBe(a);
+  });
+
+  it("never patches the host of a target into another target", () => {
+    const container = render(`<div data-target-name="a"></div>`);
+    const host = container.firstChild;
+
+    Reconciler.patch(container, `<div data-target-name="b"></div>`);
+
+    expect(container.firstChild).not.toBe(host);
+    expect(container.firstChild.getAttribute("data-target-name")).toBe("b");
+  });
+});
+
+describe("Reconciler with nested targets", () => {
+  class Counter extends Target {
+    constructor(props, container) {
+      super(props, container);
+      this.state = { count: 0 };
+    }
+
+    increment() {
+      this.setState({ count: this.state.count + 1 });
+    }
+
+    render() {
+      return `<span>${this.state.count}</span>`;
+    }
+  }
+
+  class Parent extends Target {
+    constructor(props, container) {
+      super(props, container);
+      this.state = { title: "First", showIntro: true };
+    }
+
+    render() {
+      return Target.parseHTML(
+        `{{#if showIntro}}<p>Intro</p>{{/if}}<h1>{{title}}</h1><div data-target-name="counter-test"></div>`,
+        this.state
+      );
+    }
+  }
+
+  beforeEach(() => {
+    targetRegistry["counter-test"] = () => Promise.resolve({ default: Counter });
+    ["log", "groupCollapsed", "groupEnd"].forEach((method) => vi.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    delete targetRegistry["counter-test"];
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the nested target and its state when the parent updates", async () => {
+    const container = document.createElement("div");
+    container.setAttribute("data-target-name", "parent-test");
+    document.body.appendChild(container);
+
+    const parent = new Parent({}, container);
+    parent.update();
+    await parent.mountChildren();
+    parent.initialize();
+
+    const [child] = parent.children;
+    for (let i = 0; i < 5; i++) {
+      child.increment();
+    }
+    expect(container.firstChild.nodeType).toBe(Node.COMMENT_NODE);
+
+    parent.setState({ title: "Second", showIntro: false });
+    await parent.mountChildren();
+
+    expect(parent.children).toEqual([child]);
+    expect(child.container.isConnected).toBe(true);
+    expect(child.state.count).toBe(5);
+    expect(container.querySelector("h1").textContent).toBe("Second");
+    expect(container.querySelector("p")).toBe(null);
+    expect(child.container.textContent).toBe("5");
+    // The debug comments of the parent stay around its output, once
+    const comments = [...container.childNodes].filter((node) => node.nodeType === Node.COMMENT_NODE);
+    expect(comments).toEqual([container.firstChild, container.lastChild]);
+
+    parent.destroy();
+    container.remove();
+  });
+});
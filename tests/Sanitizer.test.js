@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { sanitizer } from "@core/Sanitizer";
+
+// The XSS corpus of docs/SANITIZER.md: [input, output of the browser parser, output of the tokenizer when it differs]
+const corpus = [
+  ["<script>alert(1)</script>", ""],
+  ["<ScRiPt>alert(1)</sCrIpT>", ""],
+  ["<img src=x onerror=alert(1)>", ""],
+  ["<b onmouseover=alert(1)>b</b>", "<b>b</b>"],
+  ["<a href=\"javascript:alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href='javascript:alert(1)'>x</a>", "<a>x</a>"],
+  ["<a href=javascript:alert(1)>x</a>", "<a>x</a>"],
+  ["<a href=\" javascript:alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href=\"java&#x09;script:alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href=\"&#106avascript&#58alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href=\"javascript&colon;alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href=\"JaVaScRiPt:alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href=\"data:text/html;base64,...\">x</a>", "<a>x</a>"],
+  ["<a href=\"vbscript:msgbox(1)\">x</a>", "<a>x</a>"],
+  ["<a/href=\"javascript:alert(1)\">x</a>", "<a>x</a>"],
+  ["<a href=\"javascript:alert(1)\" href=\"https://ok\">x</a>", "<a>x</a>"],
+  ["<a href=\"https://ok.example\" onclick=\"alert(1)\" title='t\"x'>ok</a>", "<a href=\"https://ok.example\" title=\"t&quot;x\">ok</a>"],
+  ["<svg onload=alert(1)><circle></circle></svg>", ""],
+  ["<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>", ""],
+  ["<iframe srcdoc=\"<script>alert(1)</script>\"></iframe>", ""],
+  ["<object data=\"javascript:alert(1)\"></object>", ""],
+  ["<base href=\"javascript:alert(1)//\">", ""],
+  ["<meta http-equiv=\"refresh\" content=\"0;url=javascript:alert(1)\">", ""],
+  ["<details open ontoggle=alert(1)>", ""],
+  ["<style>@import \"http://evil/x.css\";</style><p>p</p>", "<p>p</p>"],
+  ["<div style=\"background:url(javascript:alert(1))\">d</div>", "<div>d</div>"],
+  ["<form action=\"javascript:alert(1)\"><button formaction=\"javascript:alert(1)\">b</button></form>", "b"],
+  ["<!--<img src=x onerror=alert(1)>-->", ""],
+  ["<!-- a --><!-- <!-- nested --> --><img src=x onerror=alert(1)>-->", " --&gt;--&gt;"],
+  ["<noscript><p title=\"</noscript><img src=x onerror=alert(1)>\"></noscript>", "", "&quot;&gt;"],
+  ["<p title=\"</p><img src=x onerror=alert(1)>\">p</p>", "<p>p</p>"],
+  ["<textarea><img src=x onerror=alert(1)></textarea>", ""],
+  ["<template><img src=x onerror=alert(1)></template>", ""],
+  ["<<script>script>alert(1)<</script>/script>", "&lt;/script&gt;"],
+  ["<scr<script>ipt>alert(1)</script>", "ipt&gt;alert(1)"],
+  ["<table><td background=\"javascript:alert(1)\">c</td></table>", "<table><tbody><tr><td>c</td></tr></tbody></table>", "<table><td>c</td></table>"],
+];
+
+describe("Sanitizer XSS corpus", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it.each(corpus)("neutralizes %s with DOMParser", (input, output) => {
+    expect(sanitizer.sanitize(input)).toBe(output);
+  });
+
+  it.each(corpus)("neutralizes %s with the tokenizer", (input, output, tokenizerOutput = output) => {
+    // The server has no DOMParser
+    vi.stubGlobal("DOMParser", undefined);
+
+    expect(sanitizer.sanitize(input)).toBe(tokenizerOutput);
+  });
+});
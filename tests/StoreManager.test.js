@@ -0,0 +1,285 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { Store } from "@core/StoreManager";
+import { MemoryStorage } from "@core/StorageAdapters";
+import { thunk, validator } from "@core/StoreMiddleware";
+import { StoreDevtools } from "@core/StoreDevtools";
+
+describe("Store persistence", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("discards a corrupt state and reports a failed removal of an asynchronous storage", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const storage = {
+      getItem: () => Promise.resolve("{corrupt"),
+      setItem: () => Promise.resolve(),
+      removeItem: () => Promise.reject(new Error("Transaction aborted")),
+    };
+
+    const store = new Store({ count: 1 }, "corrupt", { storage });
+    await store.ready;
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(store.state).toEqual({ count: 1 });
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Discarding the corrupt state "corrupt"'), expect.any(SyntaxError));
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Unable to remove the state "corrupt"'), expect.any(Error));
+  });
+});
+
+/**
+ * Storage adapter answering asynchronously, like IndexedDB.
+ */
+const createAsyncStorage = (items = {}) => {
+  const storage = new MemoryStorage();
+  Object.entries(items).forEach(([key, value]) => storage.setItem(key, value));
+  return {
+    items: storage.items,
+    getItem: (key) => Promise.resolve(storage.getItem(key)),
+    setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+    removeItem: (key) => Promise.resolve(storage.removeItem(key)),
+  };
+};
+
+const saved = (storage, key) => JSON.parse(storage.items.get(key));
+
+describe("Store persistence options", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("only persists the whitelisted keys, minus the blacklisted ones", () => {
+    const storage = new MemoryStorage();
+    const store = new Store({ user: null, cart: [], token: null }, "app", { storage, whitelist: ["user", "token"], blacklist: ["token"] });
+
+    store.setState({ user: "ada", cart: [1], token: "secret" });
+
+    expect(saved(storage, "app")).toEqual({ version: 0, state: { user: "ada" } });
+  });
+
+  it("groups the writes during the debounce delay, and flushes them on demand", () => {
+    vi.useFakeTimers();
+    const storage = new MemoryStorage();
+    const setItem = vi.spyOn(storage, "setItem");
+    const store = new Store({ count: 0 }, "counter", { storage, debounce: 100 });
+
+    store.setState({ count: 1 });
+    store.setState({ count: 2 });
+    expect(setItem).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(100);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(saved(storage, "counter").state).toEqual({ count: 2 });
+
+    store.setState({ count: 3 });
+    store.flush();
+    expect(setItem).toHaveBeenCalledTimes(2);
+    vi.advanceTimersByTime(100);
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(saved(storage, "counter").state).toEqual({ count: 3 });
+  });
+
+  it("migrates an older state to the current version and ignores a newer one", () => {
+    const storage = new MemoryStorage();
+    storage.setItem("profile", JSON.stringify({ username: "ada" }));
+    const migrations = {
+      1: (state) => ({ ...state, theme: "light" }),
+      2: ({ username, ...state }) => ({ ...state, user: { name: username } }),
+    };
+
+    const store = new Store({ user: null, theme: "dark" }, "profile", { storage, version: 2, migrations });
+    expect(store.state).toEqual({ user: { name: "ada" }, theme: "light" });
+
+    store.setState({ theme: "dark" });
+    expect(saved(storage, "profile")).toEqual({ version: 2, state: { user: { name: "ada" }, theme: "dark" } });
+
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const older = new Store({ user: null, theme: "dark" }, "profile", { storage, version: 1 });
+    expect(older.state).toEqual({ user: null, theme: "dark" });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("newer version 2"));
+  });
+
+  it("keeps the changes made before an asynchronous storage is loaded", async () => {
+    const storage = createAsyncStorage({ app: JSON.stringify({ version: 0, state: { user: "ada", theme: "dark" } }) });
+    const store = new Store({ user: null, theme: "light" }, "app", { storage });
+
+    store.setState({ theme: "blue" });
+    expect(storage.items.get("app")).toContain('"theme":"dark"');
+    await store.ready;
+
+    expect(store.state).toEqual({ user: "ada", theme: "blue" });
+    expect(saved(storage, "app").state).toEqual({ user: "ada", theme: "blue" });
+  });
+});
+
+describe("Store selectors and notifications", () => {
+  it("notifies a selector subscription only when its value changes", async () => {
+    const store = new Store({ user: { name: "Ada" }, cart: [] }, "selectors", { storage: "memory" });
+    const listener = vi.fn();
+    store.subscribe((state) => ({ name: state.user.name }), listener);
+
+    store.setState({ cart: [1] });
+    await Promise.resolve();
+    expect(listener).not.toHaveBeenCalled();
+
+    store.setState({ user: { name: "Grace" } });
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledWith({ name: "Grace" }, { name: "Ada" });
+    expect(store.select((state) => state.cart)).toEqual([1]);
+  });
+
+  it("notifies the listeners once per tick, or synchronously after a batch", async () => {
+    const store = new Store({ a: 0, b: 0 }, "batch", { storage: "memory" });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.setState({ a: 1 });
+    store.setState({ b: 1 });
+    expect(listener).not.toHaveBeenCalled();
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ a: 1, b: 1 }, { a: 0, b: 0 });
+
+    const result = store.batch(() => {
+      store.setState({ a: 2 });
+      store.batch(() => store.setState({ b: 2 }));
+      expect(listener).toHaveBeenCalledTimes(1);
+      return "done";
+    });
+    expect(result).toBe("done");
+    expect(listener).toHaveBeenCalledTimes(2);
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it("computes a value again only when its dependencies change", () => {
+    const store = new Store({ items: [{ price: 2 }, { price: 3 }], user: null }, "computed", { storage: "memory" });
+    const compute = vi.fn((items) => items.reduce((total, item) => total + item.price, 0));
+    const selectTotal = store.computed([(state) => state.items], compute);
+
+    expect(selectTotal()).toBe(5);
+    store.setState({ user: "ada" });
+    expect(store.select(selectTotal)).toBe(5);
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    store.setState({ items: [{ price: 4 }] });
+    expect(selectTotal()).toBe(4);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("Store actions and history", () => {
+  const actions = {
+    add: (state, value) => ({ items: [...state.items, value] }),
+  };
+
+  it("runs the middleware in order around the reducer", async () => {
+    const calls = [];
+    const trace = (name) => () => (next) => (action) => {
+      calls.push(`${name} ${action.type}`);
+      const result = next(action);
+      calls.push(`${name} done`);
+      return result;
+    };
+    const store = new Store({ items: [] }, "middleware", {
+      storage: "memory",
+      actions,
+      middleware: [thunk, trace("first"), trace("second")],
+    });
+
+    const action = store.dispatch("add", 1);
+    expect(action).toEqual({ type: "add", payload: 1 });
+    expect(calls).toEqual(["first add", "second add", "second done", "first done"]);
+
+    await store.dispatch(async (dispatch, getState) => dispatch("add", getState().items.length + 1));
+    expect(store.state.items).toEqual([1, 2]);
+  });
+
+  it("rejects the invalid payloads and the unknown actions", () => {
+    const store = new Store({ items: [] }, "validation", {
+      storage: "memory",
+      actions,
+      middleware: [validator({ add: (value) => value > 0 || "must be positive" })],
+    });
+
+    expect(() => store.dispatch("add", -1)).toThrow('Invalid payload for "add": must be positive');
+    expect(() => store.dispatch("remove", 1)).toThrow('unknown action "remove"');
+    expect(() => store.dispatch(() => {})).toThrow("add the thunk middleware");
+    expect(store.state.items).toEqual([]);
+  });
+
+  it("undoes and redoes the actions, and drops the undone ones on a new action", () => {
+    const store = new Store({ items: [] }, "history", { storage: "memory", actions });
+    store.dispatch("add", 1);
+    store.dispatch("add", 2);
+
+    expect(store.history.map((entry) => entry.type)).toEqual(["@@init", "add", "add"]);
+    expect(store.undo()).toBe(true);
+    expect(store.state.items).toEqual([1]);
+    expect(store.redo()).toBe(true);
+    expect(store.redo()).toBe(false);
+    store.jumpTo(0);
+    expect(store.state.items).toEqual([]);
+    expect(store.undo()).toBe(false);
+
+    store.jumpTo(1);
+    store.setState({ items: [3] });
+    expect(store.history.map((entry) => entry.type)).toEqual(["@@init", "add", "setState"]);
+    expect(store.redo()).toBe(false);
+  });
+
+  it("keeps the last entries up to the history limit", () => {
+    const store = new Store({ items: [] }, "limit", { storage: "memory", actions, historyLimit: 2 });
+    [1, 2, 3].forEach((value) => store.dispatch("add", value));
+
+    expect(store.history).toHaveLength(3);
+    expect(store.history.map((entry) => entry.state.items)).toEqual([[1], [1, 2], [1, 2, 3]]);
+    expect(store.undo() && store.undo()).toBe(true);
+    expect(store.undo()).toBe(false);
+    expect(store.state.items).toEqual([1]);
+  });
+
+  it("starts the history from the state loaded by an asynchronous storage", async () => {
+    const storage = createAsyncStorage({ cart: JSON.stringify({ version: 0, state: { items: [1] } }) });
+    const store = new Store({ items: [] }, "cart", { storage, actions });
+    await store.ready;
+
+    store.dispatch("add", 2);
+    store.undo();
+
+    expect(store.history[0]).toMatchObject({ type: "@@init", state: { items: [1] } });
+    expect(store.state.items).toEqual([1]);
+    expect(store.undo()).toBe(false);
+  });
+});
+
+describe("StoreDevtools", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("lists the actions and restores the state of the clicked one", async () => {
+    const store = new Store({ items: [] }, "devtools", { storage: "memory", actions: { add: (state, value) => ({ items: [...state.items, value] }) } });
+    const devtools = new StoreDevtools(store, "Cart");
+    const click = (selector) => devtools.panel.querySelector(selector).dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    store.dispatch("add", "<img src=x onerror=alert(1)>");
+    store.dispatch("add", 2);
+    await Promise.resolve();
+
+    click('[data-devtools-action="toggle"]');
+    const entries = devtools.panel.querySelectorAll('[data-devtools-action="jump"]');
+    expect(devtools.panel.querySelector("strong").textContent).toBe("Cart (2)");
+    expect([...entries].map((entry) => entry.textContent.split(" · ")[0])).toEqual(["@@init", "add", "add"]);
+    expect(devtools.panel.querySelector("img")).toBe(null);
+
+    click('[data-index="1"]');
+    expect(store.state.items).toEqual(["<img src=x onerror=alert(1)>"]);
+    click('[data-devtools-action="redo"]');
+    expect(store.state.items).toHaveLength(2);
+    click('[data-devtools-action="undo"]');
+    expect(store.historyIndex).toBe(1);
+
+    devtools.destroy();
+    expect(document.querySelector("[data-store-devtools]")).toBe(null);
+  });
+});
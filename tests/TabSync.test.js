@@ -0,0 +1,36 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { TabSync } from "@core/TabSync";
+
+describe("TabSync without BroadcastChannel", () => {
+  beforeEach(() => {
+    vi.stubGlobal("BroadcastChannel", undefined);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("relays the messages through localStorage", () => {
+    const sync = new TabSync("test");
+    const setItem = vi.spyOn(Storage.prototype, "setItem");
+
+    sync.post({ type: "logout", timestamp: 1 });
+
+    expect(setItem).toHaveBeenCalledWith("target-sync:test", expect.stringContaining('"type":"logout"'));
+    expect(localStorage.getItem("target-sync:test")).toBe(null);
+    sync.close();
+  });
+
+  it("never writes the sensitive messages to localStorage", () => {
+    const sync = new TabSync("test");
+    const setItem = vi.spyOn(Storage.prototype, "setItem");
+
+    sync.post({ type: "login", token: "secret-token", timestamp: 1 }, { sensitive: true });
+
+    expect(setItem).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    sync.close();
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { Target } from "@core/Target";
+import AuthManager from "@core/AuthManager";
+import { targetRegistry } from "@router/router";
+
+const createToken = (claims) => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims })}.signature`;
+};
+
+describe("Target access checks", () => {
+  afterEach(() => {
+    AuthManager.logout();
+    sessionStorage.clear();
+  });
+
+  it("renders a fragment only for the users meeting the requirements", () => {
+    const target = new Target({}, document.createElement("div"));
+
+    expect(target.can({ requiresAuth: true })).toBe(false);
+    expect(target.authorize({ roles: ["admin"] }, "<button>Delete</button>", "<span>Read only</span>")).toBe("<span>Read only</span>");
+
+    AuthManager.login(createToken({ roles: ["admin"], permissions: ["posts:delete"] }));
+    expect(target.can({ roles: ["admin"], permissions: ["posts:delete"] })).toBe(true);
+    expect(target.can({ permissions: ["posts:delete", "users:delete"] })).toBe(false);
+    expect(target.authorize({ roles: ["admin"] }, "<button>Delete</button>")).toBe("<button>Delete</button>");
+    expect(target.authorize({ roles: ["editor"] }, "<button>Edit</button>")).toBe("");
+  });
+
+  it("renders again on login and logout until it unmounts", () => {
+    const target = new Target({}, document.createElement("div"));
+    const update = vi.spyOn(target, "update").mockImplementation(() => {});
+    target.isMounted = true;
+    target.can({ requiresAuth: true });
+    target.can({ roles: ["admin"] });
+
+    AuthManager.login(createToken({ roles: ["admin"] }));
+    expect(update).toHaveBeenCalledTimes(1);
+
+    target.unmount();
+    AuthManager.logout();
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(target.authSubscription).toBe(null);
+  });
+});
+
+describe("Target events", () => {
+  class Counter extends Target {
+    constructor(props, container) {
+      super(props, container);
+      this.state = { count: 0 };
+      this.increment = vi.fn(() => this.setState({ count: this.state.count + 1 }));
+      this.select = vi.fn();
+    }
+
+    render() {
+      return `
+        <ul data-on-click="select">
+          <li><button data-on-click="increment">${this.state.count}</button></li>
+          <li><button data-on-click="missing">Missing</button></li>
+        </ul>
+      `;
+    }
+  }
+
+  const click = (target, selector) => {
+    target.container.querySelector(selector).dispatchEvent(new MouseEvent("click", { bubbles: true }));
+  };
+
+  it("calls the handlers from the innermost element outwards", () => {
+    const target = new Counter({}, document.createElement("div"));
+    target.update();
+
+    click(target, "[data-on-click=increment]");
+
+    const button = target.container.querySelector("button");
+    expect(target.increment).toHaveBeenCalledWith(expect.any(MouseEvent), button);
+    expect(target.select).toHaveBeenCalledWith(expect.any(MouseEvent), target.container.querySelector("ul"));
+    expect(target.increment.mock.invocationCallOrder[0]).toBeLessThan(target.select.mock.invocationCallOrder[0]);
+    expect(button.textContent).toBe("1");
+  });
+
+  it("binds one listener per event type, whatever the number of renders", () => {
+    const container = document.createElement("div");
+    const addEventListener = vi.spyOn(container, "addEventListener");
+    const target = new Counter({}, container);
+    target.update();
+
+    click(target, "[data-on-click=increment]");
+    click(target, "[data-on-click=increment]");
+    target.update();
+    click(target, "[data-on-click=increment]");
+
+    expect(addEventListener).toHaveBeenCalledTimes(1);
+    expect(target.increment).toHaveBeenCalledTimes(3);
+    expect(target.container.querySelector("button").textContent).toBe("3");
+  });
+
+  it("reports a missing handler and stops listening once unmounted", () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const container = document.createElement("div");
+    const target = new Counter({}, container);
+    target.update();
+
+    click(target, "[data-on-click=missing]");
+    expect(error).toHaveBeenCalledWith('Counter: No method "missing" for data-on-click.');
+    expect(target.select).toHaveBeenCalledTimes(1);
+
+    target.unmount();
+    container.innerHTML = '<button data-on-click="increment">0</button>';
+    container.querySelector("button").dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    expect(target.increment).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
+
+describe("Target children", () => {
+  const lifecycle = [];
+
+  /**
+   * Creates a target class rendering its name and the hosts of its children, recording its unmount.
+   */
+  const createTarget = (name, children = []) => class extends Target {
+    render() {
+      const hosts = (this.state.hidden ? [] : children).map((child) => `<div data-target-name="${child}"></div>`);
+      return `<p>${name}</p>${hosts.join("")}`;
+    }
+
+    targetWillUnmount() {
+      lifecycle.push(`unmount ${name}`);
+    }
+  };
+
+  afterEach(() => {
+    lifecycle.length = 0;
+    ["test-child", "test-grandchild"].forEach((name) => delete targetRegistry[name]);
+    vi.restoreAllMocks();
+  });
+
+  const mountParent = async () => {
+    targetRegistry["test-child"] = async () => ({ default: createTarget("child", ["test-grandchild"]) });
+    targetRegistry["test-grandchild"] = async () => ({ default: createTarget("grandchild") });
+    const Parent = createTarget("parent", ["test-child"]);
+    const parent = new Parent({ path: "/about" }, document.createElement("div"));
+    parent.update();
+    await parent.mountChildren();
+    return parent;
+  };
+
+  it("mounts the nested targets and registers them as children", async () => {
+    const parent = await mountParent();
+    const [child] = parent.children;
+    const [grandchild] = child.children;
+
+    expect(parent.container.textContent).toBe("parentchildgrandchild");
+    expect(child.parent).toBe(parent);
+    expect(child.props.path).toBe("/about");
+    expect(grandchild.parent).toBe(child);
+
+    parent.update();
+    await parent.mountChildren();
+    expect(parent.children).toEqual([child]);
+    expect(child.children).toEqual([grandchild]);
+  });
+
+  it("destroys the children whose host left the template, with their own children", async () => {
+    const parent = await mountParent();
+    const [child] = parent.children;
+    const [grandchild] = child.children;
+
+    parent.setState({ hidden: true });
+
+    expect(lifecycle).toEqual(["unmount child", "unmount grandchild"]);
+    expect(parent.children).toEqual([]);
+    expect(child.container).toBe(null);
+    expect(grandchild.container).toBe(null);
+    expect(parent.container.textContent).toBe("parent");
+  });
+
+  it("destroys every descendant when it is destroyed, and cancels their requests", async () => {
+    const fetch = vi.spyOn(globalThis, "fetch").mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+    }));
+    const parent = await mountParent();
+    const [child] = parent.children;
+    const pending = child.fetch("https://api.test", {}, {}, { cache: false, retry: 0 }).get("/items");
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+
+    parent.destroy();
+
+    expect(lifecycle).toEqual(["unmount parent", "unmount child", "unmount grandchild"]);
+    await expect(pending).rejects.toMatchObject({ name: "AbortError", message: "Target unmounted" });
+    expect(parent.children).toEqual([]);
+  });
+
+  it("does not mount a child that finished loading after its parent unmounted", async () => {
+    let load;
+    targetRegistry["test-child"] = () => new Promise((resolve) => {
+      load = () => resolve({ default: createTarget("child") });
+    });
+    const Parent = createTarget("parent", ["test-child"]);
+    const parent = new Parent({}, document.createElement("div"));
+    parent.update();
+    const mounting = parent.mountChildren();
+
+    parent.unmount();
+    load();
+    await mounting;
+
+    expect(parent.children).toEqual([]);
+    expect(parent.container.innerHTML).toBe("");
+  });
+});
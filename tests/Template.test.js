@@ -0,0 +1,206 @@
+import { describe, it, expect } from "vitest";
+import { Template, html, unsafeHTML } from "@core/Template";
+import { Target } from "@core/Target";
+
+describe("Template", () => {
+  describe("values", () => {
+    it("reads dotted paths and renders missing keys as empty", () => {
+      const data = { user: { name: "Ada", address: { city: "London" } } };
+
+      expect(Template.render("{{user.name}} in {{user.address.city}}", data)).toBe("Ada in London");
+      expect(Template.render("[{{user.age}}][{{missing.key}}][{{nothing}}]", { user: {}, nothing: null })).toBe("[][][]");
+    });
+
+    it("never reads the members of Object.prototype", () => {
+      expect(Template.render("{{constructor}}{{user.toString}}", { user: {} })).toBe("");
+    });
+
+    it("escapes {{value}} and leaves {{{raw}}} as it is", () => {
+      const data = { text: `<b title="x">'&'</b>` };
+
+      expect(Template.render("{{text}}", data)).toBe("&lt;b title=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/b&gt;");
+      expect(Template.render("{{{text}}}", data)).toBe(data.text);
+      expect(Template.render("{{text}}", { text: html`<i>${"<b>"}</i>` })).toBe("<i>&lt;b&gt;</i>");
+    });
+
+    it("passes the text and the path to the escape and raw options", () => {
+      const options = { escape: (text, path) => `${path}:${text}`, raw: (text, path) => `raw ${path}:${text}` };
+
+      expect(Template.render("{{a}} {{{b}}}", { a: 1, b: 2 }, options)).toBe("a:1 raw b:2");
+    });
+
+    it("removes comments and keeps escaped tags", () => {
+      expect(Template.render("a{{! note }}b{{!-- {{x}} --}}c \\{{kept}}", { kept: 1 })).toBe("abc {{kept}}");
+    });
+  });
+
+  describe("blocks", () => {
+    it("iterates arrays with the position of the items and the scope above", () => {
+      const template = "{{#each items}}{{@index}}:{{this}}{{#if @first}}(first){{/if}}{{#if @last}}(last {{../title}}){{/if}} {{/each}}";
+
+      expect(Template.render(template, { title: "T", items: ["a", "b", "c"] })).toBe("0:a(first) 1:b 2:c(last T) ");
+    });
+
+    it("iterates objects and Maps with their keys", () => {
+      expect(Template.render("{{#each prices}}{{@key}}={{.}};{{/each}}", { prices: { a: 1, b: 2 } })).toBe("a=1;b=2;");
+      expect(Template.render("{{#each prices}}{{@key}}={{this}};{{/each}}", { prices: new Map([["c", 3]]) })).toBe("c=3;");
+    });
+
+    it("renders the else branch of an empty list", () => {
+      expect(Template.render("{{#each items}}{{name}}{{else}}None{{/each}}", { items: [] })).toBe("None");
+    });
+
+    it("renders the first branch whose condition holds", () => {
+      const template = "{{#if admin}}Admin{{else if user}}User{{else}}Guest{{/if}}";
+
+      expect(Template.render(template, { admin: true, user: true })).toBe("Admin");
+      expect(Template.render(template, { admin: false, user: {} })).toBe("User");
+      expect(Template.render(template, { admin: false, user: null })).toBe("Guest");
+      expect(Template.render("{{#unless items}}Empty{{/unless}}", { items: [] })).toBe("Empty");
+    });
+
+    it("reports the syntax errors with their line", () => {
+      expect(() => Template.render("a\n{{#if x}}b")).toThrow("{{#if}} is not closed on line 2");
+      expect(() => Template.render("{{#if x}}{{/each}}")).toThrow("mismatched closing tag");
+      expect(() => Template.render("{{#each x}}{{else if y}}{{/each}}")).toThrow("unexpected else");
+      expect(() => Template.render("{{#with x}}{{/with}}")).toThrow('unknown block "with"');
+    });
+  });
+
+  describe("filters", () => {
+    it("applies the built-in filters in order, with their arguments", () => {
+      const data = { title: "  hello world  ", tags: ["a", "b"], name: "" };
+
+      expect(Template.render("{{title | trim | capitalize}}", data)).toBe("Hello world");
+      expect(Template.render('{{title | trim | truncate 5 "..."}}', data)).toBe("hello...");
+      expect(Template.render("{{tags | join}} {{tags | length}} {{tags | json}}", data)).toBe('a, b 2 [&quot;a&quot;,&quot;b&quot;]');
+      expect(Template.render('{{name | default "Guest" | upper}}', data)).toBe("GUEST");
+    });
+
+    it("applies the registered filters and refuses the unknown ones", () => {
+      Template.registerFilter("double", (value) => value * 2);
+
+      expect(Template.render("{{price | double}}", { price: 21 })).toBe("42");
+      expect(() => Template.render("{{price | triple}}", { price: 1 })).toThrow('unknown filter "triple"');
+    });
+  });
+
+  describe("partials", () => {
+    it("renders a registered partial with its arguments", () => {
+      Template.registerPartial("user-line", "<li>{{name}} ({{role}})</li>");
+
+      expect(Template.render('{{#each users}}{{> user-line role="admin"}}{{/each}}', { users: [{ name: "Ada" }] }))
+        .toBe("<li>Ada (admin)</li>");
+    });
+
+    it("renders the host of a nested target for the other partials", () => {
+      expect(Template.render("{{> user-card userId=user.id label=\"A&B\"}}", { user: { id: 1 } }))
+        .toBe('<div data-target-name="user-card" data-user-id="1" data-label="A&amp;B"></div>');
+    });
+  });
+
+  describe("keepMissing", () => {
+    it("leaves the tags reading an absent key intact", () => {
+      const template = "{{title}} {{content | upper}} {{#if items}}x{{/if}} {{#each items}}y{{/each}}";
+
+      expect(Template.render(template, { title: "T" }, { keepMissing: true }))
+        .toBe("T {{content | upper}} {{#if items}}x{{/if}} {{#each items}}y{{/each}}");
+      expect(Template.render("{{title}}[{{content}}]", { title: "T" })).toBe("T[]");
+    });
+
+    it("renders the keys set to undefined", () => {
+      expect(Template.render("[{{title}}]", { title: undefined }, { keepMissing: true })).toBe("[]");
+    });
+  });
+
+  describe("compile", () => {
+    it("caches the compiled templates by source", () => {
+      const source = "<p>{{cached}}</p>";
+      const render = Template.compile(source);
+
+      expect(Template.compile(source)).toBe(render);
+      expect(Template.compile(`${source} `)).not.toBe(render);
+      expect(render({ cached: 1 })).toBe("<p>1</p>");
+      expect(render({ cached: 2 })).toBe("<p>2</p>");
+    });
+  });
+});
+
+describe("Target.parseHTML", () => {
+  it("sanitizes {{{raw}}} and {{content}} with the sanitizer of the target", () => {
+    const data = { content: `<b onclick="x()">b</b><script>x()</script>`, body: `<a href="javascript:x()">a</a><img src=x onerror=x()>` };
+
+    expect(Target.parseHTML("<div>{{content}}</div><div>{{{body}}}</div>", data)).toBe("<div><b>b</b></div><div><a>a</a></div>");
+  });
+
+  it("inserts the trusted values as they are", () => {
+    expect(Target.parseHTML("{{{body}}}", { body: html`<img src="${"/a.png"}">` })).toBe(`<img src="/a.png">`);
+  });
+});
+
+describe("html", () => {
+  const hostile = `"'><script>alert(1)</script>`;
+
+  it("escapes the values in text", () => {
+    expect(String(html`<p>${hostile}</p>`)).toBe("<p>&quot;&#39;&gt;&lt;script&gt;alert(1)&lt;/script&gt;</p>");
+    expect(String(html`<p>${null}${undefined}${false}${0}</p>`)).toBe("<p>0</p>");
+  });
+
+  it("escapes the values of quoted and unquoted attributes", () => {
+    expect(String(html`<a title="${hostile}" data-x='${hostile}'>`))
+      .toBe(`<a title="&quot;&#39;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" data-x='&quot;&#39;&gt;&lt;script&gt;alert(1)&lt;/script&gt;'>`);
+    expect(String(html`<a title=${"a b onclick=x()"}>`)).toBe(`<a title="a b onclick=x()">`);
+    expect(String(html`<div class="${["card", false && "active", "wide"]}" data-config="${{ id: 1 }}">`))
+      .toBe(`<div class="card wide" data-config="{&quot;id&quot;:1}">`);
+  });
+
+  it("refuses the unsafe URLs at the start of URL attributes", () => {
+    const render = (url) => String(html`<a href="${url}"><img src=${url}></a>`);
+
+    expect(render("javascript:alert(1)")).toBe(`<a href="about:invalid"><img src="about:invalid"></a>`);
+    expect(render(" JavaScript:alert(1)")).toBe(`<a href="about:invalid"><img src="about:invalid"></a>`);
+    expect(render("data:text/html;base64,PHNjcmlwdD4=")).toBe(`<a href="about:invalid"><img src="about:invalid"></a>`);
+    expect(render("https://example.com/?q=a&b")).toBe(`<a href="https://example.com/?q=a&amp;b"><img src="https://example.com/?q=a&amp;b"></a>`);
+    expect(render("/docs:intro")).toBe(`<a href="/docs:intro"><img src="/docs:intro"></a>`);
+    // After the start of the value, the URL is already set by the template
+    expect(String(html`<a href="/search?q=${"javascript:x"}">`)).toBe(`<a href="/search?q=javascript:x">`);
+  });
+
+  it("renders objects of attributes between attributes", () => {
+    expect(String(html`<input ${{ value: hostile, disabled: true, hidden: false, href: "javascript:x" }}>`))
+      .toBe(`<input  value="&quot;&#39;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" disabled href="about:invalid">`);
+    expect(() => html`<input ${{ "a b": 1 }}>`).toThrow(TypeError);
+    expect(() => html`<input ${"disabled"}>`).toThrow(TypeError);
+  });
+
+  it("refuses the interpolations in event handlers, tag names and attribute names", () => {
+    expect(() => html`<button onclick="${"alert(1)"}">`).toThrow('use data-on-click');
+    expect(() => html`<button ${{ onclick: "alert(1)" }}>`).toThrow(TypeError);
+    expect(() => html`<${"script"}>`).toThrow(SyntaxError);
+    expect(() => html`<a data-${"x"}="1">`).toThrow(SyntaxError);
+  });
+
+  it("only accepts trusted HTML in script and style elements", () => {
+    expect(() => html`<script>var x = ${hostile};</script>`).toThrow("<script>");
+    expect(() => html`<style>${"body{}"}</style>`).toThrow("<style>");
+    expect(String(html`<style>${unsafeHTML("p { color: red }")}</style>`)).toBe("<style>p { color: red }</style>");
+    expect(String(html`<textarea>${hostile}</textarea>`)).toBe("<textarea>&quot;&#39;&gt;&lt;script&gt;alert(1)&lt;/script&gt;</textarea>");
+  });
+
+  it("escapes the values in comments", () => {
+    expect(String(html`<!-- ${"--><script>"} -->`)).toBe("<!-- --&gt;&lt;script&gt; -->");
+  });
+
+  it("inserts nested html results once, without escaping them again", () => {
+    const item = (label) => html`<li>${label}</li>`;
+
+    expect(String(html`<ul>${html`${item("<a>")}`}</ul>`)).toBe("<ul><li>&lt;a&gt;</li></ul>");
+  });
+
+  it("renders each item of an array", () => {
+    const items = ["<a>", html`<b>b</b>`, null, 1];
+
+    expect(String(html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`)).toBe("<ul><li>&lt;a&gt;</li><li><b>b</b></li><li></li><li>1</li></ul>");
+    expect(String(html`<p>${["<a>", html`<b>b</b>`]}</p>`)).toBe("<p>&lt;a&gt;<b>b</b></p>");
+  });
+});
@@ -0,0 +1,32 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render } from "@/server/render";
+import { MockServer } from "@core/MockServer";
+import { handlers } from "@/mocks";
+
+const template = `<!DOCTYPE html><html><head><title>App</title></head><body><div id=app></div></body></html>`;
+
+describe("server render", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the replacement patterns of the content as they are", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const content = "Price: $& and $$5, $' $1";
+    await new MockServer(handlers).handle("/api/page", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ slug: "prices", title: "Prices $&", content }),
+    });
+
+    const { html, status } = await render("/prices", template);
+    const state = html.match(/window\.__TARGET_STATE__ = (.*?)<\/script>/)[1];
+
+    expect(status).toBe(200);
+    expect(html).toContain("Prices $&</title>");
+    expect(html).toContain(`<div class="the-content w-half">Price: $&amp; and $$5, $' $1</div>`);
+    expect(html.match(/<body/g)).toHaveLength(1);
+    expect(Object.values(JSON.parse(state).routeData)[0]).toMatchObject({ title: "Prices $&", content });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import Page from "@views/Page";
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Route data", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = "";
+  });
+
+  it("passes the loader data to the nested targets without serializing it into the markup", async () => {
+    const container = document.createElement("div");
+    container.setAttribute("data-target-name", "page");
+    document.body.appendChild(container);
+
+    const content = `It's fine x'><img src=x onerror=alert(1)> {{/if}} <b>bold</b>`;
+    const page = new Page({ params: { slug: "about" }, data: { title: "About", content }, routeData: { title: "About", content } }, container);
+    page.update();
+    await page.mountChildren();
+    for (let i = 0; i < 5; i++) {
+      await flush();
+    }
+
+    const title = container.querySelector(".the-title");
+    const body = container.querySelector(".the-content");
+    expect(title.textContent).toBe("About");
+    expect(body.textContent).toBe(`It's fine x'> {{/if}} bold`);
+    expect(body.querySelector("b")).not.toBe(null);
+    expect(container.querySelector("img")).toBe(null);
+    expect(container.innerHTML).not.toContain("onerror");
+
+    page.destroy();
+  });
+});
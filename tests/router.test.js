@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { checkAccess, getStaticPaths, resolveRoute, router } from "@router/index";
+import AuthManager from "@core/AuthManager";
+import config from "@/target.config";
+
+describe("resolveRoute", () => {
+  it("decodes the params", () => {
+    const route = resolveRoute("/caf%C3%A9?tab=1");
+
+    expect(route.targetId).toBe("page");
+    expect(route.params).toEqual({ slug: "café" });
+    expect(route.query).toEqual({ tab: "1" });
+  });
+
+  it("resolves a malformed path to the not found route", () => {
+    const route = resolveRoute("/%E0%A4%A");
+
+    expect(route.path).toBe("/error-404");
+    expect(route.targetId).toBe("error-404");
+  });
+});
+
+describe("getStaticPaths", () => {
+  it("skips the routes that only work in the browser", () => {
+    const paths = getStaticPaths({ slug: ["about"] });
+
+    expect(paths).toEqual(["/", "/error-404", "/error-403", "/about"]);
+  });
+});
+
+describe("router.handleLinkClick", () => {
+  const click = (html) => {
+    document.body.innerHTML = html;
+    const event = new MouseEvent("click", { bubbles: true, cancelable: true, button: 0 });
+    Object.defineProperty(event, "target", { value: document.querySelector("[data-link]") });
+    router.handleLinkClick(event);
+    return event;
+  };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = "";
+  });
+
+  it("navigates with the query string and the fragment", () => {
+    const push = vi.spyOn(router, "push").mockResolvedValue(null);
+
+    const event = click(`<a data-link href="/about?tab=1#team">About</a>`);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(push).toHaveBeenCalledWith("/about?tab=1#team");
+  });
+
+  it("ignores a data-link without href", () => {
+    const push = vi.spyOn(router, "push").mockResolvedValue(null);
+
+    const event = click(`<button data-link>Menu</button>`);
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(push).not.toHaveBeenCalled();
+  });
+});
+
+describe("router navigation", () => {
+  const removeHooks = [];
+  const renderer = vi.fn();
+
+  const addHook = (type, hook) => {
+    removeHooks.push(router[type](hook));
+  };
+
+  afterEach(() => {
+    removeHooks.splice(0).forEach((remove) => remove());
+    renderer.mockReset();
+    router.renderer = null;
+    router.currentRoute = null;
+    window.history.replaceState({}, "", "/");
+  });
+
+  it("pushes a history entry, or replaces the current one", async () => {
+    router.renderer = renderer;
+    const length = window.history.length;
+
+    const route = await router.push("/about?tab=1");
+    expect(route.targetId).toBe("page");
+    expect(window.location.pathname + window.location.search).toBe("/about?tab=1");
+    expect(window.history.length).toBe(length + 1);
+    expect(renderer).toHaveBeenCalledWith(route, null);
+
+    await router.replace("/contact");
+    expect(window.location.pathname).toBe("/contact");
+    expect(window.history.length).toBe(length + 1);
+    expect(renderer).toHaveBeenLastCalledWith(expect.objectContaining({ params: { slug: "contact" } }), route);
+
+    await router.push("/contact");
+    expect(window.history.length).toBe(length + 1);
+  });
+
+  it("runs the beforeEach guards, which cancel or redirect the navigation", async () => {
+    router.renderer = renderer;
+    addHook("beforeEach", (to) => (to.params.slug === "private" ? false : true));
+    addHook("beforeEach", (to, from) => (to.params.slug === "old" ? `/new?from=${from ? from.path : ""}` : undefined));
+    await router.push("/about");
+
+    expect(await router.push("/private")).toBe(false);
+    expect(window.location.pathname).toBe("/about");
+
+    const route = await router.push("/old#top");
+    expect(route.fullPath).toBe("/new?from=/about");
+    expect(route.redirectedFrom).toBe("/old#top");
+    expect(window.location.pathname + window.location.search + window.location.hash).toBe("/new?from=/about");
+    expect(renderer).toHaveBeenCalledTimes(2);
+  });
+
+  it("calls the afterEach hooks once the route is rendered", async () => {
+    const calls = [];
+    router.renderer = async (route) => {
+      calls.push(`render ${route.path}`);
+    };
+    addHook("afterEach", (to, from) => calls.push(`after ${to.path} from ${from ? from.path : null}`));
+
+    await router.push("/about");
+    await router.push("/contact");
+
+    expect(calls).toEqual(["render /about", "after /about from null", "render /contact", "after /contact from /about"]);
+  });
+
+  it("rejects a redirect loop without rendering", async () => {
+    router.renderer = renderer;
+    addHook("beforeEach", (to) => (to.path === "/ping" ? "/pong" : to.path === "/pong" ? "/ping" : true));
+
+    await expect(router.push("/ping")).rejects.toThrow("Too many redirects while navigating to /ping");
+    expect(renderer).not.toHaveBeenCalled();
+  });
+
+  it("supersedes a navigation started while another one resolves", async () => {
+    router.renderer = renderer;
+    let release;
+    addHook("beforeEach", (to) => (to.path === "/slow" ? new Promise((resolve) => {
+      release = resolve;
+    }) : true));
+
+    const slow = router.push("/slow");
+    const fast = router.push("/fast");
+    await fast;
+    release(true);
+
+    expect(await slow).toBe(false);
+    expect(window.location.pathname).toBe("/fast");
+    expect(renderer).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("checkAccess", () => {
+  const createToken = (claims) => {
+    const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+    return `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims })}.signature`;
+  };
+  const route = (meta) => ({ meta, fullPath: "/admin?tab=1" });
+
+  afterEach(() => {
+    AuthManager.logout();
+    sessionStorage.clear();
+  });
+
+  it("lets everyone in the routes without requirements", () => {
+    expect(checkAccess(route({}))).toBe(true);
+  });
+
+  it("sends the visitors without session to the login route", () => {
+    expect(checkAccess(route({ requiresAuth: true }))).toBe(`${config.auth.loginRoute}?redirect=%2Fadmin%3Ftab%3D1`);
+    expect(checkAccess(route({ roles: ["admin"] }))).toBe(`${config.auth.loginRoute}?redirect=%2Fadmin%3Ftab%3D1`);
+  });
+
+  it("sends the users missing a role or a permission to the forbidden route", () => {
+    AuthManager.login(createToken({ roles: ["editor"], scope: "posts:read posts:write" }));
+
+    expect(config.auth.forbiddenRoute).toBe("/error-403");
+    expect(resolveRoute(config.auth.forbiddenRoute).meta.status).toBe(403);
+    expect(checkAccess(route({ requiresAuth: true }))).toBe(true);
+    expect(checkAccess(route({ roles: ["admin", "editor"] }))).toBe(true);
+    expect(checkAccess(route({ roles: "admin" }))).toBe("/error-403");
+    expect(checkAccess(route({ permissions: ["posts:read", "posts:write"] }))).toBe(true);
+    expect(checkAccess(route({ roles: ["editor"], permissions: ["posts:delete"] }))).toBe("/error-403");
+  });
+});
@@ -1,96 +1,911 @@
+import { queryCache } from "@core/QueryCache";
+import config from "@/target.config";
+
+/**
+ * Refreshes in progress, by auth provider. Concurrent requests receiving a 401 wait on the same refresh.
+ */
+const pendingRefreshes = new WeakMap();
+
+/**
+ * Refreshes the session of an auth provider, at most once at a time.
+ *
+ * @param {Object} auth - The auth provider.
+ * @returns {Promise<string>} A promise that resolves to the new token.
+ */
+const refreshSession = (auth) => {
+    if (!pendingRefreshes.has(auth)) {
+        const refresh = Promise.resolve()
+            .then(() => auth.refreshToken())
+            .finally(() => pendingRefreshes.delete(auth));
+        pendingRefreshes.set(auth, refresh);
+    }
+    return pendingRefreshes.get(auth);
+};
+
+/**
+ * Mock server of the mocks/ module, loaded on the first request when config.api.mock.enabled is set.
+ */
+let mockServer = null;
+
+/**
+ * Gets the mock server, the handlers are only downloaded when the mocks are enabled.
+ *
+ * @returns {Promise<MockServer>} A promise that resolves to the mock server.
+ */
+const getMockServer = () => {
+    if (!mockServer) {
+        mockServer = Promise.all([import("@core/MockServer"), import("@/mocks/index")])
+            .then(([{ MockServer }, { handlers }]) => new MockServer(handlers, {
+                baseURL: config.api.baseURL,
+                logger: config.logger && config.dev,
+                ...config.api.mock,
+            }));
+    }
+    return mockServer;
+};
+
+/**
+ * Ordered list of interceptors, run one after the other on a request, a response or an error.
+ */
+class InterceptorChain {
+    constructor() {
+        this.handlers = [];
+    }
+
+    /**
+     * Adds an interceptor at the end of the chain.
+     *
+     * @param {Function} handler - The interceptor.
+     * @returns {Function} A function to remove the interceptor.
+     */
+    use(handler) {
+        this.handlers.push(handler);
+        return () => {
+            this.handlers = this.handlers.filter((h) => h !== handler);
+        };
+    }
+}
+
+/**
+ * Creates the error a request is aborted with.
+ *
+ * @param {string} name - "AbortError" when cancelled, "TimeoutError" when timed out.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+const createAbortError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
+
+/**
+ * Default retry options, merged with config.api.retry, the options of the instance and the ones of the request.
+ * Only idempotent methods are retried, requests with an Idempotency-Key header excepted.
+ */
+const defaultRetry = {
+    retries: 0,
+    minDelay: 300,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    methods: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"],
+    statuses: [429, 500, 502, 503, 504],
+    onRetry: null,
+};
+
+/**
+ * Normalizes retry options: a number is a number of retries, false disables the retries.
+ *
+ * @param {Object|number|boolean} retry - The retry options.
+ * @returns {Object} The retry options, as an object.
+ */
+const toRetryOptions = (retry) => {
+    if (typeof retry === "number") {
+        return { retries: retry };
+    }
+    return retry === false ? { retries: 0 } : retry || {};
+};
+
+/**
+ * Reads the Retry-After header of a response, in seconds or as an HTTP date.
+ *
+ * @param {Response} response - The response.
+ * @returns {number|null} The delay in milliseconds, or null without a valid header.
+ */
+const getRetryAfter = (response) => {
+    const value = response && response.headers.get("Retry-After");
+    if (!value) {
+        return null;
+    }
+    const delay = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(delay) ? null : Math.max(0, delay);
+};
+
+/**
+ * Statuses of the responses that never have a body.
+ */
+const nullBodyStatuses = [101, 103, 204, 205, 304];
+
+/**
+ * Response types accepted by the responseType option, "auto" picks one from the Content-Type of the response.
+ */
+const responseTypes = ["auto", "json", "text", "blob", "arrayBuffer", "formData"];
+
+/**
+ * Serializes the body of a request. Plain objects and arrays are sent as JSON, or form encoded when the
+ * Content-Type asks for it. FormData, URLSearchParams, Blob, buffers, streams and strings are sent as they are.
+ *
+ * @param {*} body - The body.
+ * @param {Headers} headers - The headers of the request, the Content-Type is set or removed to match the body.
+ * @returns {*} The body to send, undefined for none.
+ */
+const serializeBody = (body, headers) => {
+    if (body === undefined || body === null) {
+        return undefined;
+    }
+
+    if (body instanceof FormData || body instanceof URLSearchParams) {
+        // fetch sets the Content-Type of these bodies, with the boundary of the multipart data
+        headers.delete("Content-Type");
+        return body;
+    }
+    if (typeof body === "string" || body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body)
+        || (typeof ReadableStream !== "undefined" && body instanceof ReadableStream)) {
+        return body;
+    }
+
+    const contentType = headers.get("Content-Type") || "";
+    if (contentType.startsWith("application/x-www-form-urlencoded")) {
+        return new URLSearchParams(body).toString();
+    }
+    if (!contentType) {
+        headers.set("Content-Type", "application/json");
+    }
+    return JSON.stringify(body);
+};
+
+/**
+ * Checks if a serialized body can be sent again. A stream is consumed by the first attempt, the other bodies
+ * are read anew by each fetch.
+ *
+ * @param {*} body - The serialized body.
+ * @returns {boolean} True if the body can be sent again.
+ */
+const isReplayable = (body) => !(typeof ReadableStream !== "undefined" && body instanceof ReadableStream);
+
+/**
+ * Creates a progress event, the ratio is null when the total size is unknown.
+ *
+ * @param {number} loaded - The bytes transferred.
+ * @param {number} total - The total bytes, 0 when unknown.
+ * @returns {{ loaded: number, total: number, progress: number|null }} The event.
+ */
+const createProgressEvent = (loaded, total) => ({ loaded, total, progress: total ? Math.min(1, loaded / total) : null });
+
+/**
+ * Reports the download progress of a response as its body is read.
+ * The total comes from the Content-Length header, it is 0 when the header is missing.
+ *
+ * @param {Response} response - The response.
+ * @param {Function} onProgress - Receives { loaded, total, progress } after each chunk.
+ * @returns {Response} A response reading the same body.
+ */
+const trackDownload = (response, onProgress) => {
+    if (!onProgress || !response.body || nullBodyStatuses.includes(response.status)) {
+        return response;
+    }
+
+    const total = Number(response.headers.get("Content-Length")) || 0;
+    const reader = response.body.getReader();
+    let loaded = 0;
+    const body = new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                controller.close();
+                return;
+            }
+            loaded += value.byteLength;
+            onProgress(createProgressEvent(loaded, total));
+            controller.enqueue(value);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+};
+
+/**
+ * Parses the raw headers of an XMLHttpRequest.
+ *
+ * @param {string} rawHeaders - The result of getAllResponseHeaders().
+ * @returns {Headers} The headers.
+ */
+const parseRawHeaders = (rawHeaders) => {
+    const headers = new Headers();
+    rawHeaders.trim().split(/[\r\n]+/).filter(Boolean).forEach((line) => {
+        const index = line.indexOf(":");
+        headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    });
+    return headers;
+};
+
+/**
+ * Sends a request with XMLHttpRequest, the only browser API reporting the upload progress.
+ * It resolves to a Response and rejects like fetch: a TypeError when the network fails, the reason of the
+ * signal when it is aborted.
+ *
+ * @param {string} url - The URL of the request.
+ * @param {Object} init - { method, headers, body, signal }.
+ * @param {Function} onUploadProgress - Receives { loaded, total, progress } while the body is sent.
+ * @returns {Promise<Response>} A promise that resolves to the response.
+ */
+const sendWithXHR = (url, { method, headers, body, signal }, onUploadProgress) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = "arraybuffer";
+    headers.forEach((value, name) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => onUploadProgress(createProgressEvent(event.loaded, event.lengthComputable ? event.total : 0));
+    xhr.onload = () => {
+        const hasBody = !nullBodyStatuses.includes(xhr.status);
+        resolve(new Response(hasBody ? xhr.response : null, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseRawHeaders(xhr.getAllResponseHeaders()),
+        }));
+    };
+    xhr.onerror = () => reject(new TypeError("Network request failed"));
+    xhr.onabort = () => reject(signal && signal.reason ? signal.reason : createAbortError("AbortError", "Request cancelled"));
+
+    if (signal) {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    }
+    xhr.send(body ?? null);
+});
+
+/**
+ * Reads the body of a response.
+ * With the "auto" response type, JSON types are parsed, text types read as text and other types as a Blob.
+ * A body without Content-Type is parsed as JSON when it is valid JSON, else read as text.
+ *
+ * @param {Response} response - The response.
+ * @param {string} responseType - One of responseTypes.
+ * @param {string} method - The method of the request, HEAD responses have no body.
+ * @returns {Promise<{ data: *, isJson: boolean }>} The body, null when it is empty, and whether it was JSON.
+ */
+const readBody = async (response, responseType, method) => {
+    if (method.toUpperCase() === "HEAD" || nullBodyStatuses.includes(response.status)) {
+        return { data: null, isJson: false };
+    }
+
+    const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+    const type = responseType !== "auto" ? responseType
+        : /[/+]json\b/.test(contentType) ? "json"
+            : !contentType ? "unknown"
+                : contentType.startsWith("text/") || /[/+]xml\b|javascript/.test(contentType) ? "text"
+                    : "blob";
+
+    if (type === "json" || type === "unknown") {
+        const text = await response.text();
+        if (!text) {
+            return { data: null, isJson: type === "json" };
+        }
+        if (type === "json") {
+            return { data: JSON.parse(text), isJson: true };
+        }
+        try {
+            return { data: JSON.parse(text), isJson: true };
+        } catch {
+            return { data: text, isJson: false };
+        }
+    }
+    return { data: await response[type](), isJson: false };
+};
+
 /**
  * Represents an HTTP request handler class. This class provides methods to perform
  * HTTP requests using the Fetch API, including support for default parameters and headers.
  */
 export class HTTPRequest {
+    /**
+     * Default onAuthFailure of the instances, a no-op.
+     * The application sets it to a redirect to config.auth.loginRoute (see main.js): the utilities do not
+     * import the router, which imports them.
+     */
+    static onAuthFailure = () => {};
+
     /**
      * Constructs the HTTPRequest instance with default configurations.
      *
      * @param {string} apiURL - The base URL for the API requests.
      * @param {Object} defaultURLParams - Default URL parameters to be included in every request.
      * @param {Object} defaultHeaders - Default headers to be included in every request.
+     * @param {Object} options - Additional options.
+     * @param {Object} options.auth - An auth provider, e.g. AuthManager, implementing getToken, getTokenExpiration
+     *   (or decodeToken for JWTs), getRefreshToken, refreshToken and logout. Its token is sent as `Authorization: Bearer`.
+     * @param {number} options.refreshMargin - Seconds before the expiration of the token from which it is refreshed
+     *   before sending a request, defaults to config.auth.refreshMargin.
+     * @param {Function} options.onAuthFailure - Called after the logout when the session cannot be refreshed,
+     *   defaults to HTTPRequest.onAuthFailure.
+     * @param {number} options.timeout - Milliseconds after which a request is aborted, defaults to config.api.timeout.
+     *   0 disables the timeout.
+     * @param {Object|number} options.retry - Retries of the failed requests, merged with config.api.retry:
+     *   { retries, minDelay, maxDelay, factor, jitter, methods, statuses, onRetry }, or a number of retries.
+     * @param {Object|boolean} options.cache - Cache options of the GET requests, { staleTime }, or false to send
+     *   every GET request. The staleTime defaults to config.api.cache.staleTime.
+     * @param {QueryCache} options.queryCache - The cache of the GET requests, defaults to the shared one.
      */
-    constructor(apiURL, defaultURLParams = {}, defaultHeaders = {}) {
+    constructor(apiURL, defaultURLParams = {}, defaultHeaders = {}, options = {}) {
         this.apiURL = apiURL;
         this.defaultURLParams = new URLSearchParams(defaultURLParams);
         this.defaultHeaders = new Headers(defaultHeaders);
+        this.auth = options.auth || null;
+        this.refreshMargin = options.refreshMargin ?? config.auth.refreshMargin;
+        this.onAuthFailure = options.onAuthFailure || (() => HTTPRequest.onAuthFailure());
+        this.timeout = options.timeout ?? config.api.timeout;
+        this.retry = { ...defaultRetry, ...toRetryOptions(config.api.retry), ...toRetryOptions(options.retry) };
+        this.cache = options.cache ?? {};
+        this.queryCache = options.queryCache || queryCache;
+        this.interceptors = {
+            request: new InterceptorChain(),
+            response: new InterceptorChain(),
+            error: new InterceptorChain(),
+        };
+        // Aborted by cancel(), every request of the instance listens to it
+        this.controller = new AbortController();
+    }
+
+    /**
+     * Checks if an error comes from a cancelled request, either by cancel() or by its own signal.
+     * Timeouts are not cancellations, their error is named "TimeoutError".
+     *
+     * @param {Error} error - The error.
+     * @returns {boolean} True if the request was cancelled.
+     */
+    static isCancel(error) {
+        return Boolean(error) && error.name === "AbortError";
+    }
+
+    /**
+     * Aborts the requests in flight, they reject with an "AbortError".
+     * The instance can still send new requests.
+     *
+     * @param {string} reason - The reason, used as error message.
+     */
+    cancel(reason = "Request cancelled") {
+        this.controller.abort(createAbortError("AbortError", reason));
+        this.controller = new AbortController();
+    }
+
+    /**
+     * Creates the signal of a request, aborted by cancel(), by the signal of the caller or after the timeout.
+     *
+     * @param {number} timeout - The timeout in milliseconds, 0 for none.
+     * @param {AbortSignal} signal - The signal of the caller, optional.
+     * @param {boolean} cancelable - False for the requests cancel() must not abort, e.g. the ones shared by the
+     *   query cache.
+     * @returns {{ signal: AbortSignal, cleanup: Function }} The signal, and a function to call once the request settled.
+     */
+    createSignal(timeout, signal = null, cancelable = true) {
+        const controller = new AbortController();
+        const sources = [cancelable ? this.controller.signal : null, signal].filter(Boolean);
+        const abort = (event) => controller.abort(event.target.reason);
+
+        sources.forEach((source) => {
+            if (source.aborted) {
+                controller.abort(source.reason);
+            } else {
+                source.addEventListener("abort", abort, { once: true });
+            }
+        });
+
+        const timer = timeout > 0
+            ? setTimeout(() => controller.abort(createAbortError("TimeoutError", `Request timed out after ${timeout}ms`)), timeout)
+            : null;
+
+        return {
+            signal: controller.signal,
+            cleanup: () => {
+                clearTimeout(timer);
+                sources.forEach((source) => source.removeEventListener("abort", abort));
+            },
+        };
+    }
+
+    /**
+     * Gets the token of the auth provider, refreshed first when it expires within the refresh margin.
+     * A failed refresh is not fatal here, the request is sent with the current token.
+     *
+     * @returns {Promise<string|null>} A promise that resolves to the token, or null if there is none.
+     */
+    async getAuthToken() {
+        const token = this.auth.getToken();
+        if (!token || !this.auth.getRefreshToken()) {
+            return token;
+        }
+
+        try {
+            // Opaque tokens cannot be decoded, the provider knows their expiration
+            const exp = this.auth.getTokenExpiration ? this.auth.getTokenExpiration() : this.auth.decodeToken(token).exp;
+            if (exp && exp - Date.now() / 1000 <= this.refreshMargin) {
+                return await refreshSession(this.auth);
+            }
+        } catch (error) {
+            console.warn("Unable to refresh the token before the request:", error);
+        }
+        return this.auth.getToken();
+    }
+
+    /**
+     * Ends the session when it cannot be refreshed. Concurrent requests failing together log out only once.
+     */
+    handleAuthFailure() {
+        if (!this.auth.getToken()) {
+            return;
+        }
+        this.auth.logout();
+        this.onAuthFailure();
+    }
+
+    /**
+     * Sends a request, with the token of the auth provider if any.
+     * On a 401 the session is refreshed and the request sent again once, if the refresh fails the user is
+     * logged out. A stream body cannot be sent again, the 401 error is then thrown once the session is refreshed.
+     *
+     * @param {Object} requestConfig - The request config.
+     * @param {AbortSignal} signal - The signal of the attempt.
+     * @param {boolean} isRetry - True when the request is sent again after a refresh.
+     * @returns {Promise<Object>} A promise that resolves to the parsed response.
+     */
+    async send(requestConfig, signal, isRetry = false) {
+        const token = this.auth ? await this.getAuthToken() : null;
+        const headers = new Headers(requestConfig.headers);
+        if (token) {
+            headers.set("Authorization", `Bearer ${token}`);
+        }
+
+        const init = { method: requestConfig.method, headers, body: requestConfig.body, signal };
+        const response = await this.transport(requestConfig, init);
+
+        if (response.status === 401 && token) {
+            if (!isRetry) {
+                try {
+                    // Another request may have refreshed the token since this one was sent
+                    if (this.auth.getToken() === token) {
+                        await refreshSession(this.auth);
+                    }
+                } catch (error) {
+                    this.handleAuthFailure();
+                    return this.parseResponse(response, requestConfig);
+                }
+                if (!isReplayable(requestConfig.body)) {
+                    return this.parseResponse(response, requestConfig);
+                }
+                return this.send(requestConfig, signal, true);
+            }
+            this.handleAuthFailure();
+        }
+
+        return this.parseResponse(response, requestConfig);
+    }
+
+    /**
+     * Sends a request to the mock server when the mocks are enabled and one of its handlers matches, else to the
+     * network.
+     *
+     * @param {Object} requestConfig - The request config.
+     * @param {Object} init - { method, headers, body, signal }, as passed to fetch.
+     * @returns {Promise<Response>} A promise that resolves to the response.
+     */
+    async transport(requestConfig, init) {
+        if (config.api.mock.enabled) {
+            const response = await (await getMockServer()).handle(requestConfig.url, init);
+            if (response) {
+                return response;
+            }
+        }
+
+        // fetch cannot report the upload progress, XMLHttpRequest is only used when it is asked for
+        if (requestConfig.onUploadProgress && typeof XMLHttpRequest !== "undefined") {
+            return sendWithXHR(requestConfig.url, init, requestConfig.onUploadProgress);
+        }
+        return fetch(requestConfig.url, init);
+    }
+
+    /**
+     * Parses the body of a response, an error is thrown when its status is not a success.
+     * The body is read as options.responseType, or from the Content-Type of the response with "auto".
+     * Empty bodies, 204 responses and HEAD requests give null.
+     *
+     * @param {Response} response - The response.
+     * @param {Object} options - { method, responseType, onDownloadProgress }.
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }, json being the data
+     *   when the body is JSON and null otherwise.
+     */
+    async parseResponse(response, { method = "GET", responseType = "auto", onDownloadProgress = null } = {}) {
+        response = trackDownload(response, onDownloadProgress);
+
+        // The body of an error may not be what was asked for, e.g. the HTML page of a gateway
+        const { data, isJson } = await readBody(response, responseType, method).catch((error) => {
+            if (response.ok) {
+                throw error;
+            }
+            return { data: null, isJson: false };
+        });
+        const json = isJson ? data : null;
+
+        if (!response.ok) {
+            const error = new Error("HTTP error");
+            error.response = response;
+            error.data = data;
+            error.json = json;
+            throw error;
+        }
+        return { data, json, status: response.status, headers: response.headers };
+    }
+
+    /**
+     * Checks if a failed request may be sent again: network errors, timeouts and the retry statuses, for the
+     * idempotent methods or the requests with an Idempotency-Key header. Requests with a stream body are never
+     * sent again, the stream was consumed by the first attempt.
+     *
+     * @param {Error} error - The error of the attempt.
+     * @param {Object} requestConfig - The request config.
+     * @param {Object} retry - The retry options.
+     * @returns {boolean} True if the request may be retried.
+     */
+    isRetryable(error, requestConfig, retry) {
+        const isIdempotent = retry.methods.includes(requestConfig.method.toUpperCase())
+            || requestConfig.headers.has("Idempotency-Key");
+        if (!isIdempotent || !isReplayable(requestConfig.body) || HTTPRequest.isCancel(error)) {
+            return false;
+        }
+        if (error.response) {
+            return retry.statuses.includes(error.response.status);
+        }
+        // fetch rejects with a TypeError when the network fails
+        return error.name === "TimeoutError" || error instanceof TypeError;
+    }
+
+    /**
+     * Computes the delay before a retry: exponential backoff with jitter, or the Retry-After of the response.
+     *
+     * @param {number} attempt - The number of the retry, from 1.
+     * @param {Error} error - The error of the previous attempt.
+     * @param {Object} retry - The retry options.
+     * @returns {number|null} The delay in milliseconds, or null when Retry-After asks to wait more than maxDelay.
+     */
+    getRetryDelay(attempt, error, retry) {
+        const retryAfter = getRetryAfter(error.response);
+        if (retryAfter !== null) {
+            return retryAfter <= retry.maxDelay ? retryAfter : null;
+        }
+
+        const delay = Math.min(retry.maxDelay, retry.minDelay * retry.factor ** (attempt - 1));
+        // Randomized between half and the full delay, so that clients failing together do not retry together
+        return retry.jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+    }
+
+    /**
+     * Waits before a retry, the wait is interrupted when the request is cancelled.
+     *
+     * @param {number} delay - The delay in milliseconds.
+     * @param {AbortSignal} signal - The signal of the caller, optional.
+     * @param {boolean} cancelable - False if cancel() must not interrupt the wait.
+     * @returns {Promise<void>}
+     */
+    wait(delay, signal, cancelable = true) {
+        const { signal: cancelSignal, cleanup } = this.createSignal(0, signal, cancelable);
+        return new Promise((resolve, reject) => {
+            if (cancelSignal.aborted) {
+                reject(cancelSignal.reason);
+                return;
+            }
+            const timer = setTimeout(resolve, delay);
+            cancelSignal.addEventListener("abort", () => {
+                clearTimeout(timer);
+                reject(cancelSignal.reason);
+            }, { once: true });
+        }).finally(cleanup);
+    }
+
+    /**
+     * Settles like a promise, or rejects with the reason of the cancellation as soon as cancel() is called or the
+     * signal aborts. The promise itself goes on, e.g. a request the query cache shares with other callers.
+     *
+     * @param {Promise} promise - The promise.
+     * @param {AbortSignal} signal - The signal of the caller, optional.
+     * @returns {Promise} The promise, cancelable.
+     */
+    untilCancelled(promise, signal = null) {
+        const { signal: cancelSignal, cleanup } = this.createSignal(0, signal);
+        return new Promise((resolve, reject) => {
+            if (cancelSignal.aborted) {
+                reject(cancelSignal.reason);
+                return;
+            }
+            cancelSignal.addEventListener("abort", () => reject(cancelSignal.reason), { once: true });
+            promise.then(resolve, reject);
+        }).finally(cleanup);
+    }
+
+    /**
+     * Sends a request, then sends it again while it fails with a retryable error and retries are left.
+     * Each attempt has its own timeout. Every retry is reported to retry.onRetry, and logged in development.
+     *
+     * @param {Object} requestConfig - The request config.
+     * @param {Object} retry - The retry options.
+     * @returns {Promise<Object>} A promise that resolves to the parsed response.
+     */
+    async sendWithRetry(requestConfig, retry) {
+        for (let attempt = 1; ; attempt++) {
+            const { signal, cleanup } = this.createSignal(requestConfig.timeout, requestConfig.signal, requestConfig.cancelable);
+
+            try {
+                return await this.send(requestConfig, signal);
+            } catch (caught) {
+                // fetch rejects with its own AbortError, the reason tells a timeout from a cancellation
+                const error = signal.aborted && signal.reason instanceof Error ? signal.reason : caught;
+                const delay = attempt <= retry.retries && this.isRetryable(error, requestConfig, retry)
+                    ? this.getRetryDelay(attempt, error, retry)
+                    : null;
+                if (delay === null) {
+                    throw error;
+                }
+
+                const event = { attempt, retries: retry.retries, delay, error, request: requestConfig };
+                if (config.logger && config.dev) {
+                    console.warn(`Retrying ${requestConfig.method} ${requestConfig.url} in ${Math.round(delay)}ms (${attempt}/${retry.retries}):`, error.message);
+                }
+                if (retry.onRetry) {
+                    retry.onRetry(event);
+                }
+                await this.wait(delay, requestConfig.signal, requestConfig.cancelable);
+            } finally {
+                cleanup();
+            }
+        }
     }
 
     /**
      * Performs an HTTP request using the Fetch API.
+     * The request config goes through the request interceptors, the result through the response interceptors,
+     * and any error (HTTP, network, timeout, cancellation, or thrown by an interceptor) through the error interceptors.
      *
      * @param {string} method - The HTTP method to use (GET, POST, PUT, DELETE, etc.).
      * @param {string} route - The API route path to append to the base URL.
      * @param {Object} urlParams - URL parameters to include in the request.
-     * @param {Object} body - The body of the request for POST, PUT methods.
+     * @param {*} body - The body of the request for POST, PUT and PATCH methods: an object sent as JSON, or a
+     *   FormData, URLSearchParams, Blob, buffer, stream or string sent as it is.
      * @param {Object} extraHeaders - Additional headers to include in the request.
-     * @returns {Promise<Object>} A promise that resolves to the response in JSON format.
+     * @param {Object} options - { timeout, signal, retry, responseType, onUploadProgress, onDownloadProgress,
+     *   invalidates, cancelable }. The timeout and the retry options override the ones of the instance, the signal
+     *   cancels the request when aborted, responseType is "auto" (default), "json", "text", "blob", "arrayBuffer"
+     *   or "formData", the progress callbacks receive { loaded, total, progress }, invalidates lists the routes
+     *   whose cached GET results are invalidated once the request succeeded, and cancelable is false when
+     *   cancel() must not abort the request.
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
      */
-    request(method, route, urlParams = {}, body = null, extraHeaders = {}) {
-        // Merge URL parameters with defaults
-        const params = new URLSearchParams(this.defaultURLParams);
-        Object.entries(urlParams).forEach(([key, value]) => params.append(key, value));
+    async request(method, route, urlParams = {}, body = null, extraHeaders = {}, options = {}) {
+        const params = this.getURLParams(urlParams);
 
-        // Prepare headers
+        // Prepare headers, the ones of the request replace the defaults, e.g. the Content-Type of a text body
         const headers = new Headers(this.defaultHeaders);
-        Object.entries(extraHeaders).forEach(([key, value]) => headers.append(key, value));
+        Object.entries(extraHeaders).forEach(([key, value]) => headers.set(key, value));
 
-        // Prepare the request configuration
-        const config = {
+        const responseType = options.responseType || "auto";
+        if (!responseTypes.includes(responseType)) {
+            throw new Error(`Unknown response type "${responseType}", expected one of ${responseTypes.join(", ")}`);
+        }
+
+        // Prepare the request configuration, request interceptors may change it or return a new one
+        let requestConfig = {
             method,
+            url: `${this.apiURL}${route}?${params}`,
             headers,
-            body: body ? JSON.stringify(body) : undefined,
+            body: serializeBody(body, headers),
+            timeout: options.timeout ?? this.timeout,
+            signal: options.signal || null,
+            cancelable: options.cancelable ?? true,
+            responseType,
+            onUploadProgress: options.onUploadProgress || null,
+            onDownloadProgress: options.onDownloadProgress || null,
         };
+        let result = Promise.resolve();
+        this.interceptors.request.handlers.forEach((interceptor) => {
+            result = result.then(async () => {
+                requestConfig = (await interceptor(requestConfig)) || requestConfig;
+            });
+        });
 
         // Execute the request
-        return fetch(`${this.apiURL}${route}?${params}`, config)
-            .then(response => response.json().then(json => {
-                if (!response.ok) {
-                    const error = new Error("HTTP error");
-                    error.response = response;
-                    error.json = json;
-                    throw error;
-                }
-                return { json, status: response.status, headers: response.headers };
-            }));
+        const retry = { ...this.retry, ...toRetryOptions(options.retry) };
+        result = result.then(() => this.sendWithRetry(requestConfig, retry));
+        if (options.invalidates) {
+            result = result.then((response) => {
+                [].concat(options.invalidates).forEach((invalidated) => this.invalidate(invalidated));
+                return response;
+            });
+        }
+
+        this.interceptors.response.handlers.forEach((interceptor) => {
+            result = result.then((response) => interceptor(response, requestConfig));
+        });
+        // An error interceptor recovers by returning a result, or passes the error on by throwing
+        this.interceptors.error.handlers.forEach((interceptor) => {
+            result = result.catch((error) => interceptor(error, requestConfig));
+        });
+
+        return result;
     }
 
     /**
-     * Performs a GET request.
+     * Merges URL parameters with the default ones.
+     *
+     * @param {Object} urlParams - URL parameters.
+     * @returns {URLSearchParams} The parameters.
+     */
+    getURLParams(urlParams = {}) {
+        const params = new URLSearchParams(this.defaultURLParams);
+        Object.entries(urlParams).forEach(([key, value]) => params.append(key, value));
+        return params;
+    }
+
+    /**
+     * Gets the key of a GET request in the query cache: its URL, with the parameters sorted.
+     *
+     * @param {string} route - The API route.
+     * @param {Object} urlParams - URL parameters.
+     * @returns {string} The cache key.
+     */
+    getCacheKey(route, urlParams = {}) {
+        const params = this.getURLParams(urlParams);
+        params.sort();
+        return `${this.apiURL}${route}?${params}`;
+    }
+
+    /**
+     * Gets the cache options of a GET request, merged from the ones of the instance and of the request.
+     * The cache is never used on the server, where it would be shared by the requests of every visitor.
+     *
+     * @param {Object} options - The options of the request.
+     * @returns {Object|null} { staleTime, force, key }, or null if the request is not cached.
+     */
+    getCacheOptions(options = {}) {
+        if (typeof window === "undefined" || this.cache === false || options.cache === false) {
+            return null;
+        }
+        return { ...this.cache, ...(typeof options.cache === "object" ? options.cache : {}) };
+    }
+
+    /**
+     * Gets the cached state of a GET request, to render its result right away.
+     *
+     * @param {string} route - The API route.
+     * @param {Object} urlParams - URL parameters.
+     * @param {Object} options - { cache: { key } }.
+     * @returns {Object|null} The state (see QueryCache.get()), or null if the request is not cached.
+     */
+    getCached(route, urlParams = {}, options = {}) {
+        const cache = this.getCacheOptions(options);
+        return cache ? this.queryCache.get(cache.key || this.getCacheKey(route, urlParams)) : null;
+    }
+
+    /**
+     * Subscribes to the cached result of a GET request. The request is sent when the result is missing or stale,
+     * the listener then receives { response, error, isFetching, isStale, updatedAt } every time the entry changes,
+     * including when it is revalidated after an invalidation.
      *
      * @param {string} route - The API route.
      * @param {Object} urlParams - URL parameters.
      * @param {Object} headers - Additional headers.
-     * @returns {Promise<Object>} A promise that resolves to the response in JSON format.
+     * @param {Object} options - See get().
+     * @param {Function} listener - Receives the state of the request.
+     * @returns {Function} A function to unsubscribe.
      */
-    get(route, urlParams = {}, headers = {}) {
-        return this.request("GET", route, urlParams, undefined, headers);
+    subscribe(route, urlParams = {}, headers = {}, options = {}, listener = () => {}) {
+        const cache = this.getCacheOptions(options);
+        if (!cache) {
+            return () => {};
+        }
+        const key = cache.key || this.getCacheKey(route, urlParams);
+        return this.queryCache.subscribe(key, listener, () => this.sendShared(route, urlParams, headers, options), cache);
+    }
+
+    /**
+     * Marks the cached results of a route as stale, e.g. after a mutation. Without URL parameters, every
+     * result below the route is invalidated: "/users" invalidates "/users?page=2" and "/users/1".
+     *
+     * @param {string} route - The API route.
+     * @param {Object} urlParams - URL parameters, to invalidate a single result.
+     */
+    invalidate(route, urlParams = null) {
+        this.queryCache.invalidate(urlParams ? this.getCacheKey(route, urlParams) : `${this.apiURL}${route}`);
+    }
+
+    /**
+     * Sends a GET request shared through the query cache, cancel() and the signal of a caller do not abort it.
+     *
+     * @param {string} route - The API route.
+     * @param {Object} urlParams - URL parameters.
+     * @param {Object} headers - Additional headers.
+     * @param {Object} options - See request().
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
+     */
+    sendShared(route, urlParams, headers, options) {
+        return this.request("GET", route, urlParams, undefined, headers, { ...options, signal: null, cancelable: false });
+    }
+
+    /**
+     * Performs a GET request, through the query cache: a fresh cached result is returned without request, and
+     * concurrent requests of the same URL share one response.
+     *
+     * @param {string} route - The API route.
+     * @param {Object} urlParams - URL parameters.
+     * @param {Object} headers - Additional headers.
+     * @param {Object} options - See request(), and cache: false to bypass the cache, or { staleTime, force, key }
+     *   where force sends the request even if the cached result is fresh and key replaces the URL as cache key.
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
+     */
+    get(route, urlParams = {}, headers = {}, options = {}) {
+        const cache = this.getCacheOptions(options);
+        if (!cache) {
+            return this.request("GET", route, urlParams, undefined, headers, options);
+        }
+
+        const key = cache.key || this.getCacheKey(route, urlParams);
+        const response = this.queryCache.fetch(key, () => this.sendShared(route, urlParams, headers, options), cache);
+        return this.untilCancelled(response, options.signal);
     }
 
     /**
      * Performs a POST request.
      *
      * @param {string} route - The API route.
-     * @param {Object} body - The body of the request.
+     * @param {*} body - The body of the request, see request().
      * @param {Object} urlParams - URL parameters.
      * @param {Object} headers - Additional headers.
-     * @returns {Promise<Object>} A promise that resolves to the response in JSON format.
+     * @param {Object} options - See request().
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
      */
-    post(route, body = {}, urlParams = {}, headers = {}) {
-        return this.request("POST", route, urlParams, body, headers);
+    post(route, body = {}, urlParams = {}, headers = {}, options = {}) {
+        return this.request("POST", route, urlParams, body, headers, options);
     }
 
     /**
      * Performs a PUT request.
      *
      * @param {string} route - The API route.
-     * @param {Object} body - The body of the request.
+     * @param {*} body - The body of the request, see request().
+     * @param {Object} urlParams - URL parameters.
+     * @param {Object} headers - Additional headers.
+     * @param {Object} options - See request().
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
+     */
+    put(route, body = {}, urlParams = {}, headers = {}, options = {}) {
+        return this.request("PUT", route, urlParams, body, headers, options);
+    }
+
+    /**
+     * Performs a PATCH request. PATCH is not idempotent, it is only retried with an Idempotency-Key header.
+     *
+     * @param {string} route - The API route.
+     * @param {*} body - The body of the request, see request().
      * @param {Object} urlParams - URL parameters.
      * @param {Object} headers - Additional headers.
-     * @returns {Promise<Object>} A promise that resolves to the response in JSON format.
+     * @param {Object} options - See request().
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
      */
-    put(route, body = {}, urlParams = {}, headers = {}) {
-        return this.request("PUT", route, urlParams, body, headers);
+    patch(route, body = {}, urlParams = {}, headers = {}, options = {}) {
+        return this.request("PATCH", route, urlParams, body, headers, options);
     }
 
     /**
@@ -99,9 +914,23 @@ export class HTTPRequest {
      * @param {string} route - The API route.
      * @param {Object} urlParams - URL parameters.
      * @param {Object} headers - Additional headers.
-     * @returns {Promise<Object>} A promise that resolves to the response in JSON format.
+     * @param {Object} options - See request().
+     * @returns {Promise<Object>} A promise that resolves to { data, json, status, headers }.
+     */
+    delete(route, urlParams = {}, headers = {}, options = {}) {
+        return this.request("DELETE", route, urlParams, undefined, headers, options);
+    }
+
+    /**
+     * Performs a HEAD request, to read the status and the headers of a resource without its body.
+     *
+     * @param {string} route - The API route.
+     * @param {Object} urlParams - URL parameters.
+     * @param {Object} headers - Additional headers.
+     * @param {Object} options - See request().
+     * @returns {Promise<Object>} A promise that resolves to { data: null, json: null, status, headers }.
      */
-    delete(route, urlParams = {}, headers = {}) {
-        return this.request("DELETE", route, urlParams, undefined, headers);
+    head(route, urlParams = {}, headers = {}, options = {}) {
+        return this.request("HEAD", route, urlParams, undefined, headers, options);
     }
 }
\ No newline at end of file
@@ -26,5 +26,23 @@ const datasetToObject = (data) => {
     }, {});
 };
 
+/**
+ * Compares two values one level deep.
+ * Objects and arrays are equal when they have the same keys with identical (Object.is) values.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are shallowly equal.
+ */
+const shallowEqual = (a, b) => {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+
+    return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
 
-export { datasetToObject };
\ No newline at end of file
+export { datasetToObject, shallowEqual };
\ No newline at end of file
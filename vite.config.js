@@ -1,59 +1,77 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import { resolve } from 'path';
 import mkcert from 'vite-plugin-mkcert';
 import config from './target.config';
+import { mockAuthApi } from './server/mockApi';
 
-export default defineConfig({
-  plugins: [mkcert()],
-  root: "./",
-  base: "./",
-  build: {
-    outDir: "dist",
-    minify: true,
-    write: true,
-    emptyOutDir: true,
-    manifest: true,
-    rollupOptions: {
-      input: {
-        main: resolve(__dirname, "index.html"),
-      },
-      output: {
-        entryFileNames: "target.min.js",
-        chunkFileNames: "assets/js/[name].js",
-        assetFileNames: "assets/[ext]/[name].[ext]",
+export default defineConfig(({ mode, isSsrBuild }) => {
+  // All the variables of .env, the ones without the VITE_ prefix are only read here and never reach the client
+  const env = loadEnv(mode, process.cwd(), '');
+
+  return {
+    plugins: [
+      // The tests run without HTTPS
+      mode !== 'test' && mkcert(),
+      // Stand-in for the auth API of config.auth.endpoints, dev server only
+      config.api.mock.enabled && mockAuthApi({ secret: env.JWT_SECRET, expiresIn: env.JWT_EXPIRES_IN, clientId: config.auth.oauth.clientId }),
+    ],
+    root: "./",
+    base: "./",
+    build: {
+      outDir: "dist",
+      minify: true,
+      write: true,
+      emptyOutDir: true,
+      manifest: true,
+      copyPublicDir: !isSsrBuild,
+      rollupOptions: {
+        input: {
+          main: resolve(__dirname, "index.html"),
+        },
+        output: {
+          // The server bundle (see server/index.js) is imported by its name
+          entryFileNames: isSsrBuild ? "render.js" : "target.min.js",
+          chunkFileNames: "assets/js/[name].js",
+          assetFileNames: "assets/[ext]/[name].[ext]",
+        },
       },
     },
-  },
-  resolve: {
-    alias: {
-      "@": resolve(__dirname, "./"),
-      "@core": resolve(__dirname, "./core"),
-      "@src": resolve(__dirname, "./src"),
-      "@store": resolve(__dirname, "./store"),
-      "@router": resolve(__dirname, "./router"),
-      "@views": resolve(__dirname, "./src/components/views"),
-      "@components": resolve(__dirname, "./src/components"),
-      "@utils": resolve(__dirname, "./utils"),
-      "@assets": resolve(__dirname, "./public/assets"),
+    resolve: {
+      alias: {
+        "@": resolve(__dirname, "./"),
+        "@core": resolve(__dirname, "./core"),
+        "@src": resolve(__dirname, "./src"),
+        "@store": resolve(__dirname, "./store"),
+        "@router": resolve(__dirname, "./router"),
+        "@views": resolve(__dirname, "./src/components/views"),
+        "@components": resolve(__dirname, "./src/components"),
+        "@utils": resolve(__dirname, "./utils"),
+        "@assets": resolve(__dirname, "./public/assets"),
+      },
     },
-  },
-  server: {
-    host: "0.0.0.0",
-    port: 5173, // default port for dev
-    proxy: config.api.local ? {} : {
-      '/api': {
-        target: config.baseURL,
-        changeOrigin: true,
-        secure: false,
-        rewrite: (path) => path.replace(/^\/api/, '')
+    server: {
+      host: "0.0.0.0",
+      port: 5173, // default port for dev
+      proxy: config.api.mock.enabled ? {} : {
+        '/api': {
+          target: config.baseURL,
+          changeOrigin: true,
+          secure: false,
+          rewrite: (path) => path.replace(/^\/api/, '')
+        }
       }
-    }
-  },
-  preview: {
-    host: "0.0.0.0",
-    port: 4173, // port for preview
-  },
-  define: {
-    'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV),
-  },
+    },
+    preview: {
+      host: "0.0.0.0",
+      port: 4173, // port for preview
+    },
+    // Tests of tests/, run with "yarn test"
+    test: {
+      environment: 'jsdom',
+      include: ['tests/**/*.test.js'],
+    },
+    define: {
+      'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV),
+    },
+  };
 });